@@ -1,5 +1,8 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const SessionService = require("../services/sessionService");
+const TwoFactorService = require("../services/twoFactorService");
+const AuditLogService = require("../services/auditLogService");
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -15,6 +18,27 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a session so logout can revoke them
+    const session = await SessionService.getActiveSession(
+      decoded.sessionId,
+      decoded.userId
+    );
+
+    if (!session) {
+      // A validly signed token for a dead session, e.g. after a remote sign-out
+      AuditLogService.track(req, "auth.token_rejected", {
+        actor: decoded.userId,
+        session: null,
+        result: "failure",
+        reason: "session_revoked",
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Session expired or revoked",
+      });
+    }
+
     const user = await User.findById(decoded.userId).select("-password");
 
     if (!user) {
@@ -25,14 +49,24 @@ const authenticateToken = async (req, res, next) => {
     }
 
     if (!user.isActive) {
+      AuditLogService.track(req, "auth.token_rejected", {
+        actor: user._id,
+        session: session._id,
+        result: "failure",
+        reason: user.suspendedAt ? "account_suspended" : "account_inactive",
+      });
       return res.status(401).json({
         success: false,
-        message: "Account is deactivated",
+        message: user.suspendedAt
+          ? "Account is suspended"
+          : "Account is deactivated",
       });
     }
 
     req.user = user;
     req.user.userId = user._id; // Add userId for backward compatibility
+    req.authSession = session;
+    SessionService.touchSession(session, req.ip);
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -78,6 +112,56 @@ const requireVerification = (req, res, next) => {
   }
 };
 
+// Require a verified email, but only when the REQUIRE_EMAIL_VERIFICATION
+// setting is enabled. Use after authenticateToken.
+const requireVerificationIfEnabled = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") {
+    return next();
+  }
+  requireVerification(req, res, next);
+};
+
+// Require a fresh 2FA code in the X-2FA-Code header when the user protected
+// this action. `appliesTo` can limit the check to some requests only.
+const requireStepUp = (action, appliesTo = () => true) => {
+  return async (req, res, next) => {
+    try {
+      if (!appliesTo(req)) return next();
+
+      const user = await User.findById(req.user.userId);
+      if (!user || !TwoFactorService.requiresStepUp(user, action)) {
+        return next();
+      }
+
+      const code = req.headers["x-2fa-code"];
+      if (!code) {
+        return res.status(403).json({
+          success: false,
+          message: "Two-factor verification required",
+          data: { twoFactorRequired: true, action },
+        });
+      }
+
+      const isValid = await TwoFactorService.verifyCode(user, code);
+      if (!isValid) {
+        return res.status(403).json({
+          success: false,
+          message: "Invalid two-factor code",
+          data: { twoFactorRequired: true, action },
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Step-up verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Two-factor verification failed",
+      });
+    }
+  };
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -86,11 +170,18 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select("-password");
+      const session = await SessionService.getActiveSession(
+        decoded.sessionId,
+        decoded.userId
+      );
+      const user =
+        session &&
+        (await User.findById(decoded.userId).select("-password"));
 
       if (user && user.isActive) {
         req.user = user;
         req.user.userId = user._id; // Add userId for backward compatibility
+        req.authSession = session;
       }
     }
     next();
@@ -104,5 +195,7 @@ module.exports = {
   authenticateToken,
   requireAdmin,
   requireVerification,
+  requireVerificationIfEnabled,
+  requireStepUp,
   optionalAuth,
 };
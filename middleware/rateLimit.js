@@ -0,0 +1,165 @@
+const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
+const RateLimitCounter = require("../models/RateLimitCounter");
+const SessionService = require("../services/sessionService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// express-rate-limit store that keeps counters in MongoDB so limits hold
+// across server instances
+class MongoRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const isLive = { $gt: ["$resetAt", now] };
+
+    // One atomic update either counts the hit in the current window or
+    // starts a new one when the previous window has ended
+    const update = [
+      {
+        $set: {
+          hits: { $cond: [isLive, { $add: ["$hits", 1] }, 1] },
+          resetAt: {
+            $cond: [
+              isLive,
+              "$resetAt",
+              new Date(now.getTime() + this.windowMs),
+            ],
+          },
+        },
+      },
+    ];
+
+    let counter;
+    try {
+      counter = await RateLimitCounter.findOneAndUpdate(
+        { key: this.prefix + key },
+        update,
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two first hits raced to create the counter; the retry updates it
+      if (error.code !== 11000) throw error;
+      counter = await RateLimitCounter.findOneAndUpdate(
+        { key: this.prefix + key },
+        update,
+        { new: true }
+      );
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne(
+      {
+        key: this.prefix + key,
+        resetAt: { $gt: new Date() },
+        hits: { $gt: 0 },
+      },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key });
+  }
+}
+
+/**
+ * Key for the global limiter: the user for requests with a valid access
+ * token of a live session, otherwise the IP address. Mobile users behind
+ * carrier NAT share an IP, so counting them by IP alone would throttle them
+ * together.
+ */
+const clientKey = async (req) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+
+  if (token) {
+    try {
+      const { userId, sessionId } = jwt.verify(token, process.env.JWT_SECRET);
+      // Tokens of signed-out sessions would otherwise each get a fresh
+      // allowance
+      const session =
+        userId && (await SessionService.getActiveSession(sessionId, userId));
+      if (session) return `user:${userId}`;
+    } catch (error) {
+      // Invalid or expired tokens are counted by IP
+    }
+  }
+  return req.ip;
+};
+
+/**
+ * Rate limit for authenticated routes, counted per user rather than per IP
+ * so people sharing an address don't use up each other's allowance. Use
+ * after authenticateToken. `scope` narrows the count further, e.g. to one
+ * transaction. Requests that fail don't count.
+ */
+const userRateLimit = ({ name, windowMs, max, message, scope = null }) =>
+  rateLimit({
+    windowMs,
+    limit: max,
+    store: new MongoRateLimitStore(name),
+    keyGenerator: (req) => {
+      const userId = req.user._id.toString();
+      return scope ? `${userId}:${scope(req) || ""}` : userId;
+    },
+    skipFailedRequests: true,
+    // A database problem shouldn't lock users out of the app
+    passOnStoreError: true,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    message: {
+      success: false,
+      message,
+    },
+  });
+
+// Per-route policies
+const limits = {
+  moneyRequest: userRateLimit({
+    name: "money_request",
+    windowMs: HOUR_MS,
+    max: 10,
+    message: "Too many money requests. Please try again later.",
+  }),
+  // Shared by both reminder routes, counted per transaction
+  repaymentReminder: userRateLimit({
+    name: "repayment_reminder",
+    windowMs: DAY_MS,
+    max: 3,
+    scope: (req) => req.body.transactionId,
+    message:
+      "You have already sent the maximum number of reminders for this transaction today.",
+  }),
+  dispute: userRateLimit({
+    name: "dispute",
+    windowMs: DAY_MS,
+    max: 5,
+    message: "Too many disputes opened today. Please try again tomorrow.",
+  }),
+  friendRequest: userRateLimit({
+    name: "friend_request",
+    windowMs: DAY_MS,
+    max: 50,
+    message: "Too many friend requests sent today. Please try again tomorrow.",
+  }),
+};
+
+module.exports = {
+  MongoRateLimitStore,
+  clientKey,
+  userRateLimit,
+  limits,
+};
@@ -42,13 +42,36 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Avatars are re-encoded with sharp, whose prebuilt binaries can't decode
+// HEIC photos, so only JPEG and PNG are accepted
+const avatarFileFilter = (req, file, cb) => {
+  const allowedMimeTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+
+  if (allowedMimeTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only JPEG and PNG images are allowed'), false);
+  }
+};
+
+// Avatars are kept in memory: they are re-encoded before anything is written
+// to disk, so the original file (and its EXIF data) is never stored
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: avatarFileFilter
+});
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum size is 10MB.'
+        message: `File size too large. Maximum size is ${error.field === 'avatar' ? '5MB' : '10MB'}.`
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
@@ -59,7 +82,10 @@ const handleUploadError = (error, req, res, next) => {
     }
   }
 
-  if (error.message === 'Only image files (JPEG, PNG, HEIC) are allowed') {
+  if (
+    error.message === 'Only image files (JPEG, PNG, HEIC) are allowed' ||
+    error.message === 'Only JPEG and PNG images are allowed'
+  ) {
     return res.status(400).json({
       success: false,
       message: error.message
@@ -72,5 +98,6 @@ const handleUploadError = (error, req, res, next) => {
 module.exports = {
   upload,
   uploadSingle: upload.single('proof'),
+  uploadAvatar: avatarUpload.single('avatar'),
   handleUploadError
 };
\ No newline at end of file
@@ -1,9 +1,10 @@
 const Joi = require("joi");
 
-// Validation middleware factory
-const validate = (schema) => {
+// Validation middleware factory; validates the body unless told otherwise,
+// e.g. validate(schema, "query")
+const validate = (schema, property = "body") => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
+    const { error } = schema.validate(req[property]);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -18,6 +19,39 @@ const validate = (schema) => {
   };
 };
 
+const objectId = Joi.string().hex().length(24).messages({
+  "string.hex": "Invalid user ID",
+  "string.length": "Invalid user ID",
+});
+
+// Region for phone numbers given without a country code, e.g. "US"
+const defaultRegion = Joi.string()
+  .pattern(/^[A-Za-z]{2}$/)
+  .messages({
+    "string.pattern.base": "Region must be a two-letter country code",
+  });
+
+// Settings shared by creating and updating a friend group
+const friendGroupSettings = {
+  defaultVisibility: Joi.string().valid("visible", "hidden").messages({
+    "any.only": "Visibility must be either visible or hidden",
+  }),
+  lendingPolicy: Joi.object({
+    allowRequests: Joi.boolean(),
+    maxRequestAmount: Joi.number().positive().allow(null).messages({
+      "number.positive": "Maximum request amount must be greater than 0",
+    }),
+  }),
+};
+
+const friendGroupMemberRole = Joi.string()
+  .trim()
+  .max(30)
+  .allow("", null)
+  .messages({
+    "string.max": "Role cannot exceed 30 characters",
+  });
+
 // Validation schemas
 const schemas = {
   // Sign up validation
@@ -37,6 +71,7 @@ const schemas = {
       .messages({
         "string.pattern.base": "Please enter a valid phone number",
       }),
+    defaultRegion: defaultRegion.optional(),
     password: Joi.string().min(6).required().messages({
       "string.empty": "Password is required",
       "string.min": "Password must be at least 6 characters",
@@ -47,6 +82,8 @@ const schemas = {
       .messages({
         "any.only": "Passwords do not match",
       }),
+    // Token from a contact invite link the user signed up from
+    inviteToken: Joi.string().max(200).optional(),
   }),
 
   // Login validation
@@ -59,23 +96,96 @@ const schemas = {
     }),
   }),
 
-  // Google OAuth validation
-  google: Joi.object({
-    googleId: Joi.string().required().messages({
-      "string.empty": "Google ID is required",
+  // Refresh token validation
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      "string.empty": "Refresh token is required",
+      "any.required": "Refresh token is required",
     }),
-    email: Joi.string().email().required().messages({
-      "string.empty": "Email is required",
-      "string.email": "Please enter a valid email address",
+  }),
+
+  // Email verification validation
+  verifyEmail: Joi.object({
+    token: Joi.string().required().messages({
+      "string.empty": "Verification token is required",
+      "any.required": "Verification token is required",
     }),
-    fullName: Joi.string().required().messages({
-      "string.empty": "Full name is required",
+  }),
+
+  // Forgot password validation
+  forgotPassword: Joi.object({
+    identifier: Joi.string().required().messages({
+      "string.empty": "Email or phone number is required",
     }),
-    profilePicture: Joi.string().uri().optional().messages({
-      "string.uri": "Please enter a valid URL for profile picture",
+    channel: Joi.string().valid("email", "sms").default("email").messages({
+      "any.only": "Channel must be either email or sms",
     }),
   }),
 
+  // Reset password validation
+  resetPassword: Joi.object({
+    token: Joi.string().required().messages({
+      "string.empty": "Reset token is required",
+      "any.required": "Reset token is required",
+    }),
+    newPassword: Joi.string().min(6).required().messages({
+      "string.empty": "New password is required",
+      "string.min": "New password must be at least 6 characters",
+    }),
+    confirmNewPassword: Joi.string()
+      .valid(Joi.ref("newPassword"))
+      .required()
+      .messages({
+        "any.only": "New passwords do not match",
+      }),
+  }),
+
+  // Two-factor code validation
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().required().messages({
+      "string.empty": "Two-factor code is required",
+      "any.required": "Two-factor code is required",
+    }),
+  }),
+
+  // Two-factor login challenge validation
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required().messages({
+      "string.empty": "Challenge token is required",
+      "any.required": "Challenge token is required",
+    }),
+    code: Joi.string().trim().required().messages({
+      "string.empty": "Two-factor code is required",
+      "any.required": "Two-factor code is required",
+    }),
+  }),
+
+  // Step-up settings validation
+  stepUpSettings: Joi.object({
+    actions: Joi.array()
+      .items(Joi.string().valid("forgive_debt", "delete_account", "change_phone"))
+      .unique()
+      .required()
+      .messages({
+        "any.only":
+          "Actions must be forgive_debt, delete_account or change_phone",
+      }),
+    code: Joi.string().trim().required().messages({
+      "string.empty": "Two-factor code is required",
+      "any.required": "Two-factor code is required",
+    }),
+  }),
+
+  // Google sign-in validation
+  google: Joi.object({
+    idToken: Joi.string().required().messages({
+      "string.empty": "Google ID token is required",
+      "any.required": "Google ID token is required",
+    }),
+    // Password of an existing account with the same email, to link it
+    password: Joi.string().optional(),
+  }),
+
   // Profile update validation
   updateProfile: Joi.object({
     fullName: Joi.string().trim().min(2).max(50).optional(),
@@ -85,6 +195,7 @@ const schemas = {
       .messages({
         "string.pattern.base": "Please enter a valid phone number",
       }),
+    defaultRegion: defaultRegion.optional(),
     profilePicture: Joi.string().uri().optional().messages({
       "string.uri": "Please enter a valid URL for profile picture",
     }),
@@ -94,6 +205,166 @@ const schemas = {
       "object.min": "At least one field must be provided for update",
     }),
 
+  // Handle validation; a leading "@" is allowed and ignored
+  updateHandle: Joi.object({
+    handle: Joi.string()
+      .trim()
+      .pattern(/^@?[A-Za-z0-9_]{3,20}$/)
+      .required()
+      .messages({
+        "string.empty": "Handle is required",
+        "string.pattern.base":
+          "Handle must be 3-20 letters, numbers or underscores",
+      }),
+  }),
+
+  // Privacy settings validation
+  privacySettings: Joi.object({
+    discoverableByEmail: Joi.boolean(),
+    discoverableByPhone: Joi.boolean(),
+    discoverableByName: Joi.boolean(),
+    showScoreToNonFriends: Joi.boolean(),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one setting must be provided",
+    }),
+
+  // Deactivation validation; deleteAfterDays schedules deletion
+  deactivateAccount: Joi.object({
+    deleteAfterDays: Joi.number().integer().min(7).max(90).messages({
+      "number.base": "deleteAfterDays must be a number",
+      "number.min": "The deletion grace period must be at least 7 days",
+      "number.max": "The deletion grace period cannot exceed 90 days",
+    }),
+  }),
+
+  reactivateAccount: Joi.object({
+    reactivationToken: Joi.string().required().messages({
+      "string.empty": "Reactivation token is required",
+    }),
+  }),
+
+  // Device management validation
+  renameDevice: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+      "string.empty": "Device name is required",
+      "string.max": "Device name cannot exceed 50 characters",
+    }),
+  }),
+
+  signOutAllDevices: Joi.object({
+    includeCurrent: Joi.boolean(),
+  }),
+
+  // Admin user management validation
+  adminSuspendUser: Joi.object({
+    reason: Joi.string().trim().max(500).allow("", null).messages({
+      "string.max": "Suspension reason cannot exceed 500 characters",
+    }),
+  }),
+
+  adminChangeRole: Joi.object({
+    role: Joi.string().valid("user", "admin").required().messages({
+      "any.only": "Role must be either user or admin",
+      "any.required": "Role is required",
+    }),
+  }),
+
+  adminUserSearch: Joi.object({
+    q: Joi.string().trim().max(100).allow("").messages({
+      "string.base": "Search must be a single value",
+      "string.max": "Search cannot exceed 100 characters",
+    }),
+    role: Joi.string().valid("user", "admin").messages({
+      "any.only": "Role must be either user or admin",
+    }),
+    status: Joi.string()
+      .valid("active", "suspended", "deactivated", "deleted")
+      .messages({
+        "any.only":
+          "Status must be one of active, suspended, deactivated or deleted",
+      }),
+    page: Joi.string(),
+    limit: Joi.string(),
+  }),
+
+  adminAuditLogQuery: Joi.object({
+    actorId: objectId,
+    userId: objectId,
+    action: Joi.string().max(100).messages({
+      "string.base": "Action must be a single value",
+    }),
+    result: Joi.string().valid("success", "failure").messages({
+      "any.only": "Result must be either success or failure",
+    }),
+    from: Joi.string(),
+    to: Joi.string(),
+    page: Joi.string(),
+    limit: Joi.string(),
+  }),
+
+  // Friend group validation
+  createFriendGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(50).required().messages({
+      "string.empty": "Group name is required",
+      "string.max": "Group name cannot exceed 50 characters",
+    }),
+    members: Joi.array().items(
+      Joi.object({
+        userId: objectId.required(),
+        role: friendGroupMemberRole,
+      })
+    ),
+    ...friendGroupSettings,
+  }),
+
+  updateFriendGroup: Joi.object({
+    name: Joi.string().trim().min(1).max(50).messages({
+      "string.empty": "Group name cannot be empty",
+      "string.max": "Group name cannot exceed 50 characters",
+    }),
+    ...friendGroupSettings,
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided for update",
+    }),
+
+  addFriendGroupMember: Joi.object({
+    userId: objectId.required(),
+    role: friendGroupMemberRole,
+  }),
+
+  updateFriendGroupMember: Joi.object({
+    role: friendGroupMemberRole.required(),
+  }),
+
+  // Per-friend lending settings validation
+  lendingSettings: Joi.object({
+    maxOutstanding: Joi.number().positive().allow(null).messages({
+      "number.positive": "Maximum outstanding amount must be greater than 0",
+    }),
+    maxRequestAmount: Joi.number().positive().allow(null).messages({
+      "number.positive": "Maximum request amount must be greater than 0",
+    }),
+    allowedPaymentTypes: Joi.array()
+      .items(
+        Joi.string()
+          .valid("full_payment", "emi", "installments", "flexible")
+          .messages({
+            "any.only":
+              "Payment type must be full_payment, emi, installments or flexible",
+          })
+      )
+      .unique(),
+    requireProof: Joi.boolean(),
+  })
+    .min(1)
+    .messages({
+      "object.min": "At least one field must be provided for update",
+    }),
+
   // Change password validation
   changePassword: Joi.object({
     currentPassword: Joi.string().required().messages({
@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Namespaced event name, e.g. "auth.login" or "admin.suspend_user"
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        "auth.login",
+        "auth.logout",
+        "auth.token_refresh",
+        "auth.token_rejected",
+        "account.password_change",
+        "account.password_reset",
+        "account.two_factor_enabled",
+        "account.two_factor_disabled",
+        "account.fcm_token_update",
+        "account.device_sign_out",
+        "account.deactivate",
+        "account.reactivate",
+        "account.delete",
+        "admin.search_users",
+        "admin.view_user",
+        "admin.suspend_user",
+        "admin.reactivate_user",
+        "admin.force_logout",
+        "admin.change_role",
+        "admin.unlock_user",
+      ],
+    },
+    result: {
+      type: String,
+      enum: ["success", "failure"],
+      default: "success",
+    },
+    // Short machine readable cause for failures, e.g. "invalid_credentials"
+    reason: {
+      type: String,
+      default: null,
+    },
+    // Who performed the action; null when nobody could be identified
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Whose account the action concerns
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AuthSession",
+      default: null,
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes for efficient queries
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+// Keep entries for a year; MongoDB's TTL monitor is the only thing that
+// removes them
+auditLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 365 * 24 * 60 * 60 }
+);
+
+// Entries are append-only: refuse any attempt to change or remove them
+const rejectChange = function (next) {
+  next(new Error("Audit log entries cannot be modified"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
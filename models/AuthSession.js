@@ -0,0 +1,120 @@
+const mongoose = require("mongoose");
+
+const authSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Client supplied identifier so a device keeps a single session
+    deviceId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Device name cannot exceed 50 characters"],
+      default: null,
+    },
+    platform: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    appVersion: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Push token for this device; cleared when the session is revoked
+    fcmToken: {
+      type: String,
+      default: null,
+    },
+    // SHA-256 hash of the current refresh token (raw token is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of refresh tokens that were already rotated out. Seeing one of
+    // these again means the token was stolen and replayed.
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "password_changed",
+        "password_reset",
+        "token_reuse",
+        "replaced",
+        "remote_sign_out",
+        "account_deleted",
+        "account_deactivated",
+        "admin_suspended",
+        "admin_logout",
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+authSessionSchema.index({ user: 1, revokedAt: 1 });
+authSessionSchema.index({ user: 1, deviceId: 1 });
+authSessionSchema.index({ fcmToken: 1 }, { sparse: true });
+// Let MongoDB clean up sessions once the refresh token can no longer be used
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used to authenticate requests
+authSessionSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Public view of the session as a signed-in device
+authSessionSchema.methods.toDeviceJSON = function (currentSessionId = null) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    platform: this.platform,
+    appVersion: this.appVersion,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    lastSeenAt: this.lastSeenAt,
+    signedInAt: this.createdAt,
+    hasPushToken: !!this.fcmToken,
+    isCurrent:
+      !!currentSessionId && this._id.toString() === currentSessionId.toString(),
+  };
+};
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
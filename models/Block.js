@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const blockSchema = new mongoose.Schema(
+  {
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user can block someone only once; lookups go in both directions
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model("Block", blockSchema);
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const contactInviteSchema = new mongoose.Schema(
+  {
+    inviter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+    // Phone number or email address the invite was sent to
+    destination: {
+      type: String,
+      required: true,
+    },
+    // Normalized destination used to recognise the person when they sign up
+    // (lowercase email, or the phone number in E.164 form)
+    destinationKey: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 hash of the token in the invite link
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "failed", "joined"],
+      default: "sent",
+    },
+    // When the invite link was first opened, and how often
+    openedAt: {
+      type: Date,
+      default: null,
+    },
+    openCount: {
+      type: Number,
+      default: 0,
+    },
+    joinedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    joinedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+contactInviteSchema.index({ inviter: 1, createdAt: -1 });
+contactInviteSchema.index({ channel: 1, destinationKey: 1, status: 1 });
+contactInviteSchema.index({ tokenHash: 1 });
+// Invites are removed once they expire
+contactInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Tracking details shown to the inviter
+contactInviteSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    channel: this.channel,
+    destination: this.destination,
+    status: this.status,
+    openedAt: this.openedAt,
+    openCount: this.openCount,
+    joinedAt: this.joinedAt,
+    sentAt: this.createdAt,
+    expiresAt: this.expiresAt,
+  };
+};
+
+module.exports = mongoose.model("ContactInvite", contactInviteSchema);
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    // Location of the finished archive on disk; never sent to clients
+    filePath: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Archive is deleted after this time
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    downloadedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+// Public view of the export job
+dataExportSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    status: this.status,
+    fileSize: this.fileSize,
+    error: this.error,
+    requestedAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadedAt: this.downloadedAt,
+  };
+};
+
+module.exports = mongoose.model("DataExport", dataExportSchema);
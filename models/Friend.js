@@ -14,6 +14,30 @@ const friendSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Limits `user` puts on lending to `friend`. Null means no limit and an
+  // empty list of payment types allows all of them.
+  lendingSettings: {
+    maxOutstanding: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    maxRequestAmount: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    allowedPaymentTypes: {
+      type: [String],
+      enum: ['full_payment', 'emi', 'installments', 'flexible'],
+      default: []
+    },
+    // Repayments from this friend must come with a proof upload
+    requireProof: {
+      type: Boolean,
+      default: false
+    }
   }
 });
 
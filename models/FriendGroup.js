@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The member's role in the circle, e.g. "Sister" or "Landlord"
+    role: {
+      type: String,
+      trim: true,
+      maxlength: 30,
+      default: null,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A circle of the owner's friends (family, roommates, coworkers). Only the
+// owner sees it; members must be the owner's friends.
+const friendGroupSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    members: [memberSchema],
+    // Whether loans with members show in the money summary and recent
+    // transactions when no group is picked
+    defaultVisibility: {
+      type: String,
+      enum: ["visible", "hidden"],
+      default: "visible",
+    },
+    // Applies to money requests members send the owner
+    lendingPolicy: {
+      allowRequests: {
+        type: Boolean,
+        default: true,
+      },
+      maxRequestAmount: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+friendGroupSchema.index({ owner: 1, name: 1 }, { unique: true });
+friendGroupSchema.index({ owner: 1, "members.user": 1 });
+
+friendGroupSchema.methods.hasMember = function (userId) {
+  return this.members.some(
+    (member) =>
+      (member.user._id || member.user).toString() === userId.toString()
+  );
+};
+
+module.exports = mongoose.model("FriendGroup", friendGroupSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const friendInviteSchema = new mongoose.Schema(
+  {
+    // User who shares the invite
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Become friends as soon as the invite is used, instead of sending a
+    // friend request for the user to approve
+    autoAccept: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+friendInviteSchema.index({ user: 1, createdAt: -1 });
+// Expired invites are removed automatically
+friendInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+friendInviteSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+// Public view of the invite
+friendInviteSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    autoAccept: this.autoAccept,
+    uses: this.uses,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+  };
+};
+
+module.exports = mongoose.model("FriendInvite", friendInviteSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// Pending requests expire if the recipient doesn't answer
+const REQUEST_EXPIRY_DAYS = 30;
+
+const nextExpiry = (from = new Date()) =>
+  new Date(from.getTime() + REQUEST_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
 const friendRequestSchema = new mongoose.Schema({
   sender: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,16 +19,46 @@ const friendRequestSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'expired'],
     default: 'pending'
   },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Last time the recipient was notified; moved forward by a resend
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => nextExpiry()
+  },
+  respondedAt: {
+    type: Date,
+    default: null
   }
 });
 
-// Ensure a user can't send multiple requests to the same person
-friendRequestSchema.index({ sender: 1, recipient: 1 }, { unique: true });
+// Only one pending request per direction. Answered requests are kept so
+// the same users can ask again later.
+friendRequestSchema.index(
+  { sender: 1, recipient: 1 },
+  {
+    name: 'pending_request_unique',
+    unique: true,
+    partialFilterExpression: { status: 'pending' }
+  }
+);
+friendRequestSchema.index({ recipient: 1, status: 1 });
+friendRequestSchema.index({ status: 1, expiresAt: 1 });
+
+friendRequestSchema.statics.nextExpiry = nextExpiry;
+
+// Conditions for requests that are still waiting on the recipient
+friendRequestSchema.statics.openFilter = function() {
+  return { status: 'pending', expiresAt: { $gt: new Date() } };
+};
 
-module.exports = mongoose.model('FriendRequest', friendRequestSchema);
\ No newline at end of file
+module.exports = mongoose.model('FriendRequest', friendRequestSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "user:<id>" for known accounts, "identifier:<value>" otherwise
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    lastIpAddress: {
+      type: String,
+      default: null,
+    },
+    // Earliest time the next attempt is accepted (progressive delay)
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    ownerNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+loginAttemptSchema.index({ user: 1 });
+// Drop counters that have been quiet for a while
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -43,6 +43,12 @@ const moneyRequestSchema = new mongoose.Schema({
       default: "monthly",
     },
   },
+  // Copied from the lender's settings for this friend when the request is
+  // made; repayments then need a proof upload
+  proofRequired: {
+    type: Boolean,
+    default: false,
+  },
   rejectionReason: {
     type: String,
     trim: true,
@@ -24,6 +24,9 @@ const notificationSchema = new mongoose.Schema(
         "money_request_rejected",
         "money_receipt_confirmed",
         "repayment_rejected",
+        "contact_joined",
+        "friend_request",
+        "friend_request_accepted",
       ],
       required: true,
     },
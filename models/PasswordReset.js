@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 hash of the reset token (raw token is only sent to the user)
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: true,
+    },
+    requestedIp: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for efficient queries
+passwordResetSchema.index({ user: 1, createdAt: -1 });
+// Remove reset tokens once they expire
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordReset", passwordResetSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Request count of one client for one rate limit window, shared by every
+// server instance
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Limiter name and client key, e.g. "money_request:<userId>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Counters are removed once their window has ended
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// A friend suggestion the user chose to hide
+const suggestionDismissalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    dismissed: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suggestionDismissalSchema.index({ user: 1, dismissed: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+  "SuggestionDismissal",
+  suggestionDismissalSchema
+);
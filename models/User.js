@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const PhoneNumberService = require("../services/phoneNumberService");
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,6 +10,25 @@ const userSchema = new mongoose.Schema(
       trim: true,
       maxlength: [50, "Full name cannot exceed 50 characters"],
     },
+    // Lowercase words of fullName without accents, for prefix search; kept
+    // in step with fullName on save
+    nameTokens: {
+      type: [String],
+      index: true,
+      select: false,
+    },
+    // Public @handle, stored lowercase and without the "@"
+    handle: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9_]{3,20}$/,
+        "Handle must be 3-20 letters, numbers or underscores",
+      ],
+    },
     email: {
       type: String,
       required: [true, "Email is required"],
@@ -19,11 +39,34 @@ const userSchema = new mongoose.Schema(
         "Please enter a valid email",
       ],
     },
+    // Stored in E.164 form, e.g. "+14155550123"
     phoneNumber: {
       type: String,
       unique: true,
       sparse: true, // Allows multiple null values
-      match: [/^\+?[\d\s-()]+$/, "Please enter a valid phone number"],
+      match: [/^\+[1-9]\d{6,14}$/, "Please enter a valid phone number"],
+    },
+    // Number from before phone numbers were stored in E.164 form that
+    // couldn't be converted, so the user can be asked to enter it again;
+    // cleared once they do
+    legacyPhoneNumber: {
+      type: String,
+      default: null,
+    },
+    // Salted hash of the phone number for hashed contact matching; kept in
+    // step with phoneNumber on save
+    phoneNumberHash: {
+      type: String,
+      index: true,
+      select: false,
+    },
+    // Region (ISO 3166 code such as "US") for phone numbers the user enters
+    // without a country code
+    defaultRegion: {
+      type: String,
+      uppercase: true,
+      match: [/^[A-Z]{2}$/, "Region must be a two-letter country code"],
+      default: null,
     },
     password: {
       type: String,
@@ -41,10 +84,29 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Uploaded avatar thumbnails; profilePicture points at the large one
+    avatar: {
+      small: {
+        type: String,
+        default: null,
+      },
+      medium: {
+        type: String,
+        default: null,
+      },
+      large: {
+        type: String,
+        default: null,
+      },
+    },
     isEmailVerified: {
       type: Boolean,
       default: false,
     },
+    emailVerificationSentAt: {
+      type: Date,
+      default: null,
+    },
     role: {
       type: String,
       enum: ["user", "admin"],
@@ -68,6 +130,102 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Who can find this user through search and contact matching. Turning
+    // all three off hides the user from discovery entirely.
+    privacy: {
+      discoverableByEmail: {
+        type: Boolean,
+        default: true,
+      },
+      discoverableByPhone: {
+        type: Boolean,
+        default: true,
+      },
+      discoverableByName: {
+        type: Boolean,
+        default: true,
+      },
+      showScoreToNonFriends: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Set while the user has deactivated their own account
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    // End of the grace period of a deactivation that deletes the account;
+    // reactivating cancels it
+    scheduledDeletionAt: {
+      type: Date,
+      default: null,
+    },
+    // Set while an admin has suspended the account
+    suspendedAt: {
+      type: Date,
+      default: null,
+    },
+    suspensionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Suspension reason cannot exceed 500 characters"],
+      default: null,
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Set when the account is deleted; the document stays, anonymized, so
+    // other users' transaction history keeps resolving
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        default: null,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        default: null,
+      },
+      // SHA-256 hashes of unused backup codes
+      backupCodes: {
+        type: [String],
+        default: [],
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      // Last TOTP time step accepted, to stop codes being replayed
+      lastUsedStep: {
+        type: Number,
+        default: null,
+      },
+      failedAttempts: {
+        type: Number,
+        default: 0,
+      },
+      lockedUntil: {
+        type: Date,
+        default: null,
+      },
+      // Sensitive actions that need a fresh code
+      stepUpActions: {
+        type: [String],
+        enum: ["forgive_debt", "delete_account", "change_phone"],
+        default: [],
+      },
+    },
   },
   {
     timestamps: true,
@@ -76,6 +234,17 @@ const userSchema = new mongoose.Schema(
 
 // Indexes are already defined in the schema fields above
 
+userSchema.pre("save", function (next) {
+  if (this.isModified("fullName")) {
+    this.nameTokens = this.constructor.tokenizeName(this.fullName);
+  }
+  if (this.isModified("phoneNumber")) {
+    this.phoneNumberHash = PhoneNumberService.hash(this.phoneNumber);
+    if (this.phoneNumber) this.legacyPhoneNumber = null;
+  }
+  next();
+});
+
 // Pre-save middleware to hash password
 userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -101,13 +270,86 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
+// What other users may see of this account in discovery results. Contact
+// details are only shown when the user can be found by them, and the score
+// only to friends unless the user allows it.
+userSchema.methods.toDiscoveryJSON = function (viewerIsFriend = false) {
+  const privacy = this.privacy || {};
+  const result = {
+    _id: this._id,
+    fullName: this.fullName,
+    handle: this.handle || null,
+    profilePicture: this.profilePicture,
+  };
+
+  if (privacy.discoverableByEmail !== false) result.email = this.email;
+  if (privacy.discoverableByPhone !== false) {
+    result.phoneNumber = this.phoneNumber;
+  }
+  if (viewerIsFriend || privacy.showScoreToNonFriends !== false) {
+    result.good4itScore = this.good4itScore;
+  }
+
+  return result;
+};
+
+// Handles that could be mistaken for the app or its staff
+const RESERVED_HANDLES = [
+  "admin",
+  "administrator",
+  "good4it",
+  "help",
+  "moderator",
+  "root",
+  "support",
+  "system",
+];
+
+// Canonical form of a handle as typed by a user ("@Jane_Doe" -> "jane_doe")
+userSchema.statics.normalizeHandle = function (value) {
+  return String(value).trim().replace(/^@/, "").toLowerCase();
+};
+
+userSchema.statics.isReservedHandle = function (handle) {
+  return RESERVED_HANDLES.includes(handle);
+};
+
+// Searchable words of a name or query ("José  O'Neil" -> ["jose", "o'neil"])
+userSchema.statics.tokenizeName = function (value) {
+  return [
+    ...new Set(
+      String(value || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean)
+    ),
+  ];
+};
+
+// Conditions for accounts other users can find: not deleted, deactivated or
+// suspended
+userSchema.statics.discoverableFilter = function () {
+  return { isActive: true, suspendedAt: null, deletedAt: null };
+};
+
 // Static method to find user by email or phone
 userSchema.statics.findByEmailOrPhone = function (identifier) {
   return this.findOne({
-    $or: [{ email: identifier }, { phoneNumber: identifier }],
+    $or: [
+      { email: identifier },
+      { phoneNumber: PhoneNumberService.normalize(identifier) || identifier },
+    ],
   });
 };
 
@@ -0,0 +1,365 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+const LoginProtectionService = require("../services/loginProtectionService");
+const SessionService = require("../services/sessionService");
+const AdminUserService = require("../services/adminUserService");
+const AuditLogService = require("../services/auditLogService");
+
+const router = express.Router();
+
+// Load the user named in the route, or send a 400/404
+const findTargetUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid user ID",
+    });
+    return null;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @route   GET /api/admin/users
+// @desc    Search users by name, email or phone with role and status filters
+// @access  Admin
+router.get(
+  "/users",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.adminUserSearch, "query"),
+  async (req, res) => {
+    try {
+      const { q, role, status, page, limit } = req.query;
+
+      const result = await AdminUserService.searchUsers({
+        q,
+        role,
+        status,
+        page,
+        limit,
+      });
+
+      await AdminUserService.recordAction(req, "search_users", null, {
+        q: q || null,
+        role: role || null,
+        status: status || null,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error("Admin user search error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while searching users",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:userId
+// @desc    User details with balances, score and disputes
+// @access  Admin
+router.get(
+  "/users/:userId",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      const overview = await AdminUserService.getUserOverview(user._id);
+
+      await AdminUserService.recordAction(req, "view_user", user._id);
+
+      res.json({
+        success: true,
+        data: overview,
+      });
+    } catch (error) {
+      console.error("Admin user detail error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching user",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/suspend
+// @desc    Suspend an account and sign it out everywhere
+// @access  Admin
+router.post(
+  "/users/:userId/suspend",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.adminSuspendUser),
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      if (user._id.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot suspend your own account",
+        });
+      }
+
+      if (user.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Account has been deleted",
+        });
+      }
+
+      const reason = req.body.reason || null;
+      await AdminUserService.suspendUser(user, req.user._id, reason);
+
+      await AdminUserService.recordAction(req, "suspend_user", user._id, {
+        reason,
+      });
+
+      res.json({
+        success: true,
+        message: "User suspended successfully",
+        data: {
+          user: user.toJSON(),
+        },
+      });
+    } catch (error) {
+      console.error("Admin suspend error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while suspending user",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/reactivate
+// @desc    Lift a suspension or deactivation
+// @access  Admin
+router.post(
+  "/users/:userId/reactivate",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      if (user.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Deleted accounts cannot be reactivated",
+        });
+      }
+
+      const wasSuspended = !!user.suspendedAt;
+      await AdminUserService.reactivateUser(user);
+
+      await AdminUserService.recordAction(req, "reactivate_user", user._id, {
+        wasSuspended,
+      });
+
+      res.json({
+        success: true,
+        message: "User reactivated successfully",
+        data: {
+          user: user.toJSON(),
+        },
+      });
+    } catch (error) {
+      console.error("Admin reactivate error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while reactivating user",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/logout
+// @desc    Sign a user out of every device
+// @access  Admin
+router.post(
+  "/users/:userId/logout",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      const result = await SessionService.revokeAllForUser(
+        user._id,
+        "admin_logout"
+      );
+
+      await AdminUserService.recordAction(req, "force_logout", user._id, {
+        sessionsRevoked: result.modifiedCount,
+      });
+
+      res.json({
+        success: true,
+        message: "User signed out of all devices",
+        data: {
+          signedOut: result.modifiedCount,
+        },
+      });
+    } catch (error) {
+      console.error("Admin force logout error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while signing out user",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change a user's role
+// @access  Admin
+router.put(
+  "/users/:userId/role",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.adminChangeRole),
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      // Keeps an admin from locking themselves out
+      if (user._id.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        });
+      }
+
+      if (user.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: "Account has been deleted",
+        });
+      }
+
+      const previousRole = user.role;
+      user.role = req.body.role;
+      await user.save();
+
+      await AdminUserService.recordAction(req, "change_role", user._id, {
+        from: previousRole,
+        to: user.role,
+      });
+
+      res.json({
+        success: true,
+        message: "User role updated successfully",
+        data: {
+          user: user.toJSON(),
+        },
+      });
+    } catch (error) {
+      console.error("Admin role change error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while changing user role",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/unlock
+// @desc    Clear failed login attempts and lift a login lockout
+// @access  Admin
+router.post(
+  "/users/:userId/unlock",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const user = await findTargetUser(req, res);
+      if (!user) return;
+
+      const wasLocked = await LoginProtectionService.unlockUser(user._id);
+
+      await AdminUserService.recordAction(req, "unlock_user", user._id, {
+        wasLocked,
+      });
+
+      res.json({
+        success: true,
+        message: wasLocked
+          ? "Login lockout cleared"
+          : "User had no failed login attempts",
+      });
+    } catch (error) {
+      console.error("Admin unlock error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while unlocking user",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/audit-log
+// @desc    Query the security audit log, newest first
+// @access  Admin
+router.get(
+  "/audit-log",
+  authenticateToken,
+  requireAdmin,
+  validate(schemas.adminAuditLogQuery, "query"),
+  async (req, res) => {
+    try {
+      const { actorId, userId, action, result, from, to, page, limit } =
+        req.query;
+
+      const data = await AuditLogService.search({
+        actor: actorId,
+        targetUser: userId,
+        action,
+        result,
+        from,
+        to,
+        page,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      console.error("Admin audit log error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while fetching audit log",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,17 +1,92 @@
 const express = require("express");
 const jwt = require("jsonwebtoken");
+const rateLimit = require("express-rate-limit");
 const passport = require("../config/passport");
 const User = require("../models/User");
 const { validate, schemas } = require("../middleware/validation");
 const { authenticateToken } = require("../middleware/auth");
 const Good4ItScoreService = require("../services/good4itScoreService");
+const SessionService = require("../services/sessionService");
+const AuditLogService = require("../services/auditLogService");
+const EmailVerificationService = require("../services/emailVerificationService");
+const PasswordResetService = require("../services/passwordResetService");
+const TwoFactorService = require("../services/twoFactorService");
+const googleAuthService = require("../services/googleAuthService");
+const LoginProtectionService = require("../services/loginProtectionService");
+const ContactInviteService = require("../services/contactInviteService");
+const AccountDeactivationService = require("../services/accountDeactivationService");
+const PhoneNumberService = require("../services/phoneNumberService");
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d", // Longer expiry for mobile
+// Stricter limit for password reset requests
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 reset requests per windowMs
+  message: {
+    success: false,
+    message: "Too many password reset requests, please try again later.",
+  },
+});
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  });
+};
+
+// Device and client details recorded on the session
+const getSessionContext = (req) => ({
+  deviceId: req.get("x-device-id") || null,
+  deviceName: (req.get("x-device-name") || "").slice(0, 50) || null,
+  platform: req.get("x-device-platform") || null,
+  appVersion: req.get("x-app-version") || null,
+  ipAddress: req.ip,
+  userAgent: req.get("user-agent") || null,
+});
+
+// Suspended accounts can't sign in until an admin lifts the suspension
+const sendSuspended = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Account is suspended",
+  });
+
+// Start a session for the requesting device and issue its token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await SessionService.createSession(
+    user._id,
+    getSessionContext(req)
+  );
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session,
+  };
+};
+
+// Audit a sign-in attempt; the user is null when the identifier is unknown
+const trackLogin = (req, user, result, options = {}) =>
+  AuditLogService.track(req, "auth.login", {
+    actor: user ? user._id : null,
+    result,
+    ...options,
+  });
+
+// Deactivated accounts get a reactivation challenge instead of tokens and
+// confirm it at /reactivate
+const sendReactivationRequired = (req, res, user) => {
+  trackLogin(req, user, "failure", { reason: "account_deactivated" });
+  return res.json({
+    success: true,
+    message: "Account is deactivated",
+    data: {
+      reactivationRequired: true,
+      reactivationToken: AccountDeactivationService.generateToken(user),
+      scheduledDeletionAt: user.scheduledDeletionAt,
+    },
   });
 };
 
@@ -20,11 +95,33 @@ const generateToken = (userId) => {
 // @access  Public
 router.post("/signup", validate(schemas.signup), async (req, res) => {
   try {
-    const { fullName, email, phoneNumber, password } = req.body;
+    const { fullName, email, password, inviteToken, defaultRegion } = req.body;
+
+    if (defaultRegion && !PhoneNumberService.isSupportedRegion(defaultRegion)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unsupported region",
+      });
+    }
+
+    // Phone numbers are stored in E.164 form
+    let phoneNumber;
+    if (req.body.phoneNumber) {
+      phoneNumber = PhoneNumberService.normalize(
+        req.body.phoneNumber,
+        defaultRegion
+      );
+      if (!phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: "Please enter a valid phone number",
+        });
+      }
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({
-      $or: [{ email }, { phoneNumber }],
+      $or: [{ email }, ...(phoneNumber ? [{ phoneNumber }] : [])],
     });
 
     if (existingUser) {
@@ -43,6 +140,7 @@ router.post("/signup", validate(schemas.signup), async (req, res) => {
       email,
       phoneNumber,
       password,
+      defaultRegion: defaultRegion || null,
     });
 
     await user.save();
@@ -61,8 +159,21 @@ router.post("/signup", validate(schemas.signup), async (req, res) => {
       console.error("Failed to update score for account creation:", scoreError);
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send email verification link
+    try {
+      await EmailVerificationService.sendVerification(user);
+    } catch (emailError) {
+      console.error("Failed to send verification email:", emailError);
+    }
+
+    // Friend request from whoever sent the invite link the user signed up
+    // from; invites to their email wait until it's verified
+    ContactInviteService.handleSignup(user, inviteToken).catch((inviteError) =>
+      console.error("Failed to process contact invites:", inviteError)
+    );
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
@@ -70,6 +181,7 @@ router.post("/signup", validate(schemas.signup), async (req, res) => {
       data: {
         user: user.toJSON(),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -91,29 +203,77 @@ router.post("/login", validate(schemas.login), async (req, res) => {
     // Find user by email or phone
     const user = await User.findByEmailOrPhone(identifier);
 
-    if (!user) {
-      return res.status(401).json({
+    // Refuse attempts while the identifier is locked or slowed down
+    const attemptKey = LoginProtectionService.getKey(identifier, user);
+    const attemptCheck = await LoginProtectionService.checkAllowed(attemptKey);
+
+    if (!attemptCheck.allowed) {
+      trackLogin(req, user, "failure", {
+        reason: attemptCheck.status === 423 ? "locked" : "rate_limited",
+      });
+      res.set("Retry-After", String(attemptCheck.retryAfterSeconds));
+      return res.status(attemptCheck.status).json({
         success: false,
-        message: "Invalid credentials",
+        message:
+          attemptCheck.status === 423
+            ? "Too many failed login attempts. Account temporarily locked."
+            : "Too many failed login attempts. Please wait before trying again.",
+        data: {
+          retryAfterSeconds: attemptCheck.retryAfterSeconds,
+        },
       });
     }
 
     // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    const isPasswordValid = user && (await user.comparePassword(password));
 
     if (!isPasswordValid) {
+      await LoginProtectionService.recordFailure(attemptKey, user, {
+        ipAddress: req.ip,
+      });
+      trackLogin(req, user, "failure", {
+        reason: "invalid_credentials",
+        details: user ? {} : { identifier },
+      });
       return res.status(401).json({
         success: false,
         message: "Invalid credentials",
       });
     }
 
+    await LoginProtectionService.recordSuccess(attemptKey);
+
+    if (user.suspendedAt) {
+      trackLogin(req, user, "failure", { reason: "account_suspended" });
+      return sendSuspended(res);
+    }
+
+    // Enrolled users finish login with a 2FA code at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TwoFactorService.generateChallengeToken(user),
+        },
+      });
+    }
+
+    if (!user.isActive) {
+      return sendReactivationRequired(req, res, user);
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken, session } = await issueTokens(user, req);
+    trackLogin(req, user, "success", {
+      session: session._id,
+      details: { method: "password" },
+    });
 
     res.json({
       success: true,
@@ -121,6 +281,7 @@ router.post("/login", validate(schemas.login), async (req, res) => {
       data: {
         user: user.toJSON(),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -132,40 +293,166 @@ router.post("/login", validate(schemas.login), async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or backup code
+// @access  Public
+router.post(
+  "/login/2fa",
+  validate(schemas.twoFactorLogin),
+  async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const payload = TwoFactorService.verifyChallengeToken(challengeToken);
+      const user = payload && (await User.findById(payload.userId));
+
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: "Login challenge is invalid or has expired",
+        });
+      }
+
+      if (user.suspendedAt) {
+        trackLogin(req, user, "failure", { reason: "account_suspended" });
+        return sendSuspended(res);
+      }
+
+      if (TwoFactorService.isLocked(user)) {
+        trackLogin(req, user, "failure", { reason: "two_factor_locked" });
+        return res.status(423).json({
+          success: false,
+          message: "Too many invalid codes. Please try again later.",
+        });
+      }
+
+      const isValid = await TwoFactorService.verifyCode(user, code);
+      if (!isValid) {
+        trackLogin(req, user, "failure", {
+          reason: "invalid_two_factor_code",
+        });
+        return res.status(401).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      if (!user.isActive) {
+        return sendReactivationRequired(req, res, user);
+      }
+
+      // Update last login
+      user.lastLogin = new Date();
+      await user.save();
+
+      // Generate tokens
+      const { token, refreshToken, session } = await issueTokens(user, req);
+      trackLogin(req, user, "success", {
+        session: session._id,
+        details: { method: "password", twoFactor: true },
+      });
+
+      res.json({
+        success: true,
+        message: "Login successful",
+        data: {
+          user: user.toJSON(),
+          token,
+          refreshToken,
+        },
+      });
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during login",
+      });
+    }
+  }
+);
+
 // @route   POST /api/auth/google
-// @desc    Google OAuth for mobile (returns token directly)
+// @desc    Google sign-in for mobile with a verified Google ID token
 // @access  Public
 router.post("/google", validate(schemas.google), async (req, res) => {
   try {
-    const { googleId, email, fullName, profilePicture } = req.body;
+    const { idToken, password } = req.body;
+
+    const payload = await googleAuthService.verifyIdToken(idToken);
+
+    if (!payload) {
+      trackLogin(req, null, "failure", {
+        reason: "invalid_google_token",
+        details: { method: "google" },
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid Google ID token",
+      });
+    }
+
+    if (!payload.email || !payload.email_verified) {
+      return res.status(400).json({
+        success: false,
+        message: "Google account email is not verified",
+      });
+    }
+
+    const googleId = payload.sub;
+    const email = payload.email.toLowerCase();
 
     // Check if user already exists with this Google ID
     let user = await User.findOne({ googleId });
 
-    if (user) {
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
-    } else {
+    if (!user) {
       // Check if user exists with same email
       const existingUser = await User.findOne({ email });
 
       if (existingUser) {
+        // Linking needs proof the caller owns the existing account
+        if (!password) {
+          return res.status(409).json({
+            success: false,
+            message:
+              "An account with this email already exists. Enter its password to link Google sign-in.",
+            data: {
+              linkRequired: true,
+            },
+          });
+        }
+
+        const isPasswordValid = await existingUser.comparePassword(password);
+        if (!isPasswordValid) {
+          trackLogin(req, existingUser, "failure", {
+            reason: "invalid_credentials",
+            details: { method: "google" },
+          });
+          return res.status(401).json({
+            success: false,
+            message: "Invalid credentials",
+          });
+        }
+
         // Link Google account to existing user
+        const newlyVerified = !existingUser.isEmailVerified;
         existingUser.googleId = googleId;
         existingUser.isEmailVerified = true;
-        existingUser.lastLogin = new Date();
         await existingUser.save();
         user = existingUser;
+
+        if (newlyVerified) {
+          ContactInviteService.handleEmailVerified(user).catch((inviteError) =>
+            console.error("Failed to process contact invites:", inviteError)
+          );
+        }
       } else {
         // Create new user
         user = new User({
           googleId,
-          fullName,
+          fullName: (payload.name || email.split("@")[0]).slice(0, 50),
           email,
-          profilePicture,
+          profilePicture: payload.picture || null,
           isEmailVerified: true,
-          lastLogin: new Date(),
         });
         await user.save();
 
@@ -185,11 +472,44 @@ router.post("/google", validate(schemas.google), async (req, res) => {
             scoreError
           );
         }
+
+        ContactInviteService.handleSignup(user).catch((inviteError) =>
+          console.error("Failed to process contact invites:", inviteError)
+        );
       }
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.suspendedAt) {
+      trackLogin(req, user, "failure", { reason: "account_suspended" });
+      return sendSuspended(res);
+    }
+
+    // Enrolled users finish login with a 2FA code at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: TwoFactorService.generateChallengeToken(user),
+        },
+      });
+    }
+
+    if (!user.isActive) {
+      return sendReactivationRequired(req, res, user);
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate tokens
+    const { token, refreshToken, session } = await issueTokens(user, req);
+    trackLogin(req, user, "success", {
+      session: session._id,
+      details: { method: "google" },
+    });
 
     res.json({
       success: true,
@@ -197,6 +517,7 @@ router.post("/google", validate(schemas.google), async (req, res) => {
       data: {
         user: user.toJSON(),
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -208,18 +529,116 @@ router.post("/google", validate(schemas.google), async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/reactivate
+// @desc    Reactivate a deactivated account with the token from sign-in
+// @access  Public
+router.post(
+  "/reactivate",
+  validate(schemas.reactivateAccount),
+  async (req, res) => {
+    try {
+      const user = await AccountDeactivationService.verifyToken(
+        req.body.reactivationToken
+      );
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: "Reactivation token is invalid or has expired",
+        });
+      }
+
+      if (!AccountDeactivationService.canReactivate(user)) {
+        trackLogin(req, user, "failure", { reason: "account_suspended" });
+        return sendSuspended(res);
+      }
+
+      await AccountDeactivationService.reactivate(user);
+
+      // Update last login
+      user.lastLogin = new Date();
+      await user.save();
+
+      const { token, refreshToken, session } = await issueTokens(user, req);
+      AuditLogService.track(req, "account.reactivate", {
+        actor: user._id,
+        session: session._id,
+      });
+      trackLogin(req, user, "success", {
+        session: session._id,
+        details: { method: "reactivation" },
+      });
+
+      res.json({
+        success: true,
+        message: "Account reactivated successfully",
+        data: {
+          user: user.toJSON(),
+          token,
+          refreshToken,
+        },
+      });
+    } catch (error) {
+      console.error("Account reactivation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during account reactivation",
+      });
+    }
+  }
+);
+
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post("/refresh", authenticateToken, async (req, res) => {
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public
+router.post("/refresh", validate(schemas.refreshToken), async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
+    const rotated = await SessionService.rotateSession(
+      req.body.refreshToken,
+      getSessionContext(req)
+    );
+
+    if (!rotated) {
+      AuditLogService.track(req, "auth.token_refresh", {
+        actor: null,
+        result: "failure",
+        reason: "invalid_refresh_token",
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await SessionService.revokeSession(session._id, "logout");
+      AuditLogService.track(req, "auth.token_refresh", {
+        actor: session.user,
+        session: session._id,
+        result: "failure",
+        reason: "account_inactive",
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    const token = generateToken(user._id, session._id);
+    AuditLogService.track(req, "auth.token_refresh", {
+      actor: user._id,
+      session: session._id,
+    });
 
     res.json({
       success: true,
       message: "Token refreshed successfully",
       data: {
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -232,15 +651,392 @@ router.post("/refresh", authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke the current session
 // @access  Private
-router.post("/logout", authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: "Logout successful",
-  });
+router.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.authSession._id, "logout");
+    AuditLogService.track(req, "auth.logout");
+
+    res.json({
+      success: true,
+      message: "Logout successful",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during logout",
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new email verification link
+// @access  Private
+router.post("/verify-email/resend", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    if (!EmailVerificationService.canResend(user)) {
+      return res.status(429).json({
+        success: false,
+        message: "Please wait a minute before requesting another email",
+      });
+    }
+
+    await EmailVerificationService.sendVerification(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while sending verification email",
+    });
+  }
 });
 
+// @route   POST /api/auth/verify-email/confirm
+// @desc    Confirm email address with the token from the verification link
+// @access  Public
+router.post(
+  "/verify-email/confirm",
+  validate(schemas.verifyEmail),
+  async (req, res) => {
+    try {
+      const payload = EmailVerificationService.verifyToken(req.body.token);
+      const user = payload && (await User.findById(payload.userId));
+
+      // Links are only valid for the address they were sent to
+      if (!user || user.email !== payload.email) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired verification link",
+        });
+      }
+
+      if (!user.isEmailVerified) {
+        user.isEmailVerified = true;
+        await user.save();
+
+        // Friend requests from anyone who invited this email
+        ContactInviteService.handleEmailVerified(user).catch((inviteError) =>
+          console.error("Failed to process contact invites:", inviteError)
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "Email verified successfully",
+        data: {
+          user: user.toJSON(),
+        },
+      });
+    } catch (error) {
+      console.error("Email verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during email verification",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link by email or SMS
+// @access  Public
+router.post(
+  "/forgot-password",
+  passwordResetLimiter,
+  validate(schemas.forgotPassword),
+  async (req, res) => {
+    try {
+      const { identifier, channel = "email" } = req.body;
+
+      await PasswordResetService.requestReset(identifier, channel, {
+        ipAddress: req.ip,
+      });
+
+      // Same response whether or not the account exists
+      res.json({
+        success: true,
+        message: "If an account matches, a password reset link has been sent",
+      });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during password reset request",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post(
+  "/reset-password",
+  passwordResetLimiter,
+  validate(schemas.resetPassword),
+  async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      const user = await PasswordResetService.resetPassword(token, newPassword);
+
+      if (!user) {
+        AuditLogService.track(req, "account.password_reset", {
+          actor: null,
+          result: "failure",
+          reason: "invalid_reset_token",
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired reset link",
+        });
+      }
+
+      AuditLogService.track(req, "account.password_reset", {
+        actor: user._id,
+      });
+
+      res.json({
+        success: true,
+        message: "Password reset successfully. Please log in again.",
+      });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during password reset",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and get the secret and otpauth URI
+// @access  Private
+router.post("/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { secret, otpauthUri } = await TwoFactorService.startEnrollment(user);
+
+    res.json({
+      success: true,
+      message: "Scan the code with your authenticator app, then confirm it",
+      data: {
+        secret,
+        otpauthUri,
+      },
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during two-factor setup",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and get backup codes
+// @access  Private
+router.post(
+  "/2fa/enable",
+  authenticateToken,
+  validate(schemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      const backupCodes = await TwoFactorService.completeEnrollment(
+        user,
+        req.body.code
+      );
+
+      if (!backupCodes) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      AuditLogService.track(req, "account.two_factor_enabled");
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        data: {
+          backupCodes,
+          stepUpActions: user.twoFactor.stepUpActions,
+        },
+      });
+    } catch (error) {
+      console.error("2FA enable error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while enabling two-factor authentication",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (needs a current code or backup code)
+// @access  Private
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  validate(schemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const isValid = await TwoFactorService.verifyCode(user, req.body.code);
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      await TwoFactorService.disable(user);
+      AuditLogService.track(req, "account.two_factor_disabled");
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      console.error("2FA disable error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while disabling two-factor authentication",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes (needs a current code)
+// @access  Private
+router.post(
+  "/2fa/backup-codes",
+  authenticateToken,
+  validate(schemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      const isValid = await TwoFactorService.verifyCode(user, req.body.code);
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      const backupCodes = await TwoFactorService.regenerateBackupCodes(user);
+
+      res.json({
+        success: true,
+        message: "Backup codes regenerated",
+        data: {
+          backupCodes,
+        },
+      });
+    } catch (error) {
+      console.error("2FA backup codes error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while regenerating backup codes",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/auth/2fa/step-up
+// @desc    Choose which sensitive actions need a fresh 2FA code (needs a
+//          current code so a stolen session can't switch protection off)
+// @access  Private
+router.put(
+  "/2fa/step-up",
+  authenticateToken,
+  validate(schemas.stepUpSettings),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const isValid = await TwoFactorService.verifyCode(user, req.body.code);
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      user.twoFactor.stepUpActions = req.body.actions;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: "Step-up settings updated",
+        data: {
+          stepUpActions: user.twoFactor.stepUpActions,
+        },
+      });
+    } catch (error) {
+      console.error("2FA step-up settings error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating step-up settings",
+      });
+    }
+  }
+);
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -1,75 +1,57 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { limits } = require('../middleware/rateLimit');
+const { validate, schemas } = require('../middleware/validation');
 const User = require('../models/User');
 const Friend = require('../models/Friend');
 const FriendRequest = require('../models/FriendRequest');
-
-// Search users by name, email or phone number
+const FriendInviteService = require('../services/friendInviteService');
+const ContactInviteService = require('../services/contactInviteService');
+const FriendshipService = require('../services/friendshipService');
+const FriendRequestService = require('../services/friendRequestService');
+const FriendSuggestionService = require('../services/friendSuggestionService');
+const FriendGroupService = require('../services/friendGroupService');
+const LendingLimitService = require('../services/lendingLimitService');
+const PhoneNumberService = require('../services/phoneNumberService');
+const UserSearchService = require('../services/userSearchService');
+
+// Search users by name, handle, email or phone number. Results are paged
+// with the nextCursor of the previous page.
 router.get('/search', authenticateToken, async (req, res) => {
   try {
-    const { query } = req.query;
-    if (!query) {
-      return res.status(400).json({ message: 'Search query is required' });
-    }
+    const { query, cursor, limit } = req.query;
+    const result = await UserSearchService.search(req.user, query, { cursor, limit });
 
-    const users = await User.find({
-      $or: [
-        { fullName: { $regex: query, $options: 'i' } },
-        { email: { $regex: query, $options: 'i' } },
-        { phoneNumber: { $regex: query, $options: 'i' } }
-      ],
-      _id: { $ne: req.user.id } // Exclude current user
-    }).select('fullName email phoneNumber profilePicture');
+    if (result.status) {
+      return res.status(result.status).json({ message: result.message });
+    }
 
-    res.json(users);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Send friend request
-router.post('/request', authenticateToken, async (req, res) => {
+router.post('/request', authenticateToken, limits.friendRequest, async (req, res) => {
   try {
     const { recipientId } = req.body;
-    
-    // Check if recipient exists
-    const recipient = await User.findById(recipientId);
-    if (!recipient) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Check if request already exists
-    const existingRequest = await FriendRequest.findOne({
-      $or: [
-        { sender: req.user.id, recipient: recipientId },
-        { sender: recipientId, recipient: req.user.id }
-      ]
-    });
 
-    if (existingRequest) {
-      return res.status(400).json({ message: 'Friend request already exists' });
+    if (!mongoose.Types.ObjectId.isValid(recipientId)) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if already friends
-    const existingFriendship = await Friend.findOne({
-      $or: [
-        { user: req.user.id, friend: recipientId },
-        { user: recipientId, friend: req.user.id }
-      ]
-    });
-
-    if (existingFriendship) {
-      return res.status(400).json({ message: 'Already friends' });
+    const outcome = await FriendRequestService.send(req.user, recipientId);
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        message: outcome.message,
+        ...(outcome.retryAfter && { retryAfter: outcome.retryAfter })
+      });
     }
 
-    const friendRequest = new FriendRequest({
-      sender: req.user.id,
-      recipient: recipientId
-    });
-
-    await friendRequest.save();
-    res.json({ message: 'Friend request sent successfully' });
+    res.json({ message: 'Friend request sent successfully', request: outcome.request });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -84,29 +66,57 @@ router.put('/request/:requestId', authenticateToken, async (req, res) => {
     if (!['accepted', 'rejected'].includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
 
-    const request = await FriendRequest.findOne({
-      _id: requestId,
-      recipient: req.user.id,
-      status: 'pending'
-    });
-
+    const request = await FriendRequestService.respond(req.user, requestId, status);
     if (!request) {
       return res.status(404).json({ message: 'Friend request not found' });
     }
 
-    request.status = status;
-    await request.save();
+    res.json({ message: `Friend request ${status} successfully` });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
 
-    if (status === 'accepted') {
-      // Create friendship records for both users
-      await Friend.create([
-        { user: request.sender, friend: request.recipient },
-        { user: request.recipient, friend: request.sender }
-      ]);
+// Withdraw a pending friend request
+router.delete('/request/:requestId', authenticateToken, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(404).json({ message: 'Friend request not found' });
     }
 
-    res.json({ message: `Friend request ${status} successfully` });
+    const cancelled = await FriendRequestService.cancel(req.user, requestId);
+    if (!cancelled) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    res.json({ message: 'Friend request cancelled successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remind the recipient of a pending friend request (once a day)
+router.post('/request/:requestId/resend', authenticateToken, async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    const outcome = await FriendRequestService.resend(req.user, requestId);
+    if (outcome.status) {
+      return res.status(outcome.status).json({
+        message: outcome.message,
+        ...(outcome.retryAfter && { retryAfter: outcome.retryAfter })
+      });
+    }
+
+    res.json({ message: 'Friend request resent successfully', request: outcome.request });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -116,7 +126,7 @@ router.put('/request/:requestId', authenticateToken, async (req, res) => {
 router.get('/list', authenticateToken, async (req, res) => {
   try {
     const friends = await Friend.find({ user: req.user.id })
-      .populate('friend', 'fullName email phoneNumber profilePicture good4itScore')
+      .populate('friend', 'fullName handle email phoneNumber profilePicture good4itScore')
       .sort('-createdAt');
 
     res.json(friends.map(f => f.friend));
@@ -125,14 +135,41 @@ router.get('/list', authenticateToken, async (req, res) => {
   }
 });
 
+// People the user may know, ranked by mutual friends, contacts and shared
+// loans or tasks
+router.get('/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await FriendSuggestionService.getSuggestions(req.user._id, { page, limit });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Stop suggesting a user
+router.post('/suggestions/:userId/dismiss', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    await FriendSuggestionService.dismiss(req.user._id, userId);
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get pending friend requests (received)
 router.get('/requests', authenticateToken, async (req, res) => {
   try {
     const requests = await FriendRequest.find({
       recipient: req.user.id,
-      status: 'pending'
+      ...FriendRequest.openFilter()
     })
-    .populate('sender', 'fullName email phoneNumber profilePicture')
+    .populate('sender', 'fullName handle email phoneNumber profilePicture')
     .sort('-createdAt');
 
     res.json(requests);
@@ -146,9 +183,9 @@ router.get('/requests/sent', authenticateToken, async (req, res) => {
   try {
     const requests = await FriendRequest.find({
       sender: req.user.id,
-      status: 'pending'
+      ...FriendRequest.openFilter()
     })
-    .populate('recipient', 'fullName email phoneNumber profilePicture')
+    .populate('recipient', 'fullName handle email phoneNumber profilePicture')
     .sort('-createdAt');
 
     res.json(requests);
@@ -157,39 +194,67 @@ router.get('/requests/sent', authenticateToken, async (req, res) => {
   }
 });
 
-// Get users from contacts who are using the app
+// How clients hash contacts for POST /contacts when they don't want to
+// upload phone numbers
+router.get('/contacts/hashing', authenticateToken, (req, res) => {
+  const salt = PhoneNumberService.getHashSalt();
+  if (!salt) {
+    return res.status(503).json({ message: 'Hashed contact matching is not available' });
+  }
+
+  res.json({
+    algorithm: 'sha256',
+    salt,
+    format: 'hex SHA-256 of the salt followed by the E.164 phone number'
+  });
+});
+
+// Get users from contacts who are using the app. Contacts come either as
+// phoneNumbers or as phoneNumberHashes (see GET /contacts/hashing).
 router.post('/contacts', authenticateToken, async (req, res) => {
   try {
-    const { phoneNumbers } = req.body;
-    
-    if (!phoneNumbers || !Array.isArray(phoneNumbers)) {
-      return res.status(400).json({ message: 'phoneNumbers array is required' });
+    const { phoneNumbers, phoneNumberHashes } = req.body;
+    const contacts = phoneNumberHashes || phoneNumbers;
+
+    if (!Array.isArray(contacts)) {
+      return res.status(400).json({ message: 'phoneNumbers or phoneNumberHashes array is required' });
+    }
+    if (contacts.length > PhoneNumberService.MAX_CONTACTS) {
+      return res.status(400).json({
+        message: `At most ${PhoneNumberService.MAX_CONTACTS} contacts can be matched at once`
+      });
     }
 
-    // Normalize phone numbers (remove spaces, dashes, etc.)
-    const normalizedNumbers = phoneNumbers.map(num => 
-      num.replace(/[\s\-\(\)]/g, '').replace(/^\+/, '')
-    ).filter(num => num.length > 0);
+    // Numbers are compared in E.164 form; local ones are read as being in
+    // the user's region
+    let field = 'phoneNumber';
+    let values;
+    if (phoneNumberHashes) {
+      if (!PhoneNumberService.getHashSalt()) {
+        return res.status(503).json({ message: 'Hashed contact matching is not available' });
+      }
+      field = 'phoneNumberHash';
+      values = contacts.filter(PhoneNumberService.isHash);
+    } else {
+      values = contacts
+        .map(num => PhoneNumberService.normalize(num, req.user.defaultRegion))
+        .filter(Boolean);
+    }
 
-    if (normalizedNumbers.length === 0) {
+    values = [...new Set(values)];
+    if (values.length === 0) {
       return res.json([]);
     }
 
-    // Build regex patterns for flexible matching
-    // Match phone numbers that contain any of the normalized numbers (handles different formats)
-    // Create regex strings for MongoDB
-    const phoneMatchConditions = normalizedNumbers.map(num => {
-      // Escape special regex characters
-      const escaped = num.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      // Match the number anywhere in the phone number field (handles different formats)
-      return { phoneNumber: { $regex: escaped, $options: 'i' } };
-    });
+    const blockedIds = await FriendshipService.getBlockedUserIds(req.user._id);
 
+    // Only users who allow being found by phone number match
     const users = await User.find({
-      $or: phoneMatchConditions,
-      _id: { $ne: req.user.id }, // Exclude current user
-      phoneNumber: { $exists: true, $ne: null } // Only users with phone numbers
-    }).select('fullName email phoneNumber profilePicture good4itScore');
+      [field]: { $in: values },
+      _id: { $nin: [req.user._id, ...blockedIds] }, // Exclude current and blocked users
+      ...User.discoverableFilter(),
+      'privacy.discoverableByPhone': { $ne: false }
+    }).select('fullName handle email phoneNumber profilePicture good4itScore privacy');
 
     // Get existing friends and requests to filter out
     const existingFriends = await Friend.find({ user: req.user.id });
@@ -197,13 +262,13 @@ router.post('/contacts', authenticateToken, async (req, res) => {
     
     const sentRequests = await FriendRequest.find({
       sender: req.user.id,
-      status: 'pending'
+      ...FriendRequest.openFilter()
     });
     const sentRequestIds = sentRequests.map(r => r.recipient.toString());
     
     const receivedRequests = await FriendRequest.find({
       recipient: req.user.id,
-      status: 'pending'
+      ...FriendRequest.openFilter()
     });
     const receivedRequestIds = receivedRequests.map(r => r.sender.toString());
 
@@ -215,7 +280,487 @@ router.post('/contacts', authenticateToken, async (req, res) => {
              !receivedRequestIds.includes(userId);
     });
 
-    res.json(filteredUsers);
+    // Contacts are never friends here, so the score follows the privacy setting
+    res.json(filteredUsers.map(user => user.toDiscoveryJSON()));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Invite details with a shareable code, link and QR code locations
+const inviteResponse = (invite) => {
+  const code = FriendInviteService.generateCode(invite);
+  return {
+    invite,
+    code,
+    link: FriendInviteService.buildLink(code),
+    qrCode: {
+      png: `/api/friends/invites/${invite._id}/qr?format=png`,
+      svg: `/api/friends/invites/${invite._id}/qr?format=svg`
+    }
+  };
+};
+
+// Invite a contact who isn't on Good4It by SMS or email
+router.post('/contacts/invite', authenticateToken, async (req, res) => {
+  try {
+    const { phoneNumber, email } = req.body;
+
+    if (!!phoneNumber === !!email) {
+      return res.status(400).json({ message: 'Provide either phoneNumber or email' });
+    }
+
+    let channel;
+    if (phoneNumber) {
+      if (!PhoneNumberService.normalize(phoneNumber, req.user.defaultRegion)) {
+        return res.status(400).json({ message: 'Please enter a valid phone number' });
+      }
+      channel = 'sms';
+    } else {
+      if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        return res.status(400).json({ message: 'Please enter a valid email address' });
+      }
+      channel = 'email';
+    }
+
+    const outcome = await ContactInviteService.sendInvite(
+      req.user,
+      channel,
+      phoneNumber || email
+    );
+
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    // Already on Good4It: send a friend request instead
+    if (outcome.existingUser) {
+      return res.status(409).json({
+        message: 'This contact is already on Good4It',
+        user: outcome.existingUser.toDiscoveryJSON()
+      });
+    }
+
+    res.status(outcome.alreadySent ? 200 : 201).json({
+      message: outcome.alreadySent
+        ? 'This contact was already invited recently'
+        : 'Invite sent successfully',
+      invite: outcome.invite
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get invites sent to contacts, with whether they were opened or accepted
+router.get('/contacts/invites', authenticateToken, async (req, res) => {
+  try {
+    const invites = await ContactInviteService.listForInviter(req.user._id);
+    res.json(invites);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Public: record that a contact invite link was opened and show who sent it
+router.get('/contact-invites/:token', async (req, res) => {
+  try {
+    const invite = await ContactInviteService.recordOpen(req.params.token);
+    if (!invite || !invite.inviter) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({
+      inviter: {
+        fullName: invite.inviter.fullName,
+        handle: invite.inviter.handle || null,
+        profilePicture: invite.inviter.profilePicture
+      },
+      expiresAt: invite.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Load one of the current user's invites, or send a 404
+const findOwnInvite = async (req, res) => {
+  const { inviteId } = req.params;
+  const invite = mongoose.Types.ObjectId.isValid(inviteId)
+    ? await FriendInviteService.getInvite(inviteId, req.user._id)
+    : null;
+
+  if (!invite) {
+    res.status(404).json({ message: 'Invite not found' });
+    return null;
+  }
+  return invite;
+};
+
+// Create an invite that can be shared as a link or QR code
+router.post('/invites', authenticateToken, async (req, res) => {
+  try {
+    const { autoAccept = false, expiresInHours } = req.body;
+
+    if (typeof autoAccept !== 'boolean') {
+      return res.status(400).json({ message: 'autoAccept must be a boolean' });
+    }
+    if (
+      expiresInHours !== undefined &&
+      (!Number.isInteger(expiresInHours) ||
+        expiresInHours < 1 ||
+        expiresInHours > FriendInviteService.MAX_EXPIRY_HOURS)
+    ) {
+      return res.status(400).json({
+        message: `expiresInHours must be a whole number between 1 and ${FriendInviteService.MAX_EXPIRY_HOURS}`
+      });
+    }
+
+    const invite = await FriendInviteService.createInvite(req.user._id, {
+      autoAccept,
+      expiresInHours
+    });
+
+    res.status(201).json(inviteResponse(invite));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get invites that can still be used
+router.get('/invites', authenticateToken, async (req, res) => {
+  try {
+    const invites = await FriendInviteService.listActive(req.user._id);
+    res.json(invites.map(inviteResponse));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the QR code of an invite as a PNG or SVG image
+router.get('/invites/:inviteId/qr', authenticateToken, async (req, res) => {
+  try {
+    const format = req.query.format || 'png';
+    if (!FriendInviteService.QR_FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'format must be png or svg' });
+    }
+
+    const invite = await findOwnInvite(req, res);
+    if (!invite) return;
+    if (!invite.isUsable()) {
+      return res.status(410).json({ message: 'This invite has expired or been revoked' });
+    }
+
+    const image = await FriendInviteService.renderQr(
+      FriendInviteService.generateCode(invite),
+      format
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke an invite; codes already shared stop working
+router.delete('/invites/:inviteId', authenticateToken, async (req, res) => {
+  try {
+    const invite = await findOwnInvite(req, res);
+    if (!invite) return;
+
+    await FriendInviteService.revoke(invite);
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Use a scanned invite code: sends a friend request to the inviter, or
+// adds them as a friend straight away
+router.post('/invites/redeem', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'Invite code is required' });
+    }
+
+    const outcome = await FriendInviteService.redeem(req.user, code);
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    res.json({
+      message: outcome.result === 'accepted'
+        ? 'You are now friends'
+        : 'Friend request sent successfully',
+      result: outcome.result,
+      user: outcome.inviter.toDiscoveryJSON(outcome.result === 'accepted')
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Load one of the current user's friend groups, or send a 404
+const findOwnGroup = async (req, res) => {
+  const { groupId } = req.params;
+  const group = mongoose.Types.ObjectId.isValid(groupId)
+    ? await FriendGroupService.get(req.user._id, groupId)
+    : null;
+
+  if (!group) {
+    res.status(404).json({ message: 'Friend group not found' });
+    return null;
+  }
+  return group;
+};
+
+// Friend groups (circles such as family or roommates)
+router.get('/groups', authenticateToken, async (req, res) => {
+  try {
+    const groups = await FriendGroupService.list(req.user._id);
+    res.json(groups);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a friend group, optionally with members
+router.post('/groups', authenticateToken, validate(schemas.createFriendGroup), async (req, res) => {
+  try {
+    const outcome = await FriendGroupService.create(req.user._id, req.body);
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    await FriendGroupService.populateMembers(outcome.group);
+    res.status(201).json(outcome.group);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/groups/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    await FriendGroupService.populateMembers(group);
+    res.json(group);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename a group or change its default visibility or lending policy
+router.put('/groups/:groupId', authenticateToken, validate(schemas.updateFriendGroup), async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const outcome = await FriendGroupService.update(group, req.body);
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    await FriendGroupService.populateMembers(outcome.group);
+    res.json(outcome.group);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/groups/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    await group.deleteOne();
+    res.json({ message: 'Friend group deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a friend to a group
+router.post('/groups/:groupId/members', authenticateToken, validate(schemas.addFriendGroupMember), async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const { userId, role } = req.body;
+    const outcome = await FriendGroupService.addMember(group, userId, role);
+    if (outcome.status) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    await FriendGroupService.populateMembers(outcome.group);
+    res.json(outcome.group);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a member's role
+router.put('/groups/:groupId/members/:userId', authenticateToken, validate(schemas.updateFriendGroupMember), async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const updated = await FriendGroupService.updateMember(group, req.params.userId, req.body.role);
+    if (!updated) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    await FriendGroupService.populateMembers(group);
+    res.json(group);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/groups/:groupId/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const group = await findOwnGroup(req, res);
+    if (!group) return;
+
+    const removed = await FriendGroupService.removeMember(group, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// The current user's lending limits for a friend
+router.get('/:friendId/lending-settings', authenticateToken, async (req, res) => {
+  try {
+    const { friendId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(friendId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const settings = await LendingLimitService.getSettings(req.user._id, friendId);
+    if (!settings) {
+      return res.status(404).json({ message: 'Friend not found' });
+    }
+
+    const outstanding = await LendingLimitService.getOutstanding(req.user._id, friendId);
+    res.json({ settings, outstanding });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cap what a friend can borrow, limit payment types or require proof of
+// repayment. Set a limit to null to remove it.
+router.put('/:friendId/lending-settings', authenticateToken, validate(schemas.lendingSettings), async (req, res) => {
+  try {
+    const { friendId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(friendId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const settings = await LendingLimitService.updateSettings(req.user._id, friendId, req.body);
+    if (!settings) {
+      return res.status(404).json({ message: 'Friend not found' });
+    }
+
+    res.json({ settings });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Users the current user has blocked
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    const blocked = await FriendshipService.listBlocked(req.user._id);
+    res.json(blocked);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Block a user. They can't find the current user, send friend or money
+// requests, or send reminders; loans between the two stay on both ledgers.
+router.post('/block', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+
+    const user = await User.exists({ _id: userId });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await FriendshipService.block(req.user._id, userId);
+    res.json({ message: 'User blocked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unblock a user. The friendship isn't restored.
+router.delete('/block/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const unblocked = await FriendshipService.unblock(req.user._id, userId);
+    if (!unblocked) {
+      return res.status(404).json({ message: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unfriend a user. When loans between the two are still open this returns
+// 409 with the loans; repeat with ?confirm=true to go ahead. The loans stay
+// on both ledgers either way.
+router.delete('/:friendId', authenticateToken, async (req, res) => {
+  try {
+    const { friendId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(friendId)) {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    const isFriend = await Friend.exists({ user: req.user._id, friend: friendId });
+    if (!isFriend) {
+      return res.status(404).json({ message: 'Friend not found' });
+    }
+
+    if (req.query.confirm !== 'true') {
+      const openTransactions = await FriendshipService.getOpenTransactions(
+        req.user._id,
+        friendId
+      );
+      if (openTransactions.length > 0) {
+        return res.status(409).json({
+          message: 'You have open loans with this friend. They will stay on both ledgers after unfriending.',
+          requiresConfirmation: true,
+          openTransactions
+        });
+      }
+    }
+
+    await FriendshipService.unfriend(req.user._id, friendId);
+    res.json({ message: 'Friend removed successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
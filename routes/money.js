@@ -1,6 +1,5 @@
 const express = require("express");
 const router = express.Router();
-const jwt = require("jsonwebtoken");
 const mongoose = require("mongoose");
 const MoneyRequest = require("../models/MoneyRequest");
 const MoneyTransaction = require("../models/MoneyTransaction");
@@ -15,36 +14,22 @@ const {
   uploadSingle,
   handleUploadError,
 } = require("../middleware/upload");
+const auth = require("../middleware/auth");
+const { requireStepUp } = auth;
+const { limits } = require("../middleware/rateLimit");
 const notificationService = require("../services/notificationService");
 const Good4ItScoreService = require("../services/good4itScoreService");
-
-// JWT Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: "Access token required",
-    });
-  }
-
-  jwt.verify(
-    token,
-    process.env.JWT_SECRET || "your-secret-key",
-    (err, user) => {
-      if (err) {
-        return res.status(403).json({
-          success: false,
-          message: "Invalid or expired token",
-        });
-      }
-      req.user = user;
-      next();
-    }
-  );
-};
+const SessionService = require("../services/sessionService");
+const AuditLogService = require("../services/auditLogService");
+const FriendshipService = require("../services/friendshipService");
+const FriendGroupService = require("../services/friendGroupService");
+const LendingLimitService = require("../services/lendingLimitService");
+
+// Money routes also need a verified email when REQUIRE_EMAIL_VERIFICATION is on
+const authenticateToken = [
+  auth.authenticateToken,
+  auth.requireVerificationIfEnabled,
+];
 
 // Helper function to check if users are friends
 const checkFriendship = async (userId1, userId2) => {
@@ -57,152 +42,213 @@ const checkFriendship = async (userId1, userId2) => {
   return !!friendship;
 };
 
-// POST /api/money/request - Create money request
-router.post("/request", authenticateToken, async (req, res) => {
-  try {
-    const { lenderId, amount, description, paymentType, emiDetails } = req.body;
-    const requestorId = req.user.userId;
-
-    // Validation
-    if (!lenderId || !amount) {
-      return res.status(400).json({
-        success: false,
-        message: "Lender ID and amount are required",
-      });
-    }
-
-    if (amount <= 0 || amount > 1000000) {
-      return res.status(400).json({
-        success: false,
-        message: "Amount must be between 1 and 1,000,000",
-      });
-    }
+// Friend group scope for ?groupId=, or the user's hidden groups when none is
+// given. Sends a 404 and returns null when the group isn't the user's.
+const getGroupScope = async (req, res) => {
+  const { groupId } = req.query;
+  const scope =
+    !groupId || mongoose.Types.ObjectId.isValid(groupId)
+      ? await FriendGroupService.getSummaryScope(req.user._id, groupId)
+      : null;
+
+  if (!scope) {
+    res.status(404).json({
+      success: false,
+      message: "Friend group not found",
+    });
+  }
+  return scope;
+};
 
-    if (requestorId === lenderId) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot request money from yourself",
-      });
-    }
+// Match on the user's side of a loan, limited to the counterparties in scope
+const ownSide = (side, userId, scope) => ({
+  [side]: userId,
+  ...(scope.counterparty && {
+    [side === "lender" ? "requestor" : "lender"]: scope.counterparty,
+  }),
+});
 
-    // Validate payment type
-    const validPaymentTypes = [
-      "full_payment",
-      "emi",
-      "installments",
-      "flexible",
-    ];
-    if (paymentType && !validPaymentTypes.includes(paymentType)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid payment type",
-      });
-    }
+// POST /api/money/request - Create money request
+router.post(
+  "/request",
+  authenticateToken,
+  limits.moneyRequest,
+  async (req, res) => {
+    try {
+      const { lenderId, amount, description, paymentType, emiDetails } =
+        req.body;
+      const requestorId = req.user.userId;
 
-    // Validate EMI details if payment type is EMI
-    if (paymentType === "emi" && emiDetails) {
-      if (
-        !emiDetails.numberOfInstallments ||
-        !emiDetails.installmentAmount ||
-        !emiDetails.frequency
-      ) {
+      // Validation
+      if (!lenderId || !amount) {
         return res.status(400).json({
           success: false,
-          message:
-            "EMI details must include number of installments, installment amount, and frequency",
+          message: "Lender ID and amount are required",
         });
       }
 
-      if (
-        emiDetails.numberOfInstallments < 1 ||
-        emiDetails.numberOfInstallments > 24
-      ) {
+      if (amount <= 0 || amount > 1000000) {
         return res.status(400).json({
           success: false,
-          message: "Number of installments must be between 1 and 24",
+          message: "Amount must be between 1 and 1,000,000",
         });
       }
 
-      if (emiDetails.installmentAmount <= 0) {
+      if (requestorId.toString() === lenderId) {
         return res.status(400).json({
           success: false,
-          message: "Installment amount must be greater than 0",
+          message: "Cannot request money from yourself",
         });
       }
 
-      const validFrequencies = ["weekly", "monthly", "quarterly"];
-      if (!validFrequencies.includes(emiDetails.frequency)) {
+      // Validate payment type
+      const validPaymentTypes = [
+        "full_payment",
+        "emi",
+        "installments",
+        "flexible",
+      ];
+      if (paymentType && !validPaymentTypes.includes(paymentType)) {
         return res.status(400).json({
           success: false,
-          message: "Frequency must be weekly, monthly, or quarterly",
+          message: "Invalid payment type",
         });
       }
-    }
 
-    // Check if users are friends
-    const areFriends = await checkFriendship(requestorId, lenderId);
-    if (!areFriends) {
-      return res.status(400).json({
-        success: false,
-        message: "You can only request money from friends",
-      });
-    }
+      // Validate EMI details if payment type is EMI
+      if (paymentType === "emi" && emiDetails) {
+        if (
+          !emiDetails.numberOfInstallments ||
+          !emiDetails.installmentAmount ||
+          !emiDetails.frequency
+        ) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "EMI details must include number of installments, installment amount, and frequency",
+          });
+        }
 
-    // Check if lender exists
-    const lender = await User.findById(lenderId);
-    if (!lender) {
-      return res.status(404).json({
-        success: false,
-        message: "Lender not found",
-      });
-    }
+        if (
+          emiDetails.numberOfInstallments < 1 ||
+          emiDetails.numberOfInstallments > 24
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "Number of installments must be between 1 and 24",
+          });
+        }
 
-    // Create money request
-    const moneyRequest = new MoneyRequest({
-      requestor: requestorId,
-      lender: lenderId,
-      amount,
-      description: description || "",
-      paymentType: paymentType || "full_payment",
-      emiDetails: paymentType === "emi" ? emiDetails : undefined,
-    });
+        if (emiDetails.installmentAmount <= 0) {
+          return res.status(400).json({
+            success: false,
+            message: "Installment amount must be greater than 0",
+          });
+        }
 
-    await moneyRequest.save();
+        const validFrequencies = ["weekly", "monthly", "quarterly"];
+        if (!validFrequencies.includes(emiDetails.frequency)) {
+          return res.status(400).json({
+            success: false,
+            message: "Frequency must be weekly, monthly, or quarterly",
+          });
+        }
+      }
 
-    // Populate the request with user details
-    await moneyRequest.populate([
-      { path: "requestor", select: "fullName email profilePicture" },
-      { path: "lender", select: "fullName email profilePicture" },
-    ]);
+      if (await FriendshipService.isBlocked(requestorId, lenderId)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't request money from this user",
+        });
+      }
 
-    // Send notification to lender
-    try {
-      const requestor = await User.findById(requestorId);
-      await notificationService.notifyMoneyRequest(
+      // Check if users are friends
+      const areFriends = await checkFriendship(requestorId, lenderId);
+      if (!areFriends) {
+        return res.status(400).json({
+          success: false,
+          message: "You can only request money from friends",
+        });
+      }
+
+      // The lender's settings for this friend and their friend groups can
+      // turn requests off or cap them
+      const limitCheck = await LendingLimitService.checkRequest(
         lenderId,
         requestorId,
-        requestor.fullName,
-        amount,
-        moneyRequest._id
+        { amount, paymentType: paymentType || "full_payment" }
       );
-    } catch (notifError) {
-      console.error("Failed to send notification:", notifError);
-      // Don't fail the request if notification fails
-    }
+      if (limitCheck.status) {
+        return res.status(limitCheck.status).json({
+          success: false,
+          message: limitCheck.message,
+          data: { headroom: limitCheck.headroom },
+        });
+      }
 
-    res.status(201).json({
-      success: true,
-      message: "Money request created successfully",
-      data: { request: moneyRequest },
-    });
-  } catch (error) {
-    console.error("Error creating money request:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to create money request",
-    });
+      // Check if lender exists
+      const lender = await User.findById(lenderId);
+      if (!lender) {
+        return res.status(404).json({
+          success: false,
+          message: "Lender not found",
+        });
+      }
+
+      // Create money request
+      const moneyRequest = new MoneyRequest({
+        requestor: requestorId,
+        lender: lenderId,
+        amount,
+        description: description || "",
+        paymentType: paymentType || "full_payment",
+        emiDetails: paymentType === "emi" ? emiDetails : undefined,
+        proofRequired: limitCheck.headroom.proofRequired,
+      });
+
+      await moneyRequest.save();
+
+      // Populate the request with user details
+      await moneyRequest.populate([
+        { path: "requestor", select: "fullName email profilePicture" },
+        { path: "lender", select: "fullName email profilePicture" },
+      ]);
+
+      // Send notification to lender
+      try {
+        const requestor = await User.findById(requestorId);
+        await notificationService.notifyMoneyRequest(
+          lenderId,
+          requestorId,
+          requestor.fullName,
+          amount,
+          moneyRequest._id
+        );
+      } catch (notifError) {
+        console.error("Failed to send notification:", notifError);
+        // Don't fail the request if notification fails
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Money request created successfully",
+        data: {
+          request: moneyRequest,
+          headroom: await LendingLimitService.getHeadroom(
+            lenderId,
+            requestorId
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error creating money request:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create money request",
+      });
+    }
   }
-});
+);
 
 // GET /api/money/requests - Get user's money requests
 router.get("/requests", authenticateToken, async (req, res) => {
@@ -274,7 +320,7 @@ router.put("/request/:id", authenticateToken, async (req, res) => {
     }
 
     // Only the lender can approve/reject
-    if (request.lender.toString() !== userId) {
+    if (request.lender.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
         message: "Only the lender can approve or reject this request",
@@ -401,7 +447,7 @@ router.post(
       }
 
       // Only the lender can approve and pay
-      if (request.lender.toString() !== userId) {
+      if (request.lender.toString() !== userId.toString()) {
         return res.status(403).json({
           success: false,
           message: "Only the lender can approve and pay this request",
@@ -509,6 +555,8 @@ router.post(
 router.get("/summary", authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
+    const scope = await getGroupScope(req, res);
+    if (!scope) return;
 
     // Calculate totals using aggregation
     const [
@@ -528,7 +576,12 @@ router.get("/summary", authenticateToken, async (req, res) => {
     ] = await Promise.all([
       // Total requested by user
       MoneyRequest.aggregate([
-        { $match: { requestor: userId, status: "approved" } },
+        {
+          $match: {
+            ...ownSide("requestor", userId, scope),
+            status: "approved",
+          },
+        },
         { $group: { _id: null, total: { $sum: "$amount" } } },
       ]),
 
@@ -536,7 +589,7 @@ router.get("/summary", authenticateToken, async (req, res) => {
       MoneyTransaction.aggregate([
         {
           $match: {
-            lender: userId,
+            ...ownSide("lender", userId, scope),
             status: {
               $in: ["money_received", "repayment_sent", "repaid", "forgiven"],
             },
@@ -549,7 +602,7 @@ router.get("/summary", authenticateToken, async (req, res) => {
       MoneyTransaction.aggregate([
         {
           $match: {
-            requestor: userId,
+            ...ownSide("requestor", userId, scope),
             status: {
               $in: ["money_received", "repayment_sent", "repaid", "forgiven"],
             },
@@ -560,7 +613,9 @@ router.get("/summary", authenticateToken, async (req, res) => {
 
       // Total returned (repayments made)
       MoneyTransaction.aggregate([
-        { $match: { requestor: userId, status: "repaid" } },
+        {
+          $match: { ...ownSide("requestor", userId, scope), status: "repaid" },
+        },
         { $group: { _id: null, total: { $sum: "$repaymentAmount" } } },
       ]),
 
@@ -568,7 +623,10 @@ router.get("/summary", authenticateToken, async (req, res) => {
       MoneyRequest.aggregate([
         {
           $match: {
-            $or: [{ requestor: userId }, { lender: userId }],
+            $or: [
+              ownSide("requestor", userId, scope),
+              ownSide("lender", userId, scope),
+            ],
             status: "pending",
           },
         },
@@ -577,7 +635,7 @@ router.get("/summary", authenticateToken, async (req, res) => {
 
       // Total forgiven (lender perspective)
       MoneyTransaction.aggregate([
-        { $match: { lender: userId, status: "forgiven" } },
+        { $match: { ...ownSide("lender", userId, scope), status: "forgiven" } },
         {
           $group: {
             _id: null,
@@ -599,34 +657,46 @@ router.get("/summary", authenticateToken, async (req, res) => {
       ]),
 
       // Transaction counts
-      MoneyRequest.countDocuments({ requestor: userId, status: "approved" }),
-      MoneyRequest.countDocuments({ lender: userId, status: "approved" }),
+      MoneyRequest.countDocuments({
+        ...ownSide("requestor", userId, scope),
+        status: "approved",
+      }),
+      MoneyRequest.countDocuments({
+        ...ownSide("lender", userId, scope),
+        status: "approved",
+      }),
       MoneyTransaction.countDocuments({
-        requestor: userId,
+        ...ownSide("requestor", userId, scope),
         status: {
           $in: ["money_received", "repayment_sent", "repaid", "forgiven"],
         },
       }),
-      MoneyTransaction.countDocuments({ requestor: userId, status: "repaid" }),
+      MoneyTransaction.countDocuments({
+        ...ownSide("requestor", userId, scope),
+        status: "repaid",
+      }),
       MoneyRequest.countDocuments({
-        $or: [{ requestor: userId }, { lender: userId }],
+        $or: [
+          ownSide("requestor", userId, scope),
+          ownSide("lender", userId, scope),
+        ],
         status: "pending",
       }),
       MoneyRequest.countDocuments({
         $or: [
-          { requestor: userId, status: "rejected" },
-          { lender: userId, status: "rejected" },
+          { ...ownSide("requestor", userId, scope), status: "rejected" },
+          { ...ownSide("lender", userId, scope), status: "rejected" },
         ],
       }),
       MoneyTransaction.countDocuments({
-        lender: userId,
+        ...ownSide("lender", userId, scope),
         status: "forgiven",
       }),
     ]);
 
     // Get upcoming payments
     const upcomingToReturn = await MoneyTransaction.find({
-      requestor: userId,
+      ...ownSide("requestor", userId, scope),
       status: { $in: ["money_received", "repayment_sent"] },
     })
       .populate("lender", "fullName email")
@@ -634,7 +704,7 @@ router.get("/summary", authenticateToken, async (req, res) => {
       .sort({ createdAt: 1 });
 
     const upcomingToReceive = await MoneyTransaction.find({
-      lender: userId,
+      ...ownSide("lender", userId, scope),
       status: { $in: ["money_received", "repayment_sent"] },
     })
       .populate("requestor", "fullName email")
@@ -1683,13 +1753,15 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
   try {
     const userId = new mongoose.Types.ObjectId(req.user.userId);
     const { type = "all", limit = 4 } = req.query;
+    const scope = await getGroupScope(req, res);
+    if (!scope) return;
 
     let recentTransactions = [];
 
     if (type === "given" || type === "all") {
       // Get recent money given (actual transactions where user is lender and money was received)
       const givenTransactions = await MoneyTransaction.find({
-        lender: userId,
+        ...ownSide("lender", userId, scope),
         status: { $in: ["money_received", "repayment_sent", "repaid"] },
       })
         .populate("requestor", "fullName email profilePicture")
@@ -1719,7 +1791,7 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
     if (type === "received" || type === "all") {
       // Get recent money received (actual transactions where user is requestor and confirmed receipt)
       const receivedTransactions = await MoneyTransaction.find({
-        requestor: userId,
+        ...ownSide("requestor", userId, scope),
         status: { $in: ["money_received", "repayment_sent", "repaid"] },
       })
         .populate("lender", "fullName email profilePicture")
@@ -1752,7 +1824,7 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
         await Promise.all([
           // Pending/approved requests (rejected excluded by status filter)
           MoneyRequest.find({
-            requestor: userId,
+            ...ownSide("requestor", userId, scope),
             status: { $in: ["pending", "approved"] },
           })
             .populate("lender", "fullName email profilePicture")
@@ -1760,7 +1832,7 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
 
           // Active transactions (money sent, awaiting confirmation)
           MoneyTransaction.find({
-            requestor: userId,
+            ...ownSide("requestor", userId, scope),
             status: "money_sent",
           })
             .populate("lender", "fullName email profilePicture")
@@ -1768,7 +1840,7 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
 
           // Get all transactions to exclude completed requests
           MoneyTransaction.find({
-            requestor: userId,
+            ...ownSide("requestor", userId, scope),
             status: { $in: ["money_received", "repayment_sent", "repaid"] },
           }).select("requestId"),
         ]);
@@ -1836,7 +1908,7 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
     if (type === "returned" || type === "all") {
       // Get recent repayments - include all repayment transactions (awaiting confirmation and confirmed)
       const returnedTransactions = await MoneyTransaction.find({
-        requestor: userId,
+        ...ownSide("requestor", userId, scope),
         $or: [
           { status: "repayment_sent" }, // Awaiting confirmation
           { status: "repaid" }, // Fully confirmed
@@ -1901,7 +1973,7 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
     if (type === "forgiven" || type === "all") {
       // Get recent forgiven transactions (lender perspective)
       const forgivenTransactions = await MoneyTransaction.find({
-        lender: userId,
+        ...ownSide("lender", userId, scope),
         status: "forgiven",
       })
         .populate("requestor", "fullName email profilePicture")
@@ -1949,15 +2021,60 @@ router.get("/recent-transactions", authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/money/lending-limits/:lenderId - How much the user can still ask a friend for
+router.get("/lending-limits/:lenderId", authenticateToken, async (req, res) => {
+  try {
+    const { lenderId } = req.params;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(lenderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid lender ID",
+      });
+    }
+
+    const areFriends = await checkFriendship(userId, lenderId);
+    if (!areFriends) {
+      return res.status(404).json({
+        success: false,
+        message: "Friend not found",
+      });
+    }
+
+    const headroom = await LendingLimitService.getHeadroom(lenderId, userId);
+
+    res.json({
+      success: true,
+      data: { headroom },
+    });
+  } catch (error) {
+    console.error("Error fetching lending limits:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lending limits",
+    });
+  }
+});
+
 // GET /api/money/friend-details/:friendId - Get friend details with recent transactions
 router.get("/friend-details/:friendId", authenticateToken, async (req, res) => {
   try {
     const { friendId } = req.params;
     const currentUserId = req.user.userId;
 
-    // Check if users are friends
+    // Former friends (unfriended or blocked) still see the loans they share,
+    // but not each other's private details
     const areFriends = await checkFriendship(currentUserId, friendId);
-    if (!areFriends) {
+    const sharesLedger =
+      areFriends ||
+      (await MoneyTransaction.exists({
+        $or: [
+          { requestor: currentUserId, lender: friendId },
+          { requestor: friendId, lender: currentUserId },
+        ],
+      }));
+    if (!sharesLedger) {
       return res.status(403).json({
         success: false,
         message: "You can only view details of your friends",
@@ -1966,7 +2083,7 @@ router.get("/friend-details/:friendId", authenticateToken, async (req, res) => {
 
     // Get friend details
     const friend = await User.findById(friendId).select(
-      "fullName email phoneNumber profilePicture good4itScore"
+      "fullName handle email phoneNumber profilePicture good4itScore privacy"
     );
     if (!friend) {
       return res.status(404).json({
@@ -1975,6 +2092,26 @@ router.get("/friend-details/:friendId", authenticateToken, async (req, res) => {
       });
     }
 
+    // Non-friends get what their privacy settings share; blocked users only
+    // a name and picture
+    let profile = {
+      _id: friend._id,
+      fullName: friend.fullName,
+      email: friend.email,
+      phoneNumber: friend.phoneNumber,
+      profilePicture: friend.profilePicture,
+      good4itScore: friend.good4itScore,
+    };
+    if (await FriendshipService.isBlocked(currentUserId, friendId)) {
+      profile = {
+        _id: friend._id,
+        fullName: friend.fullName,
+        profilePicture: friend.profilePicture,
+      };
+    } else if (!areFriends) {
+      profile = friend.toDiscoveryJSON(false);
+    }
+
     // Get recent transactions between current user and friend (last 10)
     const [
       sentRequests,
@@ -2102,14 +2239,7 @@ router.get("/friend-details/:friendId", authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        friend: {
-          _id: friend._id,
-          fullName: friend.fullName,
-          email: friend.email,
-          phoneNumber: friend.phoneNumber,
-          profilePicture: friend.profilePicture,
-          good4itScore: friend.good4itScore,
-        },
+        friend: profile,
         recentTransactions: limitedTransactions,
         summary: {
           totalSent,
@@ -2152,7 +2282,7 @@ router.post("/send", authenticateToken, uploadSingle, async (req, res) => {
     }
 
     // Only the lender can mark money as sent
-    if (request.lender.toString() !== userId) {
+    if (request.lender.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
         message: "Only the lender can mark money as sent",
@@ -2284,7 +2414,7 @@ router.post(
       }
 
       // Only the requestor can confirm receipt
-      if (transaction.requestor.toString() !== userId) {
+      if (transaction.requestor.toString() !== userId.toString()) {
         return res.status(403).json({
           success: false,
           message: "Only the requestor can confirm receipt",
@@ -2382,79 +2512,91 @@ router.post(
 );
 
 // POST /api/money/send-reminder - Send repayment reminder
-router.post("/send-reminder", authenticateToken, async (req, res) => {
-  try {
-    const { transactionId, message } = req.body;
-    const userId = req.user.userId;
-
-    if (!transactionId) {
-      return res.status(400).json({
-        success: false,
-        message: "Transaction ID is required",
-      });
-    }
-
-    // Find the transaction
-    const transaction = await MoneyTransaction.findById(transactionId);
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: "Transaction not found",
-      });
-    }
+router.post(
+  "/send-reminder",
+  authenticateToken,
+  limits.repaymentReminder,
+  async (req, res) => {
+    try {
+      const { transactionId, message } = req.body;
+      const userId = req.user.userId;
 
-    // Only the lender can send reminders
-    if (transaction.lender.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: "Only the lender can send repayment reminders",
-      });
-    }
+      if (!transactionId) {
+        return res.status(400).json({
+          success: false,
+          message: "Transaction ID is required",
+        });
+      }
 
-    if (transaction.status !== "money_received") {
-      return res.status(400).json({
-        success: false,
-        message: "Can only send reminders for received money",
-      });
-    }
+      // Find the transaction
+      const transaction = await MoneyTransaction.findById(transactionId);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
 
-    // Create reminder record
-    const reminder = new RepaymentReminder({
-      transactionId: transaction._id,
-      sender: userId,
-      recipient: transaction.requestor,
-      message: message || "Please repay the money you borrowed.",
-    });
+      // Only the lender can send reminders
+      if (transaction.lender.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the lender can send repayment reminders",
+        });
+      }
 
-    await reminder.save();
+      if (transaction.status !== "money_received") {
+        return res.status(400).json({
+          success: false,
+          message: "Can only send reminders for received money",
+        });
+      }
 
-    // Send notification to borrower about reminder
-    try {
-      const lender = await User.findById(userId);
-      await notificationService.notifyRepaymentReminder(
-        transaction.requestor,
-        userId,
-        lender.fullName,
-        transaction.amount,
-        transaction._id
-      );
-    } catch (notifError) {
-      console.error("Failed to send reminder notification:", notifError);
-    }
+      if (await FriendshipService.isBlocked(userId, transaction.requestor)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't send reminders to this user",
+        });
+      }
 
-    res.json({
-      success: true,
-      message: "Reminder sent successfully",
-      data: { reminder },
-    });
-  } catch (error) {
-    console.error("Error sending reminder:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to send reminder",
-    });
+      // Create reminder record
+      const reminder = new RepaymentReminder({
+        transactionId: transaction._id,
+        sender: userId,
+        recipient: transaction.requestor,
+        message: message || "Please repay the money you borrowed.",
+      });
+
+      await reminder.save();
+
+      // Send notification to borrower about reminder
+      try {
+        const lender = await User.findById(userId);
+        await notificationService.notifyRepaymentReminder(
+          transaction.requestor,
+          userId,
+          lender.fullName,
+          transaction.amount,
+          transaction._id
+        );
+      } catch (notifError) {
+        console.error("Failed to send reminder notification:", notifError);
+      }
+
+      res.json({
+        success: true,
+        message: "Reminder sent successfully",
+        data: { reminder },
+      });
+    } catch (error) {
+      console.error("Error sending reminder:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send reminder",
+      });
+    }
   }
-});
+);
 
 // POST /api/money/repay - Send repayment with proof
 router.post(
@@ -2472,7 +2614,7 @@ router.post(
   authenticateToken,
   (req, res, next) => {
     console.log("🔐 REPAY API - Auth middleware passed");
-    console.log("👤 User:", req.user);
+    console.log("👤 User ID:", req.user.userId);
     next();
   },
   uploadSingle,
@@ -2530,7 +2672,7 @@ router.post(
       });
 
       // Only the requestor (borrower) can repay
-      if (transaction.requestor.toString() !== userId) {
+      if (transaction.requestor.toString() !== userId.toString()) {
         console.log(
           "❌ REPAY API - Permission denied. Transaction requestor:",
           transaction.requestor,
@@ -2557,6 +2699,19 @@ router.post(
       }
       console.log("✅ REPAY API - Status check passed");
 
+      // The lender may have asked for proof on every repayment
+      if (!req.file && transaction.requestId) {
+        const request = await MoneyRequest.findById(
+          transaction.requestId
+        ).select("proofRequired");
+        if (request && request.proofRequired) {
+          return res.status(400).json({
+            success: false,
+            message: "This lender requires proof of repayment",
+          });
+        }
+      }
+
       // Handle proof upload if provided
       if (req.file) {
         console.log("📎 REPAY API - Processing proof upload");
@@ -2711,7 +2866,7 @@ router.post(
       }
 
       // Only the lender can confirm repayment
-      if (transaction.lender.toString() !== userId) {
+      if (transaction.lender.toString() !== userId.toString()) {
         return res.status(403).json({
           success: false,
           message: "Only the lender can confirm repayment",
@@ -2928,104 +3083,109 @@ router.get("/good4it-score/:userId", authenticateToken, async (req, res) => {
 
 // Error handling middleware
 // POST /api/money/forgive - Forgive a debt (lender only)
-router.post("/forgive", authenticateToken, async (req, res) => {
-  try {
-    console.log("🔄 Forgive debt request received");
-    console.log("Request body:", req.body);
-    console.log("User ID:", req.user?.userId);
+router.post(
+  "/forgive",
+  authenticateToken,
+  requireStepUp("forgive_debt"),
+  async (req, res) => {
+    try {
+      console.log("🔄 Forgive debt request received");
+      console.log("Request body:", req.body);
+      console.log("User ID:", req.user?.userId);
 
-    const { transactionId } = req.body;
-    const userId = req.user.userId;
+      const { transactionId } = req.body;
+      const userId = req.user.userId;
 
-    if (!transactionId) {
-      return res.status(400).json({
-        success: false,
-        message: "Transaction ID is required",
-      });
-    }
+      if (!transactionId) {
+        return res.status(400).json({
+          success: false,
+          message: "Transaction ID is required",
+        });
+      }
 
-    // Find the transaction
-    const transaction = await MoneyTransaction.findById(transactionId);
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: "Transaction not found",
-      });
-    }
+      // Find the transaction
+      const transaction = await MoneyTransaction.findById(transactionId);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
 
-    // Only the lender can forgive debt
-    if (transaction.lender.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: "Only the lender can forgive debt",
-      });
-    }
+      // Only the lender can forgive debt
+      if (transaction.lender.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the lender can forgive debt",
+        });
+      }
 
-    // Can only forgive if there's remaining debt
-    const remainingAmount =
-      transaction.amount - (transaction.repaymentAmount || 0);
-    if (remainingAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "No remaining debt to forgive",
-      });
-    }
+      // Can only forgive if there's remaining debt
+      const remainingAmount =
+        transaction.amount - (transaction.repaymentAmount || 0);
+      if (remainingAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No remaining debt to forgive",
+        });
+      }
 
-    // Update transaction status to forgiven
-    transaction.status = "forgiven";
-    transaction.forgivenAt = new Date();
-    transaction.forgivenAmount = remainingAmount;
+      // Update transaction status to forgiven
+      transaction.status = "forgiven";
+      transaction.forgivenAt = new Date();
+      transaction.forgivenAmount = remainingAmount;
 
-    await transaction.save();
+      await transaction.save();
 
-    // Send notification to borrower
-    try {
-      const lender = await User.findById(userId);
-      await notificationService.notifyDebtForgiven(
-        transaction.requestor,
-        userId,
-        lender.fullName,
-        remainingAmount,
-        transaction._id
-      );
-    } catch (notifError) {
-      console.error("Failed to send debt forgiven notification:", notifError);
-    }
+      // Send notification to borrower
+      try {
+        const lender = await User.findById(userId);
+        await notificationService.notifyDebtForgiven(
+          transaction.requestor,
+          userId,
+          lender.fullName,
+          remainingAmount,
+          transaction._id
+        );
+      } catch (notifError) {
+        console.error("Failed to send debt forgiven notification:", notifError);
+      }
 
-    // Update good4it score for forgiveness
-    try {
-      await Good4ItScoreService.handleForgiveness(
-        transaction._id,
-        remainingAmount
-      );
-    } catch (scoreError) {
-      console.error("Failed to update score for forgiveness:", scoreError);
-    }
+      // Update good4it score for forgiveness
+      try {
+        await Good4ItScoreService.handleForgiveness(
+          transaction._id,
+          remainingAmount
+        );
+      } catch (scoreError) {
+        console.error("Failed to update score for forgiveness:", scoreError);
+      }
 
-    res.json({
-      success: true,
-      message: "Debt forgiven successfully",
-      data: {
-        transaction,
-        forgivenAmount: remainingAmount,
-      },
-    });
-  } catch (error) {
-    console.error("Error forgiving debt:", error);
-    console.error("Error stack:", error.stack);
-    console.error("Request body:", req.body);
-    console.error("User ID:", req.user?.userId);
+      res.json({
+        success: true,
+        message: "Debt forgiven successfully",
+        data: {
+          transaction,
+          forgivenAmount: remainingAmount,
+        },
+      });
+    } catch (error) {
+      console.error("Error forgiving debt:", error);
+      console.error("Error stack:", error.stack);
+      console.error("Request body:", req.body);
+      console.error("User ID:", req.user?.userId);
 
-    res.status(500).json({
-      success: false,
-      message: "Failed to forgive debt: " + error.message,
-      error:
-        process.env.NODE_ENV === "development"
-          ? error.message
-          : "Internal server error",
-    });
+      res.status(500).json({
+        success: false,
+        message: "Failed to forgive debt: " + error.message,
+        error:
+          process.env.NODE_ENV === "development"
+            ? error.message
+            : "Internal server error",
+      });
+    }
   }
-});
+);
 
 // POST /api/money/update-fcm-token - Update user's FCM token
 router.post("/update-fcm-token", authenticateToken, async (req, res) => {
@@ -3040,9 +3200,12 @@ router.post("/update-fcm-token", authenticateToken, async (req, res) => {
       });
     }
 
-    // Update user's FCM token
+    // Register the token for this device and keep the user's latest token
+    // for clients that predate per-device tokens
     const User = require("../models/User");
+    await SessionService.setPushToken(req.authSession._id, fcmToken);
     await User.findByIdAndUpdate(userId, { fcmToken });
+    AuditLogService.track(req, "account.fcm_token_update");
 
     res.json({
       success: true,
@@ -3191,103 +3354,121 @@ router.post("/test-all-notifications", authenticateToken, async (req, res) => {
 });
 
 // POST /api/money/remind-repayment - Send repayment reminder
-router.post("/remind-repayment", authenticateToken, async (req, res) => {
-  try {
-    const { transactionId } = req.body;
-    const userId = req.user.userId;
-
-    console.log("💬 REMIND API - Request received:", { transactionId, userId });
+router.post(
+  "/remind-repayment",
+  authenticateToken,
+  limits.repaymentReminder,
+  async (req, res) => {
+    try {
+      const { transactionId } = req.body;
+      const userId = req.user.userId;
 
-    if (!transactionId) {
-      return res.status(400).json({
-        success: false,
-        message: "Transaction ID is required",
+      console.log("💬 REMIND API - Request received:", {
+        transactionId,
+        userId,
       });
-    }
 
-    // Find the transaction
-    const transaction = await MoneyTransaction.findById(transactionId)
-      .populate("requestor", "fullName email")
-      .populate("lender", "fullName email");
+      if (!transactionId) {
+        return res.status(400).json({
+          success: false,
+          message: "Transaction ID is required",
+        });
+      }
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: "Transaction not found",
-      });
-    }
+      // Find the transaction
+      const transaction = await MoneyTransaction.findById(transactionId)
+        .populate("requestor", "fullName email")
+        .populate("lender", "fullName email");
 
-    // Verify the user is the lender
-    if (transaction.lender._id.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: "Only the lender can send repayment reminders",
-      });
-    }
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
 
-    // Check if transaction is in a state where reminder makes sense
-    const validStatuses = ["money_received", "repayment_sent"];
-    if (!validStatuses.includes(transaction.status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot send reminder for this transaction status",
-      });
-    }
+      // Verify the user is the lender
+      if (transaction.lender._id.toString() !== userId.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the lender can send repayment reminders",
+        });
+      }
 
-    // Calculate remaining amount
-    const totalAmount = transaction.amount;
-    const paidAmount = transaction.repaymentAmount || 0;
-    const remainingAmount = totalAmount - paidAmount;
+      // Check if transaction is in a state where reminder makes sense
+      const validStatuses = ["money_received", "repayment_sent"];
+      if (!validStatuses.includes(transaction.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot send reminder for this transaction status",
+        });
+      }
 
-    if (remainingAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "This transaction has been fully repaid",
-      });
-    }
+      // Calculate remaining amount
+      const totalAmount = transaction.amount;
+      const paidAmount = transaction.repaymentAmount || 0;
+      const remainingAmount = totalAmount - paidAmount;
 
-    // Send reminder notification
-    try {
-      const lender = await User.findById(userId);
-      await notificationService.notifyRepaymentReminder(
-        transaction.requestor._id,
-        userId,
-        lender.fullName,
-        remainingAmount,
-        transaction._id
-      );
-    } catch (notifError) {
-      console.error("Failed to send reminder notification:", notifError);
-    }
+      if (remainingAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "This transaction has been fully repaid",
+        });
+      }
 
-    console.log("✅ REMIND API - Reminder sent successfully");
-    res.json({
-      success: true,
-      message: "Repayment reminder sent successfully",
-      data: {
-        transaction: {
-          id: transaction._id,
-          borrower: transaction.requestor.fullName,
-          amount: totalAmount,
+      if (
+        await FriendshipService.isBlocked(userId, transaction.requestor._id)
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't send reminders to this user",
+        });
+      }
+
+      // Send reminder notification
+      try {
+        const lender = await User.findById(userId);
+        await notificationService.notifyRepaymentReminder(
+          transaction.requestor._id,
+          userId,
+          lender.fullName,
           remainingAmount,
-          status: transaction.status,
+          transaction._id
+        );
+      } catch (notifError) {
+        console.error("Failed to send reminder notification:", notifError);
+      }
+
+      console.log("✅ REMIND API - Reminder sent successfully");
+      res.json({
+        success: true,
+        message: "Repayment reminder sent successfully",
+        data: {
+          transaction: {
+            id: transaction._id,
+            borrower: transaction.requestor.fullName,
+            amount: totalAmount,
+            remainingAmount,
+            status: transaction.status,
+          },
         },
-      },
-    });
-  } catch (error) {
-    console.error("❌ REMIND API - Error occurred:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to send repayment reminder",
-      error: error.message,
-    });
+      });
+    } catch (error) {
+      console.error("❌ REMIND API - Error occurred:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send repayment reminder",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 // POST /api/money/dispute - Create a dispute
 router.post(
   "/dispute",
   authenticateToken,
+  limits.dispute,
   upload.array("evidence", 5),
   async (req, res) => {
     try {
@@ -3312,8 +3493,8 @@ router.post(
 
       // Verify the user is involved in the transaction
       if (
-        transaction.requestor.toString() !== userId &&
-        transaction.lender.toString() !== userId
+        transaction.requestor.toString() !== userId.toString() &&
+        transaction.lender.toString() !== userId.toString()
       ) {
         return res.status(403).json({
           success: false,
@@ -3677,7 +3858,7 @@ router.post(
       }
 
       // Only the requestor (borrower) can flag payment as not received
-      if (transaction.requestor.toString() !== userId) {
+      if (transaction.requestor.toString() !== userId.toString()) {
         return res.status(403).json({
           success: false,
           message: "Only the borrower can flag payment as not received",
@@ -3751,7 +3932,7 @@ router.get(
       }
 
       // Check if user is the requestor (borrower)
-      if (transaction.requestor.toString() !== userId) {
+      if (transaction.requestor.toString() !== userId.toString()) {
         return res.status(403).json({
           success: false,
           message:
@@ -3892,8 +4073,8 @@ router.get(
 
       // Check if user is involved in this transaction
       if (
-        transaction.requestor.toString() !== userId &&
-        transaction.lender.toString() !== userId
+        transaction.requestor.toString() !== userId.toString() &&
+        transaction.lender.toString() !== userId.toString()
       ) {
         return res.status(403).json({
           success: false,
@@ -3991,7 +4172,7 @@ router.post("/reject-repayment", authenticateToken, async (req, res) => {
     }
 
     // Only the lender can reject repayment
-    if (transaction.lender.toString() !== userId) {
+    if (transaction.lender.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
         message: "Only the lender can reject repayment",
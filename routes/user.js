@@ -1,9 +1,19 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const SessionService = require("../services/sessionService");
+const DataExportService = require("../services/dataExportService");
+const AccountDeletionService = require("../services/accountDeletionService");
+const AccountDeactivationService = require("../services/accountDeactivationService");
+const AuditLogService = require("../services/auditLogService");
+const AvatarService = require("../services/avatarService");
+const PhoneNumberService = require("../services/phoneNumberService");
+const { uploadAvatar, handleUploadError } = require("../middleware/upload");
 const { validate, schemas } = require("../middleware/validation");
 const {
   authenticateToken,
   requireVerification,
+  requireStepUp,
 } = require("../middleware/auth");
 
 const router = express.Router();
@@ -27,14 +37,57 @@ router.put(
   "/profile",
   authenticateToken,
   validate(schemas.updateProfile),
+  (req, res, next) => {
+    const { phoneNumber, defaultRegion } = req.body;
+
+    if (defaultRegion && !PhoneNumberService.isSupportedRegion(defaultRegion)) {
+      return res.status(400).json({
+        success: false,
+        message: "Unsupported region",
+      });
+    }
+
+    // Phone numbers are stored in E.164 form
+    if (phoneNumber) {
+      req.body.phoneNumber = PhoneNumberService.normalize(
+        phoneNumber,
+        defaultRegion || req.user.defaultRegion
+      );
+      if (!req.body.phoneNumber) {
+        return res.status(400).json({
+          success: false,
+          message: "Please enter a valid phone number",
+        });
+      }
+    }
+    next();
+  },
+  requireStepUp(
+    "change_phone",
+    (req) =>
+      !!req.body.phoneNumber && req.body.phoneNumber !== req.user.phoneNumber
+  ),
   async (req, res) => {
     try {
-      const { fullName, phoneNumber, profilePicture } = req.body;
+      const { fullName, phoneNumber, profilePicture, defaultRegion } = req.body;
       const updateData = {};
 
-      if (fullName) updateData.fullName = fullName;
-      if (phoneNumber) updateData.phoneNumber = phoneNumber;
-      if (profilePicture) updateData.profilePicture = profilePicture;
+      if (fullName) {
+        updateData.fullName = fullName;
+        updateData.nameTokens = User.tokenizeName(fullName);
+      }
+      if (phoneNumber) {
+        updateData.phoneNumber = phoneNumber;
+        updateData.phoneNumberHash = PhoneNumberService.hash(phoneNumber);
+        // Replaces any number the E.164 migration couldn't convert
+        updateData.legacyPhoneNumber = null;
+      }
+      if (defaultRegion) updateData.defaultRegion = defaultRegion.toUpperCase();
+      if (profilePicture) {
+        updateData.profilePicture = profilePicture;
+        // A picture URL replaces any uploaded avatar
+        updateData.avatar = { small: null, medium: null, large: null };
+      }
 
       // Check if phone number is already taken by another user
       if (phoneNumber && phoneNumber !== req.user.phoneNumber) {
@@ -57,6 +110,10 @@ router.put(
         { new: true, runValidators: true }
       ).select("-password");
 
+      if (profilePicture) {
+        await AvatarService.removeFiles(AvatarService.getAvatarUrls(req.user));
+      }
+
       res.json({
         success: true,
         message: "Profile updated successfully",
@@ -74,6 +131,89 @@ router.put(
   }
 );
 
+// @route   POST /api/user/avatar
+// @desc    Upload a profile picture; thumbnails are generated from it
+// @access  Private
+router.post("/avatar", authenticateToken, uploadAvatar, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Avatar image is required",
+      });
+    }
+
+    const avatar = await AvatarService.createAvatar(
+      req.user._id,
+      req.file.buffer
+    );
+
+    if (!avatar) {
+      return res.status(400).json({
+        success: false,
+        message: "Only JPEG and PNG images are allowed",
+      });
+    }
+
+    const previousUrls = AvatarService.getAvatarUrls(req.user);
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { avatar, profilePicture: avatar.large },
+      { new: true }
+    ).select("-password");
+
+    await AvatarService.removeFiles(previousUrls);
+
+    res.json({
+      success: true,
+      message: "Profile picture updated successfully",
+      data: {
+        user: updatedUser,
+      },
+    });
+  } catch (error) {
+    console.error("Avatar upload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during profile picture upload",
+    });
+  }
+});
+
+// @route   DELETE /api/user/avatar
+// @desc    Remove the uploaded profile picture
+// @access  Private
+router.delete("/avatar", authenticateToken, async (req, res) => {
+  try {
+    const previousUrls = AvatarService.getAvatarUrls(req.user);
+    const update = { avatar: { small: null, medium: null, large: null } };
+    if (previousUrls.includes(req.user.profilePicture)) {
+      update.profilePicture = null;
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(req.user._id, update, {
+      new: true,
+    }).select("-password");
+
+    await AvatarService.removeFiles(previousUrls);
+
+    res.json({
+      success: true,
+      message: "Profile picture removed successfully",
+      data: {
+        user: updatedUser,
+      },
+    });
+  } catch (error) {
+    console.error("Avatar removal error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while removing profile picture",
+    });
+  }
+});
+
 // @route   POST /api/user/change-password
 // @desc    Change user password
 // @access  Private
@@ -92,6 +232,10 @@ router.post(
       );
 
       if (!isCurrentPasswordValid) {
+        AuditLogService.track(req, "account.password_change", {
+          result: "failure",
+          reason: "invalid_current_password",
+        });
         return res.status(400).json({
           success: false,
           message: "Current password is incorrect",
@@ -102,6 +246,14 @@ router.post(
       user.password = newPassword;
       await user.save();
 
+      // Sign out every other device; the current session stays logged in
+      await SessionService.revokeAllForUser(
+        user._id,
+        "password_changed",
+        req.authSession._id
+      );
+      AuditLogService.track(req, "account.password_change");
+
       res.json({
         success: true,
         message: "Password changed successfully",
@@ -119,61 +271,513 @@ router.post(
 // @route   DELETE /api/user/account
 // @desc    Delete user account
 // @access  Private
-router.delete("/account", authenticateToken, async (req, res) => {
+router.delete(
+  "/account",
+  authenticateToken,
+  requireStepUp("delete_account"),
+  async (req, res) => {
+    try {
+      const result = await AccountDeletionService.deleteAccount(req.user._id);
+
+      if (!result.deleted) {
+        AuditLogService.track(req, "account.delete", {
+          result: "failure",
+          reason: "outstanding_obligations",
+        });
+        return res.status(409).json({
+          success: false,
+          message:
+            "Settle or forgive outstanding debts and resolve open disputes before deleting your account",
+          data: result.blockers,
+        });
+      }
+
+      // Kept after deletion; the entry points at the anonymized account
+      AuditLogService.track(req, "account.delete");
+
+      res.json({
+        success: true,
+        message: "Account deleted successfully",
+      });
+    } catch (error) {
+      console.error("Account deletion error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during account deletion",
+      });
+    }
+  }
+);
+
+// @route   POST /api/user/deactivate
+// @desc    Deactivate user account, optionally deleting it after a grace
+//          period; signing in again offers to reactivate it
+// @access  Private
+router.post(
+  "/deactivate",
+  authenticateToken,
+  validate(schemas.deactivateAccount),
+  requireStepUp("delete_account", (req) => !!req.body.deleteAfterDays),
+  async (req, res) => {
+    try {
+      const result = await AccountDeactivationService.deactivate(req.user, {
+        deleteAfterDays: req.body.deleteAfterDays,
+      });
+
+      if (!result.deactivated) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Settle or forgive outstanding debts and resolve open disputes before scheduling your account for deletion",
+          data: result.blockers,
+        });
+      }
+
+      AuditLogService.track(req, "account.deactivate", {
+        details: { scheduledDeletionAt: result.scheduledDeletionAt },
+      });
+
+      res.json({
+        success: true,
+        message: result.scheduledDeletionAt
+          ? "Account deactivated and scheduled for deletion"
+          : "Account deactivated successfully",
+        data: {
+          scheduledDeletionAt: result.scheduledDeletionAt,
+        },
+      });
+    } catch (error) {
+      console.error("Account deactivation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during account deactivation",
+      });
+    }
+  }
+);
+
+// Why a handle can't be used by this user, or null when it can
+const handleUnavailableReason = async (handle, userId) => {
+  if (User.isReservedHandle(handle)) return "This handle is not available";
+
+  const owner = await User.findOne({ handle }).select("_id");
+  if (owner && owner._id.toString() !== userId.toString()) {
+    return "This handle is already taken";
+  }
+  return null;
+};
+
+// @route   GET /api/user/handle/available
+// @desc    Check whether a handle can be claimed
+// @access  Private
+router.get("/handle/available", authenticateToken, async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.user._id);
+    const { error } = schemas.updateHandle.validate({
+      handle: req.query.handle,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+      });
+    }
+
+    const handle = User.normalizeHandle(req.query.handle);
+    const reason = await handleUnavailableReason(handle, req.user._id);
 
     res.json({
       success: true,
-      message: "Account deleted successfully",
+      data: {
+        handle,
+        available: !reason,
+        reason,
+      },
     });
   } catch (error) {
-    console.error("Account deletion error:", error);
+    console.error("Handle availability error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error during account deletion",
+      message: "Server error while checking handle",
     });
   }
 });
 
-// @route   POST /api/user/deactivate
-// @desc    Deactivate user account
+// @route   PUT /api/user/handle
+// @desc    Claim or change the user's @handle
 // @access  Private
-router.post("/deactivate", authenticateToken, async (req, res) => {
+router.put(
+  "/handle",
+  authenticateToken,
+  validate(schemas.updateHandle),
+  async (req, res) => {
+    try {
+      const handle = User.normalizeHandle(req.body.handle);
+
+      const reason = await handleUnavailableReason(handle, req.user._id);
+      if (reason) {
+        return res.status(409).json({
+          success: false,
+          message: reason,
+        });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { handle },
+        { new: true, runValidators: true }
+      ).select("-password");
+
+      res.json({
+        success: true,
+        message: "Handle updated successfully",
+        data: {
+          user,
+        },
+      });
+    } catch (error) {
+      // Another user claimed the handle between the check and the update
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "This handle is already taken",
+        });
+      }
+
+      console.error("Handle update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating handle",
+      });
+    }
+  }
+);
+
+// @route   GET /api/user/privacy
+// @desc    Get discovery and score visibility settings
+// @access  Private
+router.get("/privacy", authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      privacy: req.user.privacy,
+    },
+  });
+});
+
+// @route   PUT /api/user/privacy
+// @desc    Update discovery and score visibility settings
+// @access  Private
+router.put(
+  "/privacy",
+  authenticateToken,
+  validate(schemas.privacySettings),
+  async (req, res) => {
+    try {
+      const update = {};
+      Object.entries(req.body).forEach(([key, value]) => {
+        update[`privacy.${key}`] = value;
+      });
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: update },
+        { new: true, runValidators: true }
+      ).select("privacy");
+
+      res.json({
+        success: true,
+        message: "Privacy settings updated successfully",
+        data: {
+          privacy: user.privacy,
+        },
+      });
+    } catch (error) {
+      console.error("Privacy settings update error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while updating privacy settings",
+      });
+    }
+  }
+);
+
+// @route   GET /api/user/security-activity
+// @desc    Recent sign-ins and security changes on the account
+// @access  Private
+router.get("/security-activity", authenticateToken, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const activity = await AuditLogService.getUserActivity(req.user._id, {
+      page,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: activity,
+    });
+  } catch (error) {
+    console.error("Security activity error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching security activity",
+    });
+  }
+});
+
+// @route   GET /api/user/devices
+// @desc    List devices the user is signed in on
+// @access  Private
+router.get("/devices", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        devices: sessions.map((session) =>
+          session.toDeviceJSON(req.authSession._id)
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Device list error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching devices",
+    });
+  }
+});
+
+// @route   PATCH /api/user/devices/:id
+// @desc    Rename a signed-in device
+// @access  Private
+router.patch(
+  "/devices/:id",
+  authenticateToken,
+  validate(schemas.renameDevice),
+  async (req, res) => {
+    try {
+      const session = await SessionService.getActiveSession(
+        req.params.id,
+        req.user._id
+      );
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Device not found",
+        });
+      }
+
+      session.deviceName = req.body.name;
+      await session.save();
+
+      res.json({
+        success: true,
+        message: "Device renamed successfully",
+        data: {
+          device: session.toDeviceJSON(req.authSession._id),
+        },
+      });
+    } catch (error) {
+      console.error("Device rename error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while renaming device",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/user/devices/:id
+// @desc    Sign a device out remotely
+// @access  Private
+router.delete("/devices/:id", authenticateToken, async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.user._id, { isActive: false });
+    const session = await SessionService.getActiveSession(
+      req.params.id,
+      req.user._id
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Device not found",
+      });
+    }
+
+    await SessionService.revokeSession(session._id, "remote_sign_out");
+    AuditLogService.track(req, "account.device_sign_out", {
+      details: { signedOutSession: session._id },
+    });
 
     res.json({
       success: true,
-      message: "Account deactivated successfully",
+      message: "Device signed out successfully",
     });
   } catch (error) {
-    console.error("Account deactivation error:", error);
+    console.error("Device sign-out error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error during account deactivation",
+      message: "Server error while signing out device",
     });
   }
 });
 
-// @route   POST /api/user/reactivate
-// @desc    Reactivate user account
+// @route   POST /api/user/devices/sign-out-all
+// @desc    Sign out every other device, or all of them with includeCurrent
+// @access  Private
+router.post(
+  "/devices/sign-out-all",
+  authenticateToken,
+  validate(schemas.signOutAllDevices),
+  async (req, res) => {
+    try {
+      const result = await SessionService.revokeAllForUser(
+        req.user._id,
+        "remote_sign_out",
+        req.body.includeCurrent ? null : req.authSession._id
+      );
+      AuditLogService.track(req, "account.device_sign_out", {
+        details: {
+          allDevices: true,
+          includeCurrent: !!req.body.includeCurrent,
+          signedOut: result.modifiedCount,
+        },
+      });
+
+      res.json({
+        success: true,
+        message: "Devices signed out successfully",
+        data: {
+          signedOut: result.modifiedCount,
+        },
+      });
+    } catch (error) {
+      console.error("Sign out all devices error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error while signing out devices",
+      });
+    }
+  }
+);
+
+// Load one of the user's data exports, or send a 404
+const findDataExport = async (req, res) => {
+  const dataExport =
+    mongoose.Types.ObjectId.isValid(req.params.id) &&
+    (await DataExportService.getExport(req.params.id, req.user._id));
+
+  if (!dataExport) {
+    res.status(404).json({
+      success: false,
+      message: "Data export not found",
+    });
+    return null;
+  }
+  return dataExport;
+};
+
+// @route   POST /api/user/data-export
+// @desc    Request an archive of all personal data
 // @access  Private
-router.post("/reactivate", authenticateToken, async (req, res) => {
+router.post("/data-export", authenticateToken, async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.user._id, { isActive: true });
+    const { dataExport, created } = await DataExportService.requestExport(
+      req.user._id
+    );
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created
+        ? "Data export started"
+        : "A recent data export already exists",
+      data: {
+        export: dataExport,
+      },
+    });
+  } catch (error) {
+    console.error("Data export request error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while requesting data export",
+    });
+  }
+});
+
+// @route   GET /api/user/data-export/:id
+// @desc    Check the status of a data export
+// @access  Private
+router.get("/data-export/:id", authenticateToken, async (req, res) => {
+  try {
+    const dataExport = await findDataExport(req, res);
+    if (!dataExport) return;
 
     res.json({
       success: true,
-      message: "Account reactivated successfully",
+      data: {
+        export: dataExport,
+      },
     });
   } catch (error) {
-    console.error("Account reactivation error:", error);
+    console.error("Data export status error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error during account reactivation",
+      message: "Server error while fetching data export",
     });
   }
 });
 
+// @route   GET /api/user/data-export/:id/download
+// @desc    Download a finished data export archive
+// @access  Private
+router.get("/data-export/:id/download", authenticateToken, async (req, res) => {
+  try {
+    const dataExport = await findDataExport(req, res);
+    if (!dataExport) return;
+
+    if (dataExport.status !== "ready") {
+      return res.status(409).json({
+        success: false,
+        message: "Data export is not ready yet",
+        data: {
+          status: dataExport.status,
+        },
+      });
+    }
+
+    if (dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: "Data export has expired, please request a new one",
+      });
+    }
+
+    await DataExportService.markDownloaded(dataExport);
+    res.download(
+      dataExport.filePath,
+      `good4it-data-${dataExport._id}.zip`,
+      (error) => {
+        if (error && !res.headersSent) {
+          console.error("Data export download error:", error);
+          res.status(500).json({
+            success: false,
+            message: "Server error while downloading data export",
+          });
+        }
+      }
+    );
+  } catch (error) {
+    console.error("Data export download error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while downloading data export",
+    });
+  }
+});
+
+router.use(handleUploadError);
+
 module.exports = router;
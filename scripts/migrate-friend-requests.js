@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const FriendRequest = require("../models/FriendRequest");
+require("dotenv").config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/good4it";
+
+// Replaces the old unique {sender, recipient} index, which blocked asking
+// again after a rejection, and gives existing pending requests an expiry
+async function migrateFriendRequests() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("MongoDB connected successfully");
+
+    // Drops indexes no longer in the schema and builds the new ones
+    const dropped = await FriendRequest.syncIndexes();
+    console.log(`Dropped indexes: ${dropped.join(", ") || "none"}`);
+
+    const pending = await FriendRequest.find({
+      status: "pending",
+      expiresAt: null,
+    }).select("createdAt");
+
+    for (const request of pending) {
+      const createdAt = request.createdAt || new Date();
+      await FriendRequest.updateOne(
+        { _id: request._id },
+        {
+          expiresAt: FriendRequest.nextExpiry(createdAt),
+          lastSentAt: createdAt,
+        }
+      );
+    }
+    console.log(`Set an expiry on ${pending.length} pending requests`);
+
+    console.log("Friend request migration completed successfully!");
+  } catch (error) {
+    console.error("Error during friend request migration:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+  }
+}
+
+migrateFriendRequests();
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ContactInvite = require("../models/ContactInvite");
+const PhoneNumberService = require("../services/phoneNumberService");
+require("dotenv").config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/good4it";
+
+// Numbers that can't be stored in E.164 form are removed, since accounts
+// holding them fail validation on every save, and kept in legacyPhoneNumber
+// so the user can enter them again
+const clearPhoneNumber = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    {
+      $set: { legacyPhoneNumber: user.phoneNumber },
+      $unset: { phoneNumber: "", phoneNumberHash: "" },
+    }
+  );
+
+// Stores existing phone numbers in E.164 form with their contact-matching
+// hash, and rekeys SMS contact invites the same way. Must run before the
+// E.164 release serves traffic. Safe to run again, e.g. after changing
+// PHONE_HASH_SALT.
+async function migratePhoneNumbers() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("MongoDB connected successfully");
+
+    // Builds the index on phoneNumberHash
+    await User.createIndexes();
+
+    const users = await User.find({ phoneNumber: { $ne: null } }).select(
+      "phoneNumber phoneNumberHash defaultRegion"
+    );
+
+    let updated = 0;
+    const cleared = [];
+    for (const user of users) {
+      const phoneNumber = PhoneNumberService.normalize(
+        user.phoneNumber,
+        user.defaultRegion
+      );
+      if (!phoneNumber) {
+        await clearPhoneNumber(user);
+        cleared.push(`${user._id} (invalid number "${user.phoneNumber}")`);
+        continue;
+      }
+
+      const phoneNumberHash = PhoneNumberService.hash(phoneNumber);
+      if (
+        phoneNumber === user.phoneNumber &&
+        phoneNumberHash === user.phoneNumberHash
+      ) {
+        continue;
+      }
+
+      // Two differently formatted copies of one number can't both be kept
+      const duplicate = await User.exists({
+        phoneNumber,
+        _id: { $ne: user._id },
+      });
+      if (duplicate) {
+        await clearPhoneNumber(user);
+        cleared.push(
+          `${user._id} (${phoneNumber} belongs to ${duplicate._id})`
+        );
+        continue;
+      }
+
+      await User.updateOne({ _id: user._id }, { phoneNumber, phoneNumberHash });
+      updated++;
+    }
+    console.log(`Normalized ${updated} of ${users.length} phone numbers`);
+    if (cleared.length > 0) {
+      console.log(
+        `Cleared ${cleared.length} that couldn't be converted (kept in legacyPhoneNumber):`
+      );
+      cleared.forEach((entry) => console.log(`  ${entry}`));
+    }
+
+    const invites = await ContactInvite.find({ channel: "sms" })
+      .select("destination destinationKey inviter")
+      .populate("inviter", "defaultRegion");
+
+    let rekeyed = 0;
+    for (const invite of invites) {
+      const destinationKey = PhoneNumberService.normalize(
+        invite.destination,
+        invite.inviter && invite.inviter.defaultRegion
+      );
+      if (!destinationKey || destinationKey === invite.destinationKey) {
+        continue;
+      }
+
+      await ContactInvite.updateOne({ _id: invite._id }, { destinationKey });
+      rekeyed++;
+    }
+    console.log(`Rekeyed ${rekeyed} of ${invites.length} SMS contact invites`);
+
+    console.log("Phone number migration completed successfully!");
+  } catch (error) {
+    console.error("Error during phone number migration:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+  }
+}
+
+migratePhoneNumbers();
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+require("dotenv").config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/good4it";
+
+// Fills in the name words user search matches against for accounts created
+// before search was indexed, and builds the index
+async function migrateUserSearch() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("MongoDB connected successfully");
+
+    await User.createIndexes();
+
+    const users = User.find({ nameTokens: { $exists: false } })
+      .select("fullName")
+      .cursor();
+
+    let updated = 0;
+    for await (const user of users) {
+      await User.updateOne(
+        { _id: user._id },
+        { nameTokens: User.tokenizeName(user.fullName) }
+      );
+      updated++;
+    }
+    console.log(`Indexed the names of ${updated} users`);
+
+    console.log("User search migration completed successfully!");
+  } catch (error) {
+    console.error("Error during user search migration:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed");
+  }
+}
+
+migrateUserSearch();
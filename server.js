@@ -11,6 +11,11 @@ const friendRoutes = require("./routes/friends");
 const moneyRoutes = require("./routes/money");
 const notificationRoutes = require("./routes/notifications");
 const taskRoutes = require("./routes/tasks");
+const adminRoutes = require("./routes/admin");
+const { clientKey } = require("./middleware/rateLimit");
+const DataExportService = require("./services/dataExportService");
+const AccountDeactivationService = require("./services/accountDeactivationService");
+const FriendRequestService = require("./services/friendRequestService");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -18,11 +23,13 @@ const PORT = process.env.PORT || 5000;
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Rate limiting; signed-in users are counted individually, everyone else
+// by IP. Sensitive routes add their own per-user limits.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
+  max: 100, // limit each user or IP to 100 requests per windowMs
+  keyGenerator: clientKey,
+  message: "Too many requests, please try again later.",
 });
 app.use(limiter);
 
@@ -51,7 +58,33 @@ app.use("/uploads", express.static("uploads"));
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/good4it")
-  .then(() => console.log("MongoDB connected successfully"))
+  .then(() => {
+    console.log("MongoDB connected successfully");
+
+    // Resume interrupted data exports and clean up expired archives
+    const runExportMaintenance = () =>
+      DataExportService.runMaintenance().catch((error) =>
+        console.error("Data export maintenance failed:", error)
+      );
+    runExportMaintenance();
+    setInterval(runExportMaintenance, 60 * 60 * 1000).unref();
+
+    // Delete deactivated accounts whose grace period has ended
+    const runScheduledDeletions = () =>
+      AccountDeactivationService.runScheduledDeletions().catch((error) =>
+        console.error("Scheduled account deletion failed:", error)
+      );
+    runScheduledDeletions();
+    setInterval(runScheduledDeletions, 60 * 60 * 1000).unref();
+
+    // Close friend requests nobody answered in time
+    const runFriendRequestExpiry = () =>
+      FriendRequestService.expirePending().catch((error) =>
+        console.error("Friend request expiry failed:", error)
+      );
+    runFriendRequestExpiry();
+    setInterval(runFriendRequestExpiry, 60 * 60 * 1000).unref();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Routes
@@ -61,6 +94,7 @@ app.use("/api/friends", friendRoutes);
 app.use("/api/money", moneyRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/tasks", taskRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
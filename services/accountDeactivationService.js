@@ -0,0 +1,134 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const SessionService = require("./sessionService");
+const AccountDeletionService = require("./accountDeletionService");
+
+const TOKEN_PURPOSE = "account_reactivation";
+const TOKEN_EXPIRY = "10m";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AccountDeactivationService {
+  /**
+   * Deactivate an account and sign it out everywhere. With a grace period
+   * the account is also scheduled for deletion, unless outstanding debts or
+   * disputes would block deleting it; those are returned instead.
+   */
+  static async deactivate(user, { deleteAfterDays = null } = {}) {
+    if (deleteAfterDays) {
+      const blockers = await AccountDeletionService.getBlockers(user._id);
+      if (
+        blockers.outstandingTransactions.length > 0 ||
+        blockers.openDisputes > 0
+      ) {
+        return { deactivated: false, blockers };
+      }
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.scheduledDeletionAt = deleteAfterDays
+      ? new Date(Date.now() + deleteAfterDays * DAY_MS)
+      : null;
+    await user.save();
+
+    await SessionService.revokeAllForUser(user._id, "account_deactivated");
+
+    return { deactivated: true, scheduledDeletionAt: user.scheduledDeletionAt };
+  }
+
+  /**
+   * Only accounts the user deactivated themselves can be reactivated by
+   * them; suspended and deleted accounts can't
+   */
+  static canReactivate(user) {
+    return !user.isActive && !user.suspendedAt && !user.deletedAt;
+  }
+
+  /**
+   * Short-lived token issued when a deactivated account signs in, to
+   * confirm reactivation. It is tied to the deactivation so it stops
+   * working once the account is active again.
+   */
+  static generateToken(user) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        deactivatedAt: user.deactivatedAt ? user.deactivatedAt.getTime() : null,
+        purpose: TOKEN_PURPOSE,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: TOKEN_EXPIRY }
+    );
+  }
+
+  /**
+   * The user a reactivation token was issued to, or null when the token is
+   * invalid, expired or the account can no longer be reactivated with it
+   */
+  static async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (payload.purpose !== TOKEN_PURPOSE) return null;
+
+    const user = await User.findById(payload.userId);
+    if (!user || user.isActive || user.deletedAt) return null;
+
+    const deactivatedAt = user.deactivatedAt
+      ? user.deactivatedAt.getTime()
+      : null;
+    return deactivatedAt === payload.deactivatedAt ? user : null;
+  }
+
+  /**
+   * Restore access and cancel any scheduled deletion
+   */
+  static async reactivate(user) {
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.scheduledDeletionAt = null;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Delete accounts whose grace period has ended. Accounts that picked up
+   * debts or disputes in the meantime stay deactivated and are retried on
+   * the next run.
+   */
+  static async runScheduledDeletions() {
+    const users = await User.find({
+      scheduledDeletionAt: { $lte: new Date() },
+      isActive: false,
+      suspendedAt: null,
+      deletedAt: null,
+    }).select("_id");
+
+    let deleted = 0;
+    for (const user of users) {
+      try {
+        const result = await AccountDeletionService.deleteAccount(user._id);
+        if (result.deleted) {
+          deleted += 1;
+        } else {
+          console.warn(
+            `Scheduled deletion of account ${user._id} is blocked by outstanding obligations`
+          );
+        }
+      } catch (error) {
+        console.error(
+          `Scheduled deletion of account ${user._id} failed:`,
+          error
+        );
+      }
+    }
+
+    return deleted;
+  }
+}
+
+module.exports = AccountDeactivationService;
@@ -0,0 +1,173 @@
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const FriendInvite = require("../models/FriendInvite");
+const ContactInvite = require("../models/ContactInvite");
+const Block = require("../models/Block");
+const SuggestionDismissal = require("../models/SuggestionDismissal");
+const FriendGroup = require("../models/FriendGroup");
+const MoneyRequest = require("../models/MoneyRequest");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const Task = require("../models/Task");
+const Dispute = require("../models/Dispute");
+const ScoreHistory = require("../models/ScoreHistory");
+const Notification = require("../models/Notification");
+const RepaymentReminder = require("../models/RepaymentReminder");
+const PasswordReset = require("../models/PasswordReset");
+const LoginAttempt = require("../models/LoginAttempt");
+const SessionService = require("./sessionService");
+const DataExportService = require("./dataExportService");
+const AvatarService = require("./avatarService");
+
+// Transactions in these states are closed and no longer block deletion
+const SETTLED_STATUSES = ["repaid", "forgiven"];
+const OPEN_TASK_STATUSES = ["pending", "accepted", "in_progress", "completed"];
+
+class AccountDeletionService {
+  /**
+   * Reasons the account can't be deleted yet: debts that are still open in
+   * either direction and disputes awaiting a decision
+   */
+  static async getBlockers(userId) {
+    const transactions = await MoneyTransaction.find({
+      $or: [{ requestor: userId }, { lender: userId }],
+      status: { $nin: SETTLED_STATUSES },
+    }).populate("requestor lender", "fullName");
+
+    const openDisputes = await Dispute.countDocuments({
+      status: "pending",
+      $or: [
+        { disputer: userId },
+        { transactionId: { $in: transactions.map((t) => t._id) } },
+      ],
+    });
+
+    const outstandingTransactions = transactions.map((transaction) => {
+      const isLender =
+        !!transaction.lender &&
+        transaction.lender._id.toString() === userId.toString();
+      const counterparty = isLender
+        ? transaction.requestor
+        : transaction.lender;
+
+      return {
+        transactionId: transaction._id,
+        amount: transaction.amount,
+        status: transaction.status,
+        role: isLender ? "lender" : "borrower",
+        counterparty: counterparty
+          ? { id: counterparty._id, fullName: counterparty.fullName }
+          : null,
+      };
+    });
+
+    return { outstandingTransactions, openDisputes };
+  }
+
+  /**
+   * Delete an account without breaking the other party's records. Settled
+   * transactions, proofs and sent notifications stay in place and keep
+   * pointing at the user document, which is stripped of anything that
+   * identifies the person. Returns the blockers instead when debts are
+   * still outstanding.
+   */
+  static async deleteAccount(userId) {
+    const blockers = await AccountDeletionService.getBlockers(userId);
+    if (
+      blockers.outstandingTransactions.length > 0 ||
+      blockers.openDisputes > 0
+    ) {
+      return { deleted: false, blockers };
+    }
+
+    // Stop the user signing in or acting while the rest is cleaned up
+    await User.updateOne({ _id: userId }, { isActive: false });
+    await SessionService.revokeAllForUser(userId, "account_deleted");
+
+    // Close anything still waiting on the user
+    await MoneyRequest.updateMany(
+      { $or: [{ requestor: userId }, { lender: userId }], status: "pending" },
+      { status: "rejected" }
+    );
+    await Task.updateMany(
+      {
+        $or: [{ assignedBy: userId }, { assignedTo: userId }],
+        status: { $in: OPEN_TASK_STATUSES },
+      },
+      { status: "cancelled" }
+    );
+
+    // Remove the user from social features and drop data only they can see
+    await Promise.all([
+      Friend.deleteMany({ $or: [{ user: userId }, { friend: userId }] }),
+      FriendRequest.deleteMany({
+        $or: [{ sender: userId }, { recipient: userId }],
+      }),
+      FriendInvite.deleteMany({ user: userId }),
+      ContactInvite.deleteMany({ inviter: userId }),
+      Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+      SuggestionDismissal.deleteMany({
+        $or: [{ user: userId }, { dismissed: userId }],
+      }),
+      FriendGroup.deleteMany({ owner: userId }),
+      FriendGroup.updateMany(
+        { "members.user": userId },
+        { $pull: { members: { user: userId } } }
+      ),
+      Notification.deleteMany({ recipient: userId }),
+      RepaymentReminder.deleteMany({ recipient: userId }),
+      ScoreHistory.deleteMany({ userId }),
+      PasswordReset.deleteMany({ user: userId }),
+      LoginAttempt.deleteMany({ user: userId }),
+      DataExportService.deleteForUser(userId),
+    ]);
+
+    await AccountDeletionService.anonymizeUser(userId);
+
+    return { deleted: true };
+  }
+
+  /**
+   * Replace the user's identity with a placeholder. The document is kept so
+   * references from other users' history still resolve.
+   */
+  static async anonymizeUser(userId) {
+    const user = await User.findById(userId).select("avatar");
+    if (user) {
+      await AvatarService.removeFiles(AvatarService.getAvatarUrls(user));
+    }
+
+    // Written without validation: the placeholder email uses the reserved
+    // .invalid domain so it can never belong to a real person
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          fullName: "Deleted User",
+          nameTokens: [],
+          email: `deleted-${userId}@deleted.invalid`,
+          profilePicture: null,
+          avatar: { small: null, medium: null, large: null },
+          isEmailVerified: false,
+          isActive: false,
+          role: "user",
+          fcmToken: null,
+          twoFactor: { enabled: false },
+          deletedAt: new Date(),
+        },
+        $unset: {
+          phoneNumber: 1,
+          phoneNumberHash: 1,
+          legacyPhoneNumber: 1,
+          handle: 1,
+          password: 1,
+          googleId: 1,
+          lastLogin: 1,
+          emailVerificationSentAt: 1,
+        },
+      }
+    );
+  }
+}
+
+module.exports = AccountDeletionService;
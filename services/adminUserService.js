@@ -0,0 +1,204 @@
+const User = require("../models/User");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const Dispute = require("../models/Dispute");
+const ScoreHistory = require("../models/ScoreHistory");
+const SessionService = require("./sessionService");
+const AuditLogService = require("./auditLogService");
+
+const SETTLED_STATUSES = ["repaid", "forgiven"];
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+class AdminUserService {
+  /**
+   * Record an admin action. Callers await this before responding so no
+   * action goes unrecorded.
+   */
+  static async recordAction(req, action, targetUser = null, details = {}) {
+    return await AuditLogService.record(req, `admin.${action}`, {
+      targetUser,
+      details,
+    });
+  }
+
+  /**
+   * Search users by name, email or phone, optionally filtered by role and
+   * account status (active, suspended, deactivated or deleted)
+   */
+  static async searchUsers({ q, role, status, page = 1, limit = 20 } = {}) {
+    const query = {};
+
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: "i" };
+      query.$or = [
+        { fullName: pattern },
+        { email: pattern },
+        { phoneNumber: pattern },
+      ];
+    }
+    if (role) query.role = role;
+
+    if (status === "active") {
+      Object.assign(query, { isActive: true, deletedAt: null });
+    } else if (status === "suspended") {
+      query.suspendedAt = { $ne: null };
+    } else if (status === "deactivated") {
+      Object.assign(query, {
+        isActive: false,
+        suspendedAt: null,
+        deletedAt: null,
+      });
+    } else if (status === "deleted") {
+      query.deletedAt = { $ne: null };
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 20, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(query)
+        .select(
+          "fullName email phoneNumber role isActive suspendedAt deletedAt good4itScore lastLogin createdAt"
+        )
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      User.countDocuments(query),
+    ]);
+
+    return {
+      users,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalUsers / pageSize),
+        totalUsers,
+        hasNextPage: pageNumber * pageSize < totalUsers,
+        hasPrevPage: pageNumber > 1,
+      },
+    };
+  }
+
+  /**
+   * Lending totals for one side of the user's transactions
+   */
+  static async getBalance(userId, field) {
+    const [result] = await MoneyTransaction.aggregate([
+      { $match: { [field]: userId } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: "$amount" },
+          outstanding: {
+            $sum: {
+              $cond: [
+                { $in: ["$status", SETTLED_STATUSES] },
+                0,
+                {
+                  $subtract: ["$amount", { $ifNull: ["$repaymentAmount", 0] }],
+                },
+              ],
+            },
+          },
+          transactions: { $sum: 1 },
+        },
+      },
+    ]);
+
+    return {
+      total: result ? result.total : 0,
+      outstanding: result ? result.outstanding : 0,
+      transactions: result ? result.transactions : 0,
+    };
+  }
+
+  /**
+   * Everything an admin needs to review an account: profile, balances,
+   * score history, disputes and active sessions
+   */
+  static async getUserOverview(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const userTransactionIds = await MoneyTransaction.find({
+      $or: [{ requestor: user._id }, { lender: user._id }],
+    }).distinct("_id");
+
+    const [lent, borrowed, scoreHistory, disputes, sessions] =
+      await Promise.all([
+        AdminUserService.getBalance(user._id, "lender"),
+        AdminUserService.getBalance(user._id, "requestor"),
+        ScoreHistory.find({ userId: user._id })
+          .sort({ createdAt: -1 })
+          .limit(20),
+        Dispute.find({
+          $or: [
+            { disputer: user._id },
+            { transactionId: { $in: userTransactionIds } },
+          ],
+        })
+          .populate("disputer", "fullName email")
+          .sort({ createdAt: -1 }),
+        SessionService.listActiveSessions(user._id),
+      ]);
+
+    return {
+      user: user.toJSON(),
+      balances: {
+        lent,
+        borrowed,
+        net: lent.outstanding - borrowed.outstanding,
+      },
+      score: {
+        current: user.good4itScore,
+        history: scoreHistory,
+      },
+      disputes: {
+        raised: disputes.filter(
+          (dispute) =>
+            dispute.disputer &&
+            dispute.disputer._id.toString() === user._id.toString()
+        ),
+        involving: disputes.filter(
+          (dispute) =>
+            !dispute.disputer ||
+            dispute.disputer._id.toString() !== user._id.toString()
+        ),
+      },
+      devices: sessions.map((session) => session.toDeviceJSON()),
+    };
+  }
+
+  /**
+   * Suspend an account and sign it out everywhere
+   */
+  static async suspendUser(user, adminId, reason = null) {
+    user.isActive = false;
+    user.suspendedAt = new Date();
+    user.suspensionReason = reason;
+    user.suspendedBy = adminId;
+    await user.save();
+
+    await SessionService.revokeAllForUser(user._id, "admin_suspended");
+    return user;
+  }
+
+  /**
+   * Lift a suspension (or a self deactivation) so the user can sign in again
+   */
+  static async reactivateUser(user) {
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.scheduledDeletionAt = null;
+    user.suspendedAt = null;
+    user.suspensionReason = null;
+    user.suspendedBy = null;
+    await user.save();
+    return user;
+  }
+}
+
+module.exports = AdminUserService;
@@ -0,0 +1,133 @@
+const AuditLog = require("../models/AuditLog");
+
+// Actions shown to users in their own security activity
+const USER_VISIBLE_ACTIONS = /^(auth|account)\./;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+class AuditLogService {
+  /**
+   * Append an entry to the audit log. The actor, session, IP and user agent
+   * are taken from the request unless given. Rejects when the entry can't
+   * be written, for callers that must not proceed without a record.
+   */
+  static async record(req, action, options = {}) {
+    const actor =
+      options.actor !== undefined
+        ? options.actor
+        : (req.user && req.user._id) || null;
+
+    return await AuditLog.create({
+      action,
+      result: options.result || "success",
+      reason: options.reason || null,
+      actor,
+      targetUser: options.targetUser !== undefined ? options.targetUser : actor,
+      session:
+        options.session !== undefined
+          ? options.session
+          : (req.authSession && req.authSession._id) || null,
+      ipAddress: req.ip || null,
+      userAgent: (req.get && req.get("user-agent")) || null,
+      details: options.details || {},
+    });
+  }
+
+  /**
+   * Record an entry in the background. Failing to write the log never fails
+   * the request it describes.
+   */
+  static track(req, action, options = {}) {
+    AuditLogService.record(req, action, options).catch((error) =>
+      console.error(`Failed to write audit log entry ${action}:`, error)
+    );
+  }
+
+  /**
+   * Recent sign-in and account activity for a user, newest first
+   */
+  static async getUserActivity(userId, { page = 1, limit = 20 } = {}) {
+    const query = {
+      targetUser: userId,
+      action: USER_VISIBLE_ACTIONS,
+    };
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(query)
+        .select("action result reason ipAddress userAgent session createdAt")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalEntries / pageSize),
+        totalEntries,
+        hasNextPage: pageNumber * pageSize < totalEntries,
+        hasPrevPage: pageNumber > 1,
+      },
+    };
+  }
+
+  /**
+   * Query the whole log (admin). Filters: actor, targetUser, action (exact,
+   * or a prefix ending in "." such as "admin."), result and a date range.
+   */
+  static async search(filters = {}) {
+    const { actor, targetUser, action, result, from, to } = filters;
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (targetUser) query.targetUser = targetUser;
+    if (action) {
+      query.action = action.endsWith(".")
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}` }
+        : action;
+    }
+    if (result) query.result = result;
+    if (from && parseDate(from)) {
+      query.createdAt = { ...query.createdAt, $gte: parseDate(from) };
+    }
+    if (to && parseDate(to)) {
+      query.createdAt = { ...query.createdAt, $lte: parseDate(to) };
+    }
+
+    const pageNumber = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(filters.limit, 10) || 50, 1),
+      100
+    );
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(query)
+        .populate("actor targetUser", "fullName email")
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      AuditLog.countDocuments(query),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalEntries / pageSize),
+        totalEntries,
+        hasNextPage: pageNumber * pageSize < totalEntries,
+        hasPrevPage: pageNumber > 1,
+      },
+    };
+  }
+}
+
+module.exports = AuditLogService;
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { v4: uuidv4 } = require("uuid");
+
+const AVATAR_DIR = path.join(__dirname, "../uploads/avatars");
+const AVATAR_URL_PREFIX = "/uploads/avatars/";
+
+// Square thumbnails generated for every avatar, in pixels
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512,
+};
+
+// Formats accepted after decoding the file, whatever its declared type.
+// HEIF is left out: sharp's prebuilt libvips can't decode HEIC (HEVC) photos.
+const ALLOWED_FORMATS = ["jpeg", "png"];
+// Refuse huge images before decoding them (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+class AvatarService {
+  /**
+   * Read the real format of an uploaded image. Returns null when the data
+   * isn't an image we accept, regardless of its file name or MIME type.
+   */
+  static async detectFormat(buffer) {
+    try {
+      const metadata = await sharp(buffer, {
+        limitInputPixels: MAX_INPUT_PIXELS,
+      }).metadata();
+      return ALLOWED_FORMATS.includes(metadata.format) ? metadata.format : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a resized JPEG for each avatar size. Images are rotated upright
+   * first; re-encoding drops EXIF and all other metadata (GPS included).
+   * Returns the public URL of each size, or null for unsupported images,
+   * including ones whose header looks fine but that fail to decode.
+   */
+  static async createAvatar(userId, buffer) {
+    const format = await AvatarService.detectFormat(buffer);
+    if (!format) return null;
+
+    // Encode every size before writing anything, so decode failures can be
+    // told apart from disk errors
+    const images = {};
+    try {
+      for (const [size, pixels] of Object.entries(AVATAR_SIZES)) {
+        images[size] = await sharp(buffer, {
+          limitInputPixels: MAX_INPUT_PIXELS,
+        })
+          .rotate()
+          .resize(pixels, pixels, { fit: "cover" })
+          .jpeg({ quality: 85 })
+          .toBuffer();
+      }
+    } catch (error) {
+      return null;
+    }
+
+    await fs.promises.mkdir(AVATAR_DIR, { recursive: true });
+
+    const baseName = `${userId}-${uuidv4()}`;
+    const avatar = {};
+    const written = [];
+
+    try {
+      for (const [size, image] of Object.entries(images)) {
+        const fileName = `${baseName}-${size}.jpg`;
+        await fs.promises.writeFile(path.join(AVATAR_DIR, fileName), image);
+
+        written.push(fileName);
+        avatar[size] = `${AVATAR_URL_PREFIX}${fileName}`;
+      }
+    } catch (error) {
+      await AvatarService.removeFiles(
+        written.map((fileName) => `${AVATAR_URL_PREFIX}${fileName}`)
+      );
+      throw error;
+    }
+
+    return avatar;
+  }
+
+  /**
+   * Delete avatar files by their public URLs. Anything outside the avatar
+   * directory (e.g. a Google profile picture URL) is left alone.
+   */
+  static async removeFiles(urls = []) {
+    await Promise.all(
+      urls
+        .filter(
+          (url) => typeof url === "string" && url.startsWith(AVATAR_URL_PREFIX)
+        )
+        .map((url) =>
+          fs.promises
+            .rm(path.join(AVATAR_DIR, path.basename(url)), { force: true })
+            .catch((error) =>
+              console.error(`Failed to remove avatar file ${url}:`, error)
+            )
+        )
+    );
+  }
+
+  /**
+   * URLs of every stored file of a user's current avatar
+   */
+  static getAvatarUrls(user) {
+    if (!user.avatar) return [];
+    return Object.keys(AVATAR_SIZES)
+      .map((size) => user.avatar[size])
+      .filter(Boolean);
+  }
+}
+
+module.exports = AvatarService;
@@ -0,0 +1,341 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const ContactInvite = require("../models/ContactInvite");
+const emailService = require("./emailService");
+const smsService = require("./smsService");
+const PhoneNumberService = require("./phoneNumberService");
+const notificationService = require("./notificationService");
+
+const INVITE_TTL_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+// An inviter can't message the same contact again within this time
+const RESEND_COOLDOWN_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_INVITES_PER_DAY = 20;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// How invites are delivered on each channel. Replace one with setSender,
+// e.g. to use a different provider for invites than for account messages.
+const senders = {
+  sms: {
+    isConfigured: () => smsService.isConfigured(),
+    send: (to, { inviterName, link }) =>
+      smsService.sendSms(
+        to,
+        `${inviterName} invited you to Good4It, the app for keeping track of money between friends: ${link}`
+      ),
+  },
+  email: {
+    isConfigured: () => emailService.isConfigured(),
+    send: (to, { inviterName, link }) =>
+      emailService.sendContactInviteEmail(to, inviterName, link),
+  },
+};
+
+class ContactInviteService {
+  /**
+   * Plug in a sender for a channel. It must implement
+   * `async send(destination, { inviterName, link })` and may implement
+   * `isConfigured()`.
+   */
+  static setSender(channel, sender) {
+    if (!senders[channel]) {
+      throw new Error(`Unknown invite channel: ${channel}`);
+    }
+    if (!sender || typeof sender.send !== "function") {
+      throw new Error("Invite sender must implement send(destination, invite)");
+    }
+    senders[channel] = {
+      isConfigured: () => true,
+      ...sender,
+    };
+  }
+
+  static isChannelAvailable(channel) {
+    return !!senders[channel] && senders[channel].isConfigured();
+  }
+
+  /**
+   * Key used to recognise a contact: the lowercase email, or the phone
+   * number in E.164 form (null when it isn't valid). Numbers without a
+   * country code are read as belonging to the region.
+   */
+  static getDestinationKey(channel, destination, region = null) {
+    return channel === "email"
+      ? destination.trim().toLowerCase()
+      : PhoneNumberService.normalize(destination, region);
+  }
+
+  static buildLink(token) {
+    const baseUrl =
+      process.env.CONTACT_INVITE_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/join`;
+    return `${baseUrl}?invite=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Account already registered with the contact's email or phone number
+   */
+  static async findExistingUser(channel, destinationKey) {
+    return await User.findOne({
+      ...(channel === "email"
+        ? { email: destinationKey }
+        : { phoneNumber: destinationKey }),
+      deletedAt: null,
+    });
+  }
+
+  /**
+   * Invite a contact who isn't on Good4It. Failures come back with the HTTP
+   * status to use. When the contact already has an account, returns it so
+   * the caller can offer a friend request instead. Accounts that can't be
+   * found by this contact detail get the invite like anyone else, so
+   * invites can't be used to discover them.
+   */
+  static async sendInvite(inviter, channel, destination) {
+    if (!ContactInviteService.isChannelAvailable(channel)) {
+      return {
+        status: 503,
+        message: `${
+          channel === "sms" ? "SMS" : "Email"
+        } invites are not available`,
+      };
+    }
+
+    const destinationKey = ContactInviteService.getDestinationKey(
+      channel,
+      destination,
+      inviter.defaultRegion
+    );
+    if (!destinationKey) {
+      return { status: 400, message: "Please enter a valid phone number" };
+    }
+
+    const existingUser = await ContactInviteService.findExistingUser(
+      channel,
+      destinationKey
+    );
+    const privacy = (existingUser && existingUser.privacy) || {};
+    const discoverable =
+      channel === "email"
+        ? privacy.discoverableByEmail !== false
+        : privacy.discoverableByPhone !== false;
+    if (existingUser && discoverable) {
+      return { existingUser };
+    }
+
+    const recentInvite = await ContactInvite.findOne({
+      inviter: inviter._id,
+      channel,
+      destinationKey,
+      status: "sent",
+      createdAt: { $gte: new Date(Date.now() - RESEND_COOLDOWN_MS) },
+    });
+    if (recentInvite) {
+      return { invite: recentInvite, alreadySent: true };
+    }
+
+    const invitesToday = await ContactInvite.countDocuments({
+      inviter: inviter._id,
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    });
+    if (invitesToday >= MAX_INVITES_PER_DAY) {
+      return {
+        status: 429,
+        message: "You have sent too many invites today. Try again tomorrow.",
+      };
+    }
+
+    const inviteId = new mongoose.Types.ObjectId();
+    const token = `${inviteId}.${crypto.randomBytes(24).toString("hex")}`;
+
+    const invite = await ContactInvite.create({
+      _id: inviteId,
+      inviter: inviter._id,
+      channel,
+      destination: destination.trim(),
+      destinationKey,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+    });
+
+    try {
+      await senders[channel].send(invite.destination, {
+        inviterName: inviter.fullName,
+        link: ContactInviteService.buildLink(token),
+      });
+    } catch (error) {
+      invite.status = "failed";
+      await invite.save();
+      return { status: 502, message: "The invite could not be sent" };
+    }
+
+    return { invite };
+  }
+
+  /**
+   * Invites sent by the user, newest first
+   */
+  static async listForInviter(userId) {
+    return await ContactInvite.find({ inviter: userId })
+      .sort({ createdAt: -1 })
+      .limit(100);
+  }
+
+  /**
+   * Look up an invite from the token in its link. Returns null when the
+   * token doesn't match a live invite.
+   */
+  static async findByToken(token) {
+    if (typeof token !== "string") return null;
+
+    const [inviteId] = token.split(".");
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) return null;
+
+    return await ContactInvite.findOne({
+      _id: inviteId,
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    });
+  }
+
+  /**
+   * Record that an invite link was opened. Returns the invite with the
+   * inviter's public details, or null for an unknown link.
+   */
+  static async recordOpen(token) {
+    const invite = await ContactInviteService.findByToken(token);
+    if (!invite) return null;
+
+    const update = { $inc: { openCount: 1 } };
+    if (!invite.openedAt) update.$set = { openedAt: new Date() };
+
+    return await ContactInvite.findByIdAndUpdate(invite._id, update, {
+      new: true,
+    }).populate("inviter", "fullName handle profilePicture");
+  }
+
+  /**
+   * Connect a newly registered user with everyone who invited them. Anyone
+   * can sign up with someone else's email or phone number, so at signup only
+   * the link they came from counts, plus invites to their email if it's
+   * already verified (e.g. by Google). Each inviter sends them a friend
+   * request and is notified that they joined.
+   */
+  static async handleSignup(user, inviteToken = null) {
+    const matches = [];
+
+    const linkedInvite = inviteToken
+      ? await ContactInviteService.findByToken(inviteToken)
+      : null;
+    if (linkedInvite) matches.push({ _id: linkedInvite._id });
+
+    if (user.isEmailVerified) {
+      matches.push(ContactInviteService.getEmailMatch(user));
+    }
+
+    return await ContactInviteService.acceptInvites(user, matches);
+  }
+
+  /**
+   * Connect the user with everyone who invited their email, once they've
+   * shown they own it. Phone numbers aren't verified, so SMS invites are
+   * only ever matched by their link.
+   */
+  static async handleEmailVerified(user) {
+    return await ContactInviteService.acceptInvites(user, [
+      ContactInviteService.getEmailMatch(user),
+    ]);
+  }
+
+  static getEmailMatch(user) {
+    return {
+      channel: "email",
+      destinationKey: ContactInviteService.getDestinationKey(
+        "email",
+        user.email
+      ),
+    };
+  }
+
+  /**
+   * Mark the live invites matching any of the conditions as joined by the
+   * user and connect each inviter with them. Returns the inviters.
+   */
+  static async acceptInvites(user, matches) {
+    if (matches.length === 0) return [];
+
+    const invites = await ContactInvite.find({
+      $or: matches,
+      status: { $ne: "joined" },
+      expiresAt: { $gt: new Date() },
+    });
+    if (invites.length === 0) return [];
+
+    await ContactInvite.updateMany(
+      { _id: { $in: invites.map((invite) => invite._id) } },
+      { status: "joined", joinedUser: user._id, joinedAt: new Date() }
+    );
+
+    const inviterIds = [
+      ...new Set(invites.map((invite) => invite.inviter.toString())),
+    ];
+    const inviters = await User.find({
+      _id: { $in: inviterIds },
+      isActive: true,
+      deletedAt: null,
+    });
+
+    for (const inviter of inviters) {
+      try {
+        await ContactInviteService.connectInviter(inviter, user);
+      } catch (error) {
+        console.error("Failed to connect contact invite:", error);
+      }
+    }
+
+    return inviters;
+  }
+
+  /**
+   * Friend request from the inviter to the new user, unless they're already
+   * friends or a request between them is pending, plus a notification
+   * telling the inviter their contact joined
+   */
+  static async connectInviter(inviter, user) {
+    const alreadyConnected =
+      (await Friend.exists({ user: inviter._id, friend: user._id })) ||
+      (await FriendRequest.exists({
+        $or: [
+          { sender: inviter._id, recipient: user._id },
+          { sender: user._id, recipient: inviter._id },
+        ],
+        status: "pending",
+      }));
+
+    if (!alreadyConnected) {
+      await FriendRequest.create({ sender: inviter._id, recipient: user._id });
+      notificationService
+        .notifyFriendRequest(user._id, inviter._id, inviter.fullName)
+        .catch((error) =>
+          console.error("Failed to send friend request notification:", error)
+        );
+    }
+
+    await notificationService.sendToUser(
+      inviter._id,
+      "Your contact joined Good4It",
+      alreadyConnected
+        ? `${user.fullName} joined Good4It`
+        : `${user.fullName} joined Good4It. We've sent them a friend request from you.`,
+      "contact_joined",
+      {},
+      user._id
+    );
+  }
+}
+
+module.exports = ContactInviteService;
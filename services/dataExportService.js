@@ -0,0 +1,289 @@
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const DataExport = require("../models/DataExport");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const MoneyRequest = require("../models/MoneyRequest");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const TransactionProof = require("../models/TransactionProof");
+const Task = require("../models/Task");
+const TaskAssignment = require("../models/TaskAssignment");
+const Dispute = require("../models/Dispute");
+const ScoreHistory = require("../models/ScoreHistory");
+const Notification = require("../models/Notification");
+
+// Archives live outside /uploads so they are never served statically
+const EXPORTS_DIR =
+  process.env.DATA_EXPORTS_DIR || path.join(__dirname, "../data-exports");
+const PROOFS_DIR = path.join(__dirname, "../uploads/transaction-proofs");
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // archives are kept a week
+// A finished export is reused instead of building a new one this soon
+const EXPORT_REUSE_MS = 24 * 60 * 60 * 1000;
+// Jobs stuck in processing this long (e.g. after a restart) are retried
+const STALE_JOB_MS = 30 * 60 * 1000;
+
+class DataExportService {
+  /**
+   * Queue an export for the user. An export that is still being built, or
+   * one finished in the last day, is returned instead of starting another.
+   */
+  static async requestExport(userId) {
+    const existing = await DataExport.findOne({
+      user: userId,
+      $or: [
+        { status: { $in: ["pending", "processing"] } },
+        {
+          status: "ready",
+          completedAt: { $gte: new Date(Date.now() - EXPORT_REUSE_MS) },
+          expiresAt: { $gt: new Date() },
+        },
+      ],
+    }).sort({ createdAt: -1 });
+
+    if (existing) {
+      return { dataExport: existing, created: false };
+    }
+
+    const dataExport = await DataExport.create({ user: userId });
+    DataExportService.scheduleExport(dataExport._id);
+
+    return { dataExport, created: true };
+  }
+
+  static async getExport(exportId, userId) {
+    return await DataExport.findOne({ _id: exportId, user: userId });
+  }
+
+  // Build the archive in the background so the request returns immediately
+  static scheduleExport(exportId) {
+    setImmediate(() => {
+      DataExportService.processExport(exportId).catch((error) =>
+        console.error(`Data export ${exportId} failed:`, error)
+      );
+    });
+  }
+
+  /**
+   * Build the archive for a queued export. The job is claimed atomically so
+   * two workers can't build the same export.
+   */
+  static async processExport(exportId) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: "pending" },
+      { status: "processing", startedAt: new Date() },
+      { new: true }
+    );
+    if (!dataExport) return null;
+
+    try {
+      const { data, proofFiles } = await DataExportService.collectUserData(
+        dataExport.user
+      );
+
+      await fs.promises.mkdir(EXPORTS_DIR, { recursive: true });
+      const filePath = path.join(EXPORTS_DIR, `${dataExport._id}.zip`);
+      await DataExportService.writeArchive(filePath, data, proofFiles);
+      const { size } = await fs.promises.stat(filePath);
+
+      dataExport.status = "ready";
+      dataExport.filePath = filePath;
+      dataExport.fileSize = size;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+      await dataExport.save();
+    } catch (error) {
+      console.error(`Error building data export ${exportId}:`, error);
+      dataExport.status = "failed";
+      dataExport.error = "Export could not be generated";
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+      await dataExport.save();
+    }
+
+    return dataExport;
+  }
+
+  /**
+   * Gather everything stored about a user. Returns the JSON document for the
+   * archive and the proof images the user uploaded.
+   */
+  static async collectUserData(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const [
+      friends,
+      friendRequests,
+      moneyRequests,
+      transactions,
+      proofs,
+      tasks,
+      taskAssignments,
+      scoreHistory,
+      notifications,
+    ] = await Promise.all([
+      Friend.find({ $or: [{ user: userId }, { friend: userId }] })
+        .populate("user friend", "fullName email")
+        .lean(),
+      FriendRequest.find({
+        $or: [{ sender: userId }, { recipient: userId }],
+      })
+        .populate("sender recipient", "fullName email")
+        .lean(),
+      MoneyRequest.find({
+        $or: [{ requestor: userId }, { lender: userId }],
+      }).lean(),
+      MoneyTransaction.find({
+        $or: [{ requestor: userId }, { lender: userId }],
+      }).lean(),
+      TransactionProof.find({ uploadedBy: userId }).lean(),
+      Task.find({
+        $or: [{ assignedBy: userId }, { assignedTo: userId }],
+      }).lean(),
+      TaskAssignment.find({
+        $or: [{ lender: userId }, { borrower: userId }],
+      }).lean(),
+      ScoreHistory.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean(),
+    ]);
+
+    // Disputes the user raised or that concern one of their transactions
+    const disputes = await Dispute.find({
+      $or: [
+        { disputer: userId },
+        { transactionId: { $in: transactions.map((t) => t._id) } },
+      ],
+    }).lean();
+
+    const proofFiles = [];
+    const proofEntries = proofs.map((proof) => {
+      const sourcePath = DataExportService.resolveProofPath(proof);
+      const archivePath = sourcePath
+        ? `proofs/${proof._id}${path.extname(sourcePath)}`
+        : null;
+      if (sourcePath) {
+        proofFiles.push({ sourcePath, archivePath });
+      }
+
+      const { filePath, ...rest } = proof;
+      return { ...rest, archiveFile: archivePath };
+    });
+
+    return {
+      data: {
+        exportedAt: new Date().toISOString(),
+        profile: user.toJSON(),
+        friends,
+        friendRequests,
+        moneyRequests,
+        transactions,
+        proofs: proofEntries,
+        tasks,
+        taskAssignments,
+        disputes,
+        scoreHistory,
+        notifications,
+      },
+      proofFiles,
+    };
+  }
+
+  /**
+   * Find a proof image on disk. Stored paths can be absolute paths from
+   * another host, so fall back to the file name in the uploads directory.
+   */
+  static resolveProofPath(proof) {
+    if (!proof.filePath) return null;
+
+    const candidates = [
+      proof.filePath,
+      path.join(PROOFS_DIR, path.basename(proof.filePath)),
+    ];
+
+    return (
+      candidates.find(
+        (candidate) =>
+          fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+      ) || null
+    );
+  }
+
+  static writeArchive(filePath, data, proofFiles = []) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver("zip", { zlib: { level: 9 } });
+
+      output.on("close", resolve);
+      output.on("error", reject);
+      archive.on("error", reject);
+
+      archive.pipe(output);
+      archive.append(JSON.stringify(data, null, 2), { name: "data.json" });
+      proofFiles.forEach(({ sourcePath, archivePath }) => {
+        archive.file(sourcePath, { name: archivePath });
+      });
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Mark an export as downloaded
+   */
+  static async markDownloaded(dataExport) {
+    if (!dataExport.downloadedAt) {
+      dataExport.downloadedAt = new Date();
+      await dataExport.save();
+    }
+  }
+
+  /**
+   * Remove every export of a user along with the archives on disk
+   */
+  static async deleteForUser(userId) {
+    const dataExports = await DataExport.find({ user: userId });
+
+    for (const dataExport of dataExports) {
+      if (dataExport.filePath) {
+        await fs.promises.rm(dataExport.filePath, { force: true });
+      }
+    }
+
+    await DataExport.deleteMany({ user: userId });
+  }
+
+  /**
+   * Delete archives past their expiry and requeue jobs that were interrupted,
+   * e.g. by a server restart
+   */
+  static async runMaintenance() {
+    const expired = await DataExport.find({
+      expiresAt: { $lte: new Date() },
+    });
+
+    for (const dataExport of expired) {
+      if (dataExport.filePath) {
+        await fs.promises.rm(dataExport.filePath, { force: true });
+      }
+      await dataExport.deleteOne();
+    }
+
+    await DataExport.updateMany(
+      {
+        status: "processing",
+        startedAt: { $lte: new Date(Date.now() - STALE_JOB_MS) },
+      },
+      { status: "pending", startedAt: null }
+    );
+
+    const pending = await DataExport.find({ status: "pending" }).select("_id");
+    pending.forEach((dataExport) =>
+      DataExportService.scheduleExport(dataExport._id)
+    );
+  }
+}
+
+module.exports = DataExportService;
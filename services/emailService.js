@@ -0,0 +1,102 @@
+const nodemailer = require("nodemailer");
+
+// Names are user supplied, so escape them before putting them in HTML
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return !!process.env.EMAIL_HOST;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+
+      this.transporter = nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USER
+          ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+          : undefined,
+      });
+    }
+    return this.transporter;
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    if (!this.isConfigured()) {
+      console.log("⚠️ Email not configured. Skipping email to", to);
+      return null;
+    }
+
+    try {
+      const info = await this.getTransporter().sendMail({
+        from:
+          process.env.EMAIL_FROM ||
+          `"Good4It" <${process.env.EMAIL_USER || "no-reply@good4it.app"}>`,
+        to,
+        subject,
+        text,
+        html,
+      });
+      console.log("✅ Email sent successfully:", info.messageId);
+      return info;
+    } catch (error) {
+      console.error("❌ Error sending email:", error);
+      throw error;
+    }
+  }
+
+  // Email templates
+  async sendVerificationEmail(to, fullName, link) {
+    return await this.sendMail({
+      to,
+      subject: "Verify your Good4It email",
+      text: `Hi ${fullName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours. If you didn't create a Good4It account, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(fullName)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours. If you didn't create a Good4It account, you can ignore this email.</p>`,
+    });
+  }
+
+  async sendPasswordResetEmail(to, fullName, link) {
+    return await this.sendMail({
+      to,
+      subject: "Reset your Good4It password",
+      text: `Hi ${fullName},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 30 minutes and can only be used once. If you didn't ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(fullName)},</p><p>We received a request to reset your password. Open this link to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 30 minutes and can only be used once. If you didn't ask for this, you can ignore this email.</p>`,
+    });
+  }
+
+  async sendContactInviteEmail(to, inviterName, link) {
+    const name = escapeHtml(inviterName);
+    return await this.sendMail({
+      to,
+      subject: `${inviterName} invited you to Good4It`,
+      text: `${inviterName} would like to connect with you on Good4It, the app for keeping track of money between friends.\n\nJoin here:\n${link}\n\nIf you don't know ${inviterName}, you can ignore this email.`,
+      html: `<p>${name} would like to connect with you on Good4It, the app for keeping track of money between friends.</p><p><a href="${link}">Join Good4It</a></p><p>If you don't know ${name}, you can ignore this email.</p>`,
+    });
+  }
+
+  async sendSuspiciousLoginEmail(to, fullName, failedAttempts, ipAddress) {
+    const name = escapeHtml(fullName);
+    const source = ipAddress ? ` from IP address ${ipAddress}` : "";
+    const htmlSource = escapeHtml(source);
+    return await this.sendMail({
+      to,
+      subject: "Unusual sign-in attempts on your Good4It account",
+      text: `Hi ${fullName},\n\nThere have been ${failedAttempts} failed attempts to sign in to your Good4It account${source}. If this wasn't you, we recommend resetting your password and turning on two-factor authentication.`,
+      html: `<p>Hi ${name},</p><p>There have been ${failedAttempts} failed attempts to sign in to your Good4It account${htmlSource}.</p><p>If this wasn't you, we recommend resetting your password and turning on two-factor authentication.</p>`,
+    });
+  }
+}
+
+module.exports = new EmailService();
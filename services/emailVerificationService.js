@@ -0,0 +1,70 @@
+const jwt = require("jsonwebtoken");
+const emailService = require("./emailService");
+
+const TOKEN_PURPOSE = "email_verification";
+const TOKEN_EXPIRY = "24h";
+
+// Minimum time between two verification emails for the same user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+class EmailVerificationService {
+  /**
+   * Create a signed, expiring verification token. The email is part of the
+   * payload so a link stops working if the address changes.
+   */
+  static generateToken(user) {
+    return jwt.sign(
+      { userId: user._id.toString(), email: user.email, purpose: TOKEN_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: TOKEN_EXPIRY }
+    );
+  }
+
+  /**
+   * Decode a verification token. Returns null when it is invalid or expired.
+   */
+  static verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload.purpose !== TOKEN_PURPOSE) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static buildLink(token) {
+    const baseUrl =
+      process.env.EMAIL_VERIFICATION_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/verify-email`;
+    return `${baseUrl}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Whether a new verification email may be sent to the user yet
+   */
+  static canResend(user) {
+    if (!user.emailVerificationSentAt) return true;
+    return (
+      Date.now() - user.emailVerificationSentAt.getTime() >= RESEND_COOLDOWN_MS
+    );
+  }
+
+  /**
+   * Email a fresh verification link and record when it was sent
+   */
+  static async sendVerification(user) {
+    const link = EmailVerificationService.buildLink(
+      EmailVerificationService.generateToken(user)
+    );
+
+    await emailService.sendVerificationEmail(user.email, user.fullName, link);
+
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    return link;
+  }
+}
+
+module.exports = EmailVerificationService;
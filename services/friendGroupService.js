@@ -0,0 +1,231 @@
+const Friend = require("../models/Friend");
+const FriendGroup = require("../models/FriendGroup");
+
+const MAX_GROUPS = 20;
+const MAX_MEMBERS = 200;
+
+const MEMBER_FIELDS = "fullName handle profilePicture";
+
+// Works whether or not the member's user has been populated
+const memberId = (member) => (member.user._id || member.user).toString();
+
+class FriendGroupService {
+  static async list(ownerId) {
+    return await FriendGroup.find({ owner: ownerId })
+      .populate("members.user", MEMBER_FIELDS)
+      .sort({ name: 1 });
+  }
+
+  static async get(ownerId, groupId) {
+    return await FriendGroup.findOne({ _id: groupId, owner: ownerId });
+  }
+
+  static async populateMembers(group) {
+    return await group.populate("members.user", MEMBER_FIELDS);
+  }
+
+  /**
+   * IDs from the list that aren't the owner's friends
+   */
+  static async findNonFriends(ownerId, userIds) {
+    const friendIds = (
+      await Friend.find({ user: ownerId, friend: { $in: userIds } }).distinct(
+        "friend"
+      )
+    ).map((id) => id.toString());
+
+    return userIds.filter((id) => !friendIds.includes(id.toString()));
+  }
+
+  /**
+   * Create a group. Members are given as [{ userId, role }] and must all be
+   * friends. Failures come back with the HTTP status to use.
+   */
+  static async create(ownerId, data) {
+    const groupCount = await FriendGroup.countDocuments({ owner: ownerId });
+    if (groupCount >= MAX_GROUPS) {
+      return {
+        status: 400,
+        message: `You can have at most ${MAX_GROUPS} friend groups`,
+      };
+    }
+
+    // The last entry wins when a friend is listed twice
+    const members = [
+      ...new Map(
+        (data.members || []).map((member) => [
+          member.userId,
+          { user: member.userId, role: member.role || null },
+        ])
+      ).values(),
+    ];
+    if (members.length > MAX_MEMBERS) {
+      return {
+        status: 400,
+        message: `A group can have at most ${MAX_MEMBERS} members`,
+      };
+    }
+
+    const nonFriends = await FriendGroupService.findNonFriends(
+      ownerId,
+      members.map((member) => member.user)
+    );
+    if (nonFriends.length > 0) {
+      return { status: 400, message: "Group members must be your friends" };
+    }
+
+    try {
+      const group = await FriendGroup.create({
+        owner: ownerId,
+        name: data.name,
+        members,
+        defaultVisibility: data.defaultVisibility,
+        lendingPolicy: data.lendingPolicy,
+      });
+      return { group };
+    } catch (error) {
+      if (error.code === 11000) {
+        return {
+          status: 409,
+          message: "You already have a group with this name",
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a group or change its visibility or lending policy
+   */
+  static async update(group, data) {
+    if (data.name !== undefined) group.name = data.name;
+    if (data.defaultVisibility !== undefined) {
+      group.defaultVisibility = data.defaultVisibility;
+    }
+    for (const [key, value] of Object.entries(data.lendingPolicy || {})) {
+      group.set(`lendingPolicy.${key}`, value);
+    }
+
+    try {
+      await group.save();
+      return { group };
+    } catch (error) {
+      if (error.code === 11000) {
+        return {
+          status: 409,
+          message: "You already have a group with this name",
+        };
+      }
+      throw error;
+    }
+  }
+
+  static async addMember(group, userId, role = null) {
+    if (group.hasMember(userId)) {
+      return { status: 409, message: "Already a member of this group" };
+    }
+    if (group.members.length >= MAX_MEMBERS) {
+      return {
+        status: 400,
+        message: `A group can have at most ${MAX_MEMBERS} members`,
+      };
+    }
+
+    const nonFriends = await FriendGroupService.findNonFriends(group.owner, [
+      userId,
+    ]);
+    if (nonFriends.length > 0) {
+      return { status: 400, message: "Group members must be your friends" };
+    }
+
+    group.members.push({ user: userId, role: role || null });
+    await group.save();
+    return { group };
+  }
+
+  /**
+   * Change a member's role. Returns false when they aren't in the group.
+   */
+  static async updateMember(group, userId, role) {
+    const member = group.members.find(
+      (entry) => memberId(entry) === userId.toString()
+    );
+    if (!member) return false;
+
+    member.role = role || null;
+    await group.save();
+    return true;
+  }
+
+  static async removeMember(group, userId) {
+    if (!group.hasMember(userId)) return false;
+
+    group.members = group.members.filter(
+      (entry) => memberId(entry) !== userId.toString()
+    );
+    await group.save();
+    return true;
+  }
+
+  /**
+   * Take a user out of every group the owner has, e.g. after unfriending
+   */
+  static async removeFromOwnerGroups(ownerId, userId) {
+    await FriendGroup.updateMany(
+      { owner: ownerId, "members.user": userId },
+      { $pull: { members: { user: userId } } }
+    );
+  }
+
+  /**
+   * Counterparties the user's money summaries are limited to. With a group
+   * only its members count; without one, members of hidden groups are left
+   * out. Returns null when the group isn't the user's.
+   */
+  static async getSummaryScope(ownerId, groupId) {
+    if (groupId) {
+      const group = await FriendGroupService.get(ownerId, groupId);
+      if (!group) return null;
+      return {
+        counterparty: { $in: group.members.map((member) => member.user) },
+      };
+    }
+
+    const hiddenGroups = await FriendGroup.find({
+      owner: ownerId,
+      defaultVisibility: "hidden",
+    }).select("members.user");
+    const hiddenIds = hiddenGroups.flatMap((group) =>
+      group.members.map((member) => member.user)
+    );
+
+    return hiddenIds.length > 0 ? { counterparty: { $nin: hiddenIds } } : {};
+  }
+
+  /**
+   * Lending policy the owner applies to a friend. When the friend is in
+   * several groups the strictest policy wins.
+   */
+  static async getLendingPolicy(ownerId, userId) {
+    const groups = await FriendGroup.find({
+      owner: ownerId,
+      "members.user": userId,
+    }).select("lendingPolicy");
+
+    const limits = groups
+      .map((group) => group.lendingPolicy.maxRequestAmount)
+      .filter((amount) => amount !== null && amount !== undefined);
+
+    return {
+      allowRequests: groups.every(
+        (group) => group.lendingPolicy.allowRequests !== false
+      ),
+      maxRequestAmount: limits.length > 0 ? Math.min(...limits) : null,
+    };
+  }
+}
+
+FriendGroupService.MAX_GROUPS = MAX_GROUPS;
+FriendGroupService.MAX_MEMBERS = MAX_MEMBERS;
+
+module.exports = FriendGroupService;
@@ -0,0 +1,228 @@
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const FriendInvite = require("../models/FriendInvite");
+const FriendshipService = require("./friendshipService");
+const notificationService = require("./notificationService");
+
+const TOKEN_PURPOSE = "friend_invite";
+const DEFAULT_EXPIRY_HOURS = 7 * 24;
+const MAX_EXPIRY_HOURS = 30 * 24;
+const QR_FORMATS = ["png", "svg"];
+
+class FriendInviteService {
+  /**
+   * Create an invite that expires after the given number of hours
+   */
+  static async createInvite(
+    userId,
+    { autoAccept = false, expiresInHours = DEFAULT_EXPIRY_HOURS } = {}
+  ) {
+    const hours = Math.min(Math.max(expiresInHours, 1), MAX_EXPIRY_HOURS);
+
+    return await FriendInvite.create({
+      user: userId,
+      autoAccept,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+  }
+
+  /**
+   * Invites the user can still share, newest first
+   */
+  static async listActive(userId) {
+    return await FriendInvite.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+  }
+
+  static async getInvite(inviteId, userId) {
+    return await FriendInvite.findOne({ _id: inviteId, user: userId });
+  }
+
+  /**
+   * Stop an invite from being used. Codes already shared stop working
+   * straight away even though their signature is still valid.
+   */
+  static async revoke(invite) {
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+    return invite;
+  }
+
+  /**
+   * Signed code for an invite. It expires with the invite, so a code can't
+   * outlive it even if the invite record is gone.
+   */
+  static generateCode(invite) {
+    const expiresIn = Math.max(
+      Math.floor((invite.expiresAt.getTime() - Date.now()) / 1000),
+      1
+    );
+
+    return jwt.sign(
+      { inviteId: invite._id.toString(), purpose: TOKEN_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Decode an invite code. Returns null when it is invalid or expired.
+   */
+  static verifyCode(code) {
+    try {
+      const payload = jwt.verify(code, process.env.JWT_SECRET);
+      if (payload.purpose !== TOKEN_PURPOSE) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static buildLink(code) {
+    const baseUrl =
+      process.env.FRIEND_INVITE_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/invite`;
+    return `${baseUrl}?code=${encodeURIComponent(code)}`;
+  }
+
+  /**
+   * QR code of the invite link, as a PNG buffer or an SVG string
+   */
+  static async renderQr(code, format = "png") {
+    const link = FriendInviteService.buildLink(code);
+
+    if (format === "svg") {
+      return await QRCode.toString(link, { type: "svg", margin: 2 });
+    }
+    return await QRCode.toBuffer(link, { type: "png", width: 512, margin: 2 });
+  }
+
+  /**
+   * Make two users friends, settling any pending requests between them
+   */
+  static async connect(userId, otherUserId) {
+    await FriendRequest.updateMany(
+      {
+        $or: [
+          { sender: userId, recipient: otherUserId },
+          { sender: otherUserId, recipient: userId },
+        ],
+        status: "pending",
+      },
+      { status: "accepted", respondedAt: new Date() }
+    );
+
+    // Upserts keep this safe to repeat if a previous attempt failed halfway
+    await Promise.all([
+      Friend.updateOne(
+        { user: userId, friend: otherUserId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      ),
+      Friend.updateOne(
+        { user: otherUserId, friend: userId },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      ),
+    ]);
+  }
+
+  /**
+   * Use an invite code. Sends a friend request to the inviter, or makes the
+   * users friends straight away when the invite allows it or the inviter
+   * has already asked. Failures come back with the HTTP status to use.
+   */
+  static async redeem(user, code) {
+    const payload = FriendInviteService.verifyCode(code);
+    if (!payload) {
+      return { status: 400, message: "Invalid invite code" };
+    }
+
+    const invite = await FriendInvite.findById(payload.inviteId);
+    if (!invite || !invite.isUsable()) {
+      return {
+        status: 410,
+        message: "This invite has expired or been revoked",
+      };
+    }
+
+    if (invite.user.toString() === user._id.toString()) {
+      return { status: 400, message: "You cannot use your own invite" };
+    }
+
+    const inviter = await User.findById(invite.user);
+    if (
+      !inviter ||
+      !inviter.isActive ||
+      inviter.deletedAt ||
+      (await FriendshipService.isBlocked(user._id, inviter._id))
+    ) {
+      return { status: 404, message: "User not found" };
+    }
+
+    const alreadyFriends = await Friend.exists({
+      user: user._id,
+      friend: inviter._id,
+    });
+    if (alreadyFriends) {
+      return { status: 400, message: "Already friends" };
+    }
+
+    const requestFromInviter = await FriendRequest.exists({
+      sender: inviter._id,
+      recipient: user._id,
+      ...FriendRequest.openFilter(),
+    });
+
+    let result;
+    if (invite.autoAccept || requestFromInviter) {
+      await FriendInviteService.connect(user._id, inviter._id);
+      result = "accepted";
+    } else {
+      // Refreshes a pending request to the inviter rather than failing on
+      // it. The invite skips the cooldown after an earlier rejection.
+      await FriendRequest.findOneAndUpdate(
+        { sender: user._id, recipient: inviter._id, status: "pending" },
+        { lastSentAt: new Date(), expiresAt: FriendRequest.nextExpiry() },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      result = "requested";
+    }
+
+    await FriendInvite.updateOne(
+      { _id: invite._id },
+      { $inc: { uses: 1 }, lastUsedAt: new Date() }
+    );
+
+    const notification =
+      result === "accepted"
+        ? notificationService.notifyFriendRequestAccepted(
+            inviter._id,
+            user._id,
+            user.fullName
+          )
+        : notificationService.notifyFriendRequest(
+            inviter._id,
+            user._id,
+            user.fullName
+          );
+    notification.catch((error) =>
+      console.error("Failed to send friend invite notification:", error)
+    );
+
+    return { result, inviter };
+  }
+}
+
+FriendInviteService.QR_FORMATS = QR_FORMATS;
+FriendInviteService.MAX_EXPIRY_HOURS = MAX_EXPIRY_HOURS;
+
+module.exports = FriendInviteService;
@@ -0,0 +1,229 @@
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const FriendshipService = require("./friendshipService");
+const notificationService = require("./notificationService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How long a sender waits to ask again after being rejected
+const REREQUEST_COOLDOWN_DAYS = 7;
+// Minimum time between reminders for the same pending request, which also
+// applies to cancelling a request and sending a new one
+const RESEND_INTERVAL_HOURS = 24;
+
+// Failing to push a notification never fails the request itself
+const notifyInBackground = (promise) =>
+  promise.catch((error) =>
+    console.error("Failed to send friend request notification:", error)
+  );
+
+class FriendRequestService {
+  /**
+   * Send a friend request and notify the recipient. Failures come back with
+   * the HTTP status to use; cooldowns also carry `retryAfter`.
+   */
+  static async send(sender, recipientId) {
+    const recipient = await User.findById(recipientId);
+
+    // Blocked in either direction looks the same as a missing user
+    if (
+      !recipient ||
+      recipient.deletedAt ||
+      (await FriendshipService.isBlocked(sender._id, recipient._id))
+    ) {
+      return { status: 404, message: "User not found" };
+    }
+
+    if (recipient._id.equals(sender._id)) {
+      return {
+        status: 400,
+        message: "You cannot send a friend request to yourself",
+      };
+    }
+
+    const alreadyFriends = await Friend.exists({
+      user: sender._id,
+      friend: recipient._id,
+    });
+    if (alreadyFriends) {
+      return { status: 400, message: "Already friends" };
+    }
+
+    const between = {
+      $or: [
+        { sender: sender._id, recipient: recipient._id },
+        { sender: recipient._id, recipient: sender._id },
+      ],
+    };
+
+    // Close stale requests first so they don't count as pending below
+    await FriendRequestService.expirePending(between);
+
+    const pending = await FriendRequest.findOne({
+      ...between,
+      status: "pending",
+    });
+    if (pending) {
+      return {
+        status: 400,
+        message: pending.sender.equals(sender._id)
+          ? "Friend request already sent"
+          : "This user has already sent you a friend request",
+      };
+    }
+
+    // The last request the recipient rejected or the sender withdrew
+    const lastClosed = await FriendRequest.findOne({
+      sender: sender._id,
+      recipient: recipient._id,
+      status: { $in: ["rejected", "cancelled"] },
+    }).sort({ createdAt: -1 });
+    if (lastClosed) {
+      const retryAfter =
+        lastClosed.status === "rejected"
+          ? new Date(
+              (lastClosed.respondedAt || lastClosed.createdAt).getTime() +
+                REREQUEST_COOLDOWN_DAYS * DAY_MS
+            )
+          : new Date(
+              (lastClosed.lastSentAt || lastClosed.createdAt).getTime() +
+                RESEND_INTERVAL_HOURS * 60 * 60 * 1000
+            );
+      if (retryAfter > new Date()) {
+        return {
+          status: 429,
+          message: "You can't send this user another friend request yet",
+          retryAfter,
+        };
+      }
+    }
+
+    let request;
+    try {
+      request = await FriendRequest.create({
+        sender: sender._id,
+        recipient: recipient._id,
+      });
+    } catch (error) {
+      // Another request for the same pair was created at the same time
+      if (error.code === 11000) {
+        return { status: 400, message: "Friend request already sent" };
+      }
+      throw error;
+    }
+
+    notifyInBackground(
+      notificationService.notifyFriendRequest(
+        recipient._id,
+        sender._id,
+        sender.fullName
+      )
+    );
+
+    return { request };
+  }
+
+  /**
+   * Accept or reject a pending request sent to the user. Returns null when
+   * there is no such request or it has expired.
+   */
+  static async respond(user, requestId, status) {
+    const request = await FriendRequest.findOne({
+      _id: requestId,
+      recipient: user._id,
+      ...FriendRequest.openFilter(),
+    });
+    if (!request) return null;
+
+    request.status = status;
+    request.respondedAt = new Date();
+    await request.save();
+
+    if (status === "accepted") {
+      // Create friendship records for both users
+      await Friend.create([
+        { user: request.sender, friend: request.recipient },
+        { user: request.recipient, friend: request.sender },
+      ]);
+
+      notifyInBackground(
+        notificationService.notifyFriendRequestAccepted(
+          request.sender,
+          user._id,
+          user.fullName
+        )
+      );
+    }
+
+    return request;
+  }
+
+  /**
+   * Withdraw a pending request the user sent
+   */
+  static async cancel(user, requestId) {
+    const result = await FriendRequest.updateOne(
+      { _id: requestId, sender: user._id, status: "pending" },
+      { status: "cancelled" }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Notify the recipient of a pending request again and push its expiry
+   * back. Allowed once a day per request.
+   */
+  static async resend(user, requestId) {
+    const request = await FriendRequest.findOne({
+      _id: requestId,
+      sender: user._id,
+      ...FriendRequest.openFilter(),
+    });
+    if (!request) {
+      return { status: 404, message: "Friend request not found" };
+    }
+
+    const lastSentAt = request.lastSentAt || request.createdAt;
+    const retryAfter = new Date(
+      lastSentAt.getTime() + RESEND_INTERVAL_HOURS * 60 * 60 * 1000
+    );
+    if (retryAfter > new Date()) {
+      return {
+        status: 429,
+        message: "You can only resend a friend request once a day",
+        retryAfter,
+      };
+    }
+
+    request.lastSentAt = new Date();
+    request.expiresAt = FriendRequest.nextExpiry();
+    await request.save();
+
+    notifyInBackground(
+      notificationService.notifyFriendRequest(
+        request.recipient,
+        user._id,
+        user.fullName
+      )
+    );
+
+    return { request };
+  }
+
+  /**
+   * Mark pending requests past their expiry as expired, optionally limited
+   * by an extra filter. Returns how many were closed.
+   */
+  static async expirePending(filter = {}) {
+    const result = await FriendRequest.updateMany(
+      { ...filter, status: "pending", expiresAt: { $lte: new Date() } },
+      { status: "expired" }
+    );
+    return result.modifiedCount;
+  }
+}
+
+FriendRequestService.REREQUEST_COOLDOWN_DAYS = REREQUEST_COOLDOWN_DAYS;
+FriendRequestService.RESEND_INTERVAL_HOURS = RESEND_INTERVAL_HOURS;
+
+module.exports = FriendRequestService;
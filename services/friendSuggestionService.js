@@ -0,0 +1,203 @@
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const ContactInvite = require("../models/ContactInvite");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const Task = require("../models/Task");
+const SuggestionDismissal = require("../models/SuggestionDismissal");
+const FriendshipService = require("./friendshipService");
+
+// How much each signal adds to a suggestion's rank
+const WEIGHTS = {
+  mutualFriend: 2,
+  contact: 5,
+  sharedActivity: 3,
+};
+// Loans and tasks shared with someone stop adding to the rank after this many
+const MAX_SHARED_ACTIVITY = 5;
+// Friends of friends considered, those with the most mutual friends first
+const MAX_CANDIDATES = 500;
+const MAX_PAGE_SIZE = 50;
+
+// Users who turned off every way of being found are never suggested
+const DISCOVERABLE = {
+  $or: [
+    { "privacy.discoverableByName": { $ne: false } },
+    { "privacy.discoverableByEmail": { $ne: false } },
+    { "privacy.discoverableByPhone": { $ne: false } },
+  ],
+};
+
+const rank = ({ mutualFriends, contact, sharedActivity }) =>
+  mutualFriends * WEIGHTS.mutualFriend +
+  (contact ? WEIGHTS.contact : 0) +
+  Math.min(sharedActivity, MAX_SHARED_ACTIVITY) * WEIGHTS.sharedActivity;
+
+class FriendSuggestionService {
+  /**
+   * Users never suggested: the user, their friends, blocked users, anyone
+   * who rejected them or has a request open with them, and dismissed
+   * suggestions
+   */
+  static async getExcludedIds(userId, friendIds) {
+    const [blockedIds, requests, dismissals] = await Promise.all([
+      FriendshipService.getBlockedUserIds(userId),
+      FriendRequest.find({
+        $or: [
+          { sender: userId, status: { $in: ["pending", "rejected"] } },
+          { recipient: userId, status: "pending" },
+        ],
+      }).select("sender recipient"),
+      SuggestionDismissal.find({ user: userId }).select("dismissed"),
+    ]);
+
+    return [
+      userId,
+      ...friendIds,
+      ...blockedIds,
+      ...requests.map((request) =>
+        request.sender.equals(userId) ? request.recipient : request.sender
+      ),
+      ...dismissals.map((dismissal) => dismissal.dismissed),
+    ];
+  }
+
+  /**
+   * Why each candidate might be someone the user knows, keyed by user ID:
+   * mutual friends, a contact invite between them, and loans or tasks they
+   * took part in together
+   */
+  static async collectSignals(userId, friendIds, excludedIds) {
+    const [mutual, invites, transactions, tasks] = await Promise.all([
+      Friend.aggregate([
+        { $match: { user: { $in: friendIds }, friend: { $nin: excludedIds } } },
+        { $group: { _id: "$friend", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: MAX_CANDIDATES },
+      ]),
+      ContactInvite.find({
+        $or: [
+          { inviter: userId, joinedUser: { $ne: null } },
+          { joinedUser: userId },
+        ],
+      }).select("inviter joinedUser"),
+      MoneyTransaction.find({
+        $or: [{ lender: userId }, { requestor: userId }],
+      }).select("lender requestor"),
+      Task.find({
+        $or: [{ assignedBy: userId }, { assignedTo: userId }],
+      }).select("assignedBy assignedTo"),
+    ]);
+
+    const signals = new Map();
+    const signalFor = (otherUserId) => {
+      const key = otherUserId.toString();
+      if (!signals.has(key)) {
+        signals.set(key, {
+          mutualFriends: 0,
+          contact: false,
+          sharedActivity: 0,
+        });
+      }
+      return signals.get(key);
+    };
+    const otherParticipant = (...participants) =>
+      participants.find((id) => id && !id.equals(userId));
+
+    for (const { _id, count } of mutual) {
+      signalFor(_id).mutualFriends = count;
+    }
+    for (const invite of invites) {
+      const other = otherParticipant(invite.inviter, invite.joinedUser);
+      if (other) signalFor(other).contact = true;
+    }
+    for (const transaction of transactions) {
+      const other = otherParticipant(transaction.lender, transaction.requestor);
+      if (other) signalFor(other).sharedActivity += 1;
+    }
+    for (const task of tasks) {
+      const other = otherParticipant(task.assignedBy, task.assignedTo);
+      if (other) signalFor(other).sharedActivity += 1;
+    }
+
+    for (const id of excludedIds) {
+      signals.delete(id.toString());
+    }
+    return signals;
+  }
+
+  /**
+   * People the user may know, best matches first
+   */
+  static async getSuggestions(userId, { page = 1, limit = 20 } = {}) {
+    const friendIds = await Friend.find({ user: userId }).distinct("friend");
+    const excludedIds = await FriendSuggestionService.getExcludedIds(
+      userId,
+      friendIds
+    );
+    const signals = await FriendSuggestionService.collectSignals(
+      userId,
+      friendIds,
+      excludedIds
+    );
+
+    const users = await User.find({
+      _id: { $in: [...signals.keys()] },
+      isActive: true,
+      deletedAt: null,
+      ...DISCOVERABLE,
+    }).select(
+      "fullName handle email phoneNumber profilePicture good4itScore privacy"
+    );
+
+    const ranked = users
+      .map((user) => {
+        const signal = signals.get(user._id.toString());
+        return { user, ...signal, score: rank(signal) };
+      })
+      .sort((a, b) => b.score - a.score || b.mutualFriends - a.mutualFriends);
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 20, 1),
+      MAX_PAGE_SIZE
+    );
+    const totalSuggestions = ranked.length;
+
+    return {
+      suggestions: ranked
+        .slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+        .map(({ user, mutualFriends, contact, sharedActivity }) => ({
+          user: user.toDiscoveryJSON(),
+          mutualFriends,
+          reasons: [
+            mutualFriends > 0 && "mutual_friends",
+            contact && "contact",
+            sharedActivity > 0 && "shared_activity",
+          ].filter(Boolean),
+        })),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(totalSuggestions / pageSize),
+        totalSuggestions,
+        hasNextPage: pageNumber * pageSize < totalSuggestions,
+        hasPrevPage: pageNumber > 1,
+      },
+    };
+  }
+
+  /**
+   * Stop suggesting a user
+   */
+  static async dismiss(userId, otherUserId) {
+    await SuggestionDismissal.updateOne(
+      { user: userId, dismissed: otherUserId },
+      { $setOnInsert: { user: userId, dismissed: otherUserId } },
+      { upsert: true }
+    );
+  }
+}
+
+FriendSuggestionService.WEIGHTS = WEIGHTS;
+
+module.exports = FriendSuggestionService;
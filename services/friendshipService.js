@@ -0,0 +1,121 @@
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const Block = require("../models/Block");
+const MoneyRequest = require("../models/MoneyRequest");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const FriendGroupService = require("./friendGroupService");
+
+// Transactions in these states are closed
+const SETTLED_STATUSES = ["repaid", "forgiven"];
+
+const between = (userId, otherUserId, first, second) => ({
+  $or: [
+    { [first]: userId, [second]: otherUserId },
+    { [first]: otherUserId, [second]: userId },
+  ],
+});
+
+class FriendshipService {
+  /**
+   * Loans between two users that haven't been repaid or forgiven
+   */
+  static async getOpenTransactions(userId, otherUserId) {
+    return await MoneyTransaction.find({
+      ...between(userId, otherUserId, "lender", "requestor"),
+      status: { $nin: SETTLED_STATUSES },
+    }).select("amount status lender requestor createdAt");
+  }
+
+  /**
+   * Remove the friendship in both directions, and each user from the
+   * other's friend groups. Pending requests between them are withdrawn;
+   * answered ones stay, so rejection cooldowns still apply.
+   */
+  static async unfriend(userId, otherUserId) {
+    const result = await Friend.deleteMany(
+      between(userId, otherUserId, "user", "friend")
+    );
+    await FriendRequest.deleteMany({
+      ...between(userId, otherUserId, "sender", "recipient"),
+      status: "pending",
+    });
+    await Promise.all([
+      FriendGroupService.removeFromOwnerGroups(userId, otherUserId),
+      FriendGroupService.removeFromOwnerGroups(otherUserId, userId),
+    ]);
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Whether either user has blocked the other
+   */
+  static async isBlocked(userId, otherUserId) {
+    return !!(await Block.exists(
+      between(userId, otherUserId, "blocker", "blocked")
+    ));
+  }
+
+  /**
+   * Users hidden from this user: those they blocked and those who blocked
+   * them
+   */
+  static async getBlockedUserIds(userId) {
+    const blocks = await Block.find({
+      $or: [{ blocker: userId }, { blocked: userId }],
+    }).select("blocker blocked");
+
+    return blocks.map((block) =>
+      block.blocker.toString() === userId.toString()
+        ? block.blocked
+        : block.blocker
+    );
+  }
+
+  /**
+   * Block a user: ends the friendship, withdraws pending friend and money
+   * requests between the two, and stops new ones. Loans between them stay
+   * on both ledgers and can still be repaid.
+   */
+  static async block(userId, otherUserId) {
+    await Block.updateOne(
+      { blocker: userId, blocked: otherUserId },
+      { $setOnInsert: { blocker: userId, blocked: otherUserId } },
+      { upsert: true }
+    );
+
+    await FriendshipService.unfriend(userId, otherUserId);
+    await MoneyRequest.updateMany(
+      {
+        ...between(userId, otherUserId, "requestor", "lender"),
+        status: "pending",
+      },
+      { status: "rejected" }
+    );
+  }
+
+  static async unblock(userId, otherUserId) {
+    const result = await Block.deleteOne({
+      blocker: userId,
+      blocked: otherUserId,
+    });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Users this user has blocked, most recent first
+   */
+  static async listBlocked(userId) {
+    const blocks = await Block.find({ blocker: userId })
+      .populate("blocked", "fullName handle profilePicture")
+      .sort({ createdAt: -1 });
+
+    return blocks
+      .filter((block) => block.blocked)
+      .map((block) => ({
+        user: block.blocked,
+        blockedAt: block.createdAt,
+      }));
+  }
+}
+
+module.exports = FriendshipService;
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const https = require("https");
+const jwt = require("jsonwebtoken");
+
+const GOOGLE_CERTS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const DEFAULT_CACHE_MS = 60 * 60 * 1000; // 1 hour
+// Don't refetch more than once a minute when a token has an unknown key id
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+// Fetch Google's public signing keys (JWKS) and how long they may be cached
+const fetchGoogleKeys = () =>
+  new Promise((resolve, reject) => {
+    https
+      .get(GOOGLE_CERTS_URL, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => {
+          if (res.statusCode !== 200) {
+            return reject(
+              new Error(`Failed to fetch Google keys: ${res.statusCode}`)
+            );
+          }
+          try {
+            const maxAge = /max-age=(\d+)/.exec(
+              res.headers["cache-control"] || ""
+            );
+            resolve({
+              keys: JSON.parse(body).keys,
+              maxAgeMs: maxAge ? parseInt(maxAge[1], 10) * 1000 : undefined,
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      })
+      .on("error", reject);
+  });
+
+class GoogleAuthService {
+  constructor() {
+    this.keyFetcher = fetchGoogleKeys;
+    this.resetCache();
+  }
+
+  /**
+   * Replace how signing keys are loaded, e.g. with a local key set in tests.
+   * The fetcher must resolve to `{ keys: [jwk, ...], maxAgeMs? }`.
+   */
+  setKeyFetcher(fetcher) {
+    this.keyFetcher = fetcher || fetchGoogleKeys;
+    this.resetCache();
+  }
+
+  resetCache() {
+    this.keys = new Map();
+    this.keysExpireAt = 0;
+    this.lastFetchAt = 0;
+  }
+
+  // Client IDs our apps use; any of them is an acceptable audience
+  getClientIds() {
+    return (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+
+  async refreshKeys() {
+    const { keys, maxAgeMs } = await this.keyFetcher();
+
+    this.keys = new Map(
+      keys.map((jwk) => [
+        jwk.kid,
+        crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      ])
+    );
+    this.keysExpireAt = Date.now() + (maxAgeMs || DEFAULT_CACHE_MS);
+    this.lastFetchAt = Date.now();
+  }
+
+  async getKey(kid) {
+    if (Date.now() >= this.keysExpireAt) {
+      await this.refreshKeys();
+    } else if (
+      !this.keys.has(kid) &&
+      Date.now() - this.lastFetchAt >= MIN_REFETCH_INTERVAL_MS
+    ) {
+      // Google may have rotated keys since we cached them
+      await this.refreshKeys();
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Verify a Google ID token's signature, audience, issuer and expiry.
+   * Returns the token payload, or null if the token can't be trusted.
+   */
+  async verifyIdToken(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header || decoded.header.alg !== "RS256") {
+      return null;
+    }
+
+    const clientIds = this.getClientIds();
+    if (clientIds.length === 0) {
+      throw new Error("GOOGLE_CLIENT_ID is not configured");
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+    if (!key) return null;
+
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms: ["RS256"],
+        audience: clientIds,
+        issuer: GOOGLE_ISSUERS,
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new GoogleAuthService();
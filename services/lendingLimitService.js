@@ -0,0 +1,184 @@
+const Friend = require("../models/Friend");
+const MoneyRequest = require("../models/MoneyRequest");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const FriendGroupService = require("./friendGroupService");
+
+const SETTLED_STATUSES = ["repaid", "forgiven"];
+const SETTING_FIELDS = [
+  "maxOutstanding",
+  "maxRequestAmount",
+  "allowedPaymentTypes",
+  "requireProof",
+];
+
+const lowest = (...values) => {
+  const limits = values.filter(
+    (value) => value !== null && value !== undefined
+  );
+  return limits.length > 0 ? Math.min(...limits) : null;
+};
+
+class LendingLimitService {
+  /**
+   * The lender's settings for a friend, or null when they aren't friends
+   */
+  static async getSettings(lenderId, borrowerId) {
+    const friendship = await Friend.findOne({
+      user: lenderId,
+      friend: borrowerId,
+    }).select("lendingSettings");
+    return friendship ? friendship.lendingSettings : null;
+  }
+
+  /**
+   * Change some of the lender's settings for a friend. Returns null when
+   * they aren't friends.
+   */
+  static async updateSettings(lenderId, borrowerId, changes) {
+    const update = {};
+    for (const field of SETTING_FIELDS) {
+      if (changes[field] !== undefined) {
+        update[`lendingSettings.${field}`] = changes[field];
+      }
+    }
+
+    const friendship = await Friend.findOneAndUpdate(
+      { user: lenderId, friend: borrowerId },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select("lendingSettings");
+    return friendship ? friendship.lendingSettings : null;
+  }
+
+  /**
+   * What the borrower owes the lender or has asked them for: unsettled
+   * loans net of repayments, plus pending requests and approved ones the
+   * lender hasn't sent the money for yet
+   */
+  static async getOutstanding(lenderId, borrowerId) {
+    const [transactions, openRequests] = await Promise.all([
+      MoneyTransaction.find({
+        lender: lenderId,
+        requestor: borrowerId,
+        status: { $nin: SETTLED_STATUSES },
+      }).select("amount repaymentAmount"),
+      MoneyRequest.find({
+        lender: lenderId,
+        requestor: borrowerId,
+        status: { $in: ["pending", "approved"] },
+      }).select("amount status"),
+    ]);
+
+    // Approved requests turn into transactions once the money is sent, and
+    // are counted there from then on
+    const approvedIds = openRequests
+      .filter((request) => request.status === "approved")
+      .map((request) => request._id);
+    const sentIds =
+      approvedIds.length > 0
+        ? await MoneyTransaction.find({
+            requestId: { $in: approvedIds },
+          }).distinct("requestId")
+        : [];
+    const sent = new Set(sentIds.map((id) => id.toString()));
+    const unsentRequests = openRequests.filter(
+      (request) =>
+        request.status !== "approved" || !sent.has(request._id.toString())
+    );
+
+    return (
+      transactions.reduce(
+        (total, transaction) =>
+          total + transaction.amount - (transaction.repaymentAmount || 0),
+        0
+      ) + unsentRequests.reduce((total, request) => total + request.amount, 0)
+    );
+  }
+
+  /**
+   * How much more the borrower can ask the lender for. The lender's
+   * settings for the friend and the policies of the groups the friend is in
+   * all apply; the strictest limit wins. `available` is null when nothing
+   * limits the amount.
+   */
+  static async getHeadroom(lenderId, borrowerId) {
+    const [settings, groupPolicy, outstanding] = await Promise.all([
+      LendingLimitService.getSettings(lenderId, borrowerId),
+      FriendGroupService.getLendingPolicy(lenderId, borrowerId),
+      LendingLimitService.getOutstanding(lenderId, borrowerId),
+    ]);
+
+    const maxOutstanding = settings ? settings.maxOutstanding : null;
+    const maxRequestAmount = lowest(
+      settings && settings.maxRequestAmount,
+      groupPolicy.maxRequestAmount
+    );
+    const remainingOutstanding =
+      maxOutstanding === null
+        ? null
+        : Math.max(maxOutstanding - outstanding, 0);
+
+    return {
+      allowRequests: groupPolicy.allowRequests,
+      allowedPaymentTypes:
+        settings && settings.allowedPaymentTypes.length > 0
+          ? [...settings.allowedPaymentTypes]
+          : null,
+      proofRequired: !!(settings && settings.requireProof),
+      maxRequestAmount,
+      maxOutstanding,
+      outstanding,
+      available: lowest(maxRequestAmount, remainingOutstanding),
+    };
+  }
+
+  /**
+   * Check a money request against the lender's limits. Failures come back
+   * with the HTTP status to use; the headroom is always included so the
+   * borrower can see what they may still ask for.
+   */
+  static async checkRequest(lenderId, borrowerId, { amount, paymentType }) {
+    const headroom = await LendingLimitService.getHeadroom(
+      lenderId,
+      borrowerId
+    );
+
+    if (!headroom.allowRequests) {
+      return {
+        status: 403,
+        message: "This friend isn't accepting money requests from you",
+        headroom,
+      };
+    }
+
+    if (
+      headroom.allowedPaymentTypes &&
+      !headroom.allowedPaymentTypes.includes(paymentType)
+    ) {
+      return {
+        status: 400,
+        message: `This friend only lends with these payment types: ${headroom.allowedPaymentTypes.join(
+          ", "
+        )}`,
+        headroom,
+      };
+    }
+
+    if (headroom.available !== null && amount > headroom.available) {
+      return {
+        status: 400,
+        message:
+          headroom.available > 0
+            ? `You can request at most ${headroom.available.toLocaleString()} from this friend`
+            : "You have reached the lending limit for this friend",
+        headroom,
+      };
+    }
+
+    return { headroom };
+  }
+}
+
+LendingLimitService.SETTING_FIELDS = SETTING_FIELDS;
+
+module.exports = LendingLimitService;
@@ -0,0 +1,155 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const emailService = require("./emailService");
+
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000; // failures count for 15 minutes
+const DELAY_AFTER_FAILURES = 3; // start slowing down after this many
+const MAX_DELAY_MS = 60 * 1000;
+const NOTIFY_AFTER_FAILURES = 5; // warn the account owner
+const LOCK_AFTER_FAILURES = 10;
+const LOCK_DURATION_MS = 30 * 60 * 1000;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+class LoginProtectionService {
+  /**
+   * Counters are kept per account when the identifier matches one, so
+   * switching between email and phone doesn't reset them. Unknown
+   * identifiers are tracked the same way, so responses don't reveal
+   * whether an account exists.
+   */
+  static getKey(identifier, user = null) {
+    if (user) return `user:${user._id}`;
+    return `identifier:${String(identifier).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Delay before the next attempt after `failedCount` failures:
+   * 1s, 2s, 4s, ... up to a minute
+   */
+  static getDelayMs(failedCount) {
+    if (failedCount < DELAY_AFTER_FAILURES) return 0;
+    return Math.min(
+      1000 * Math.pow(2, failedCount - DELAY_AFTER_FAILURES),
+      MAX_DELAY_MS
+    );
+  }
+
+  /**
+   * Whether a login attempt may go ahead. When it may not, returns the HTTP
+   * status to use (423 locked, 429 slow down) and seconds to wait.
+   */
+  static async checkAllowed(key) {
+    const record = await LoginAttempt.findOne({ key });
+    const now = Date.now();
+
+    if (record && record.lockedUntil && record.lockedUntil.getTime() > now) {
+      return {
+        allowed: false,
+        status: 423,
+        retryAfterSeconds: Math.ceil(
+          (record.lockedUntil.getTime() - now) / 1000
+        ),
+      };
+    }
+
+    if (
+      record &&
+      record.nextAttemptAt &&
+      record.nextAttemptAt.getTime() > now
+    ) {
+      return {
+        allowed: false,
+        status: 429,
+        retryAfterSeconds: Math.ceil(
+          (record.nextAttemptAt.getTime() - now) / 1000
+        ),
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed login and apply delays, lockout and owner alerts
+   */
+  static async recordFailure(key, user = null, context = {}) {
+    const now = new Date();
+
+    // Start a new window when the previous one has run out
+    await LoginAttempt.updateOne(
+      {
+        key,
+        windowStartedAt: { $lt: new Date(now.getTime() - ATTEMPT_WINDOW_MS) },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        failedCount: 0,
+        windowStartedAt: now,
+        lockedUntil: null,
+        ownerNotifiedAt: null,
+      }
+    );
+
+    const record = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failedCount: 1 },
+        $set: {
+          lastFailedAt: now,
+          lastIpAddress: context.ipAddress || null,
+          expiresAt: new Date(now.getTime() + RECORD_TTL_MS),
+        },
+        $setOnInsert: {
+          user: user ? user._id : null,
+          windowStartedAt: now,
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    record.nextAttemptAt = new Date(
+      now.getTime() + LoginProtectionService.getDelayMs(record.failedCount)
+    );
+
+    if (record.failedCount >= LOCK_AFTER_FAILURES) {
+      record.lockedUntil = new Date(now.getTime() + LOCK_DURATION_MS);
+    }
+
+    if (
+      user &&
+      record.failedCount >= NOTIFY_AFTER_FAILURES &&
+      !record.ownerNotifiedAt
+    ) {
+      record.ownerNotifiedAt = now;
+      emailService
+        .sendSuspiciousLoginEmail(
+          user.email,
+          user.fullName,
+          record.failedCount,
+          context.ipAddress
+        )
+        .catch((error) =>
+          console.error("Failed to send suspicious login email:", error)
+        );
+    }
+
+    await record.save();
+    return record;
+  }
+
+  /**
+   * Clear the counters after a successful login
+   */
+  static async recordSuccess(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+
+  /**
+   * Lift a lockout for an account (admin action)
+   */
+  static async unlockUser(userId) {
+    const result = await LoginAttempt.deleteMany({ key: `user:${userId}` });
+    return result.deletedCount > 0;
+  }
+}
+
+module.exports = LoginProtectionService;
@@ -159,36 +159,45 @@ class NotificationService {
 
       const savedNotification = await notification.save();
 
-      // Send push notification if user has FCM token and Firebase is initialized
+      // Push to every device the user is signed in on. The legacy token on
+      // the user isn't tied to a session, so it would keep reaching devices
+      // after they sign out; devices register again through their session.
+      const SessionService = require("./sessionService");
+      const pushTokens = await SessionService.getPushTokens(userId);
+
+      // Send push notification if user has FCM tokens and Firebase is initialized
       let fcmResponse = null;
-      if (user.fcmToken && firebaseInitialized) {
-        try {
-          fcmResponse = await this.sendNotification(
-            user.fcmToken,
-            title,
-            body,
-            {
-              type,
-              notificationId: savedNotification._id.toString(),
-              ...data,
-            }
-          );
-
-          // Update notification as delivered if FCM was successful
-          if (fcmResponse) {
-            savedNotification.isDelivered = true;
-            savedNotification.fcmMessageId = fcmResponse;
-            await savedNotification.save();
+      if (pushTokens.length > 0 && firebaseInitialized) {
+        for (const pushToken of pushTokens) {
+          try {
+            const response = await this.sendNotification(
+              pushToken,
+              title,
+              body,
+              {
+                type,
+                notificationId: savedNotification._id.toString(),
+                ...data,
+              }
+            );
+            fcmResponse = fcmResponse || response;
+          } catch (fcmError) {
+            console.error("FCM notification failed:", fcmError);
+            // Don't throw error, notification is still saved in DB
           }
-        } catch (fcmError) {
-          console.error("FCM notification failed:", fcmError);
-          // Don't throw error, notification is still saved in DB
+        }
+
+        // Update notification as delivered if FCM was successful
+        if (fcmResponse) {
+          savedNotification.isDelivered = true;
+          savedNotification.fcmMessageId = fcmResponse;
+          await savedNotification.save();
         }
       } else if (!firebaseInitialized) {
         console.log(
           "⚠️ Firebase not initialized. Notification saved to DB only."
         );
-      } else if (!user.fcmToken) {
+      } else {
         console.log("⚠️ User has no FCM token. Notification saved to DB only.");
       }
 
@@ -384,6 +393,29 @@ class NotificationService {
     );
   }
 
+  // Friend request notifications
+  async notifyFriendRequest(recipientId, senderId, senderName) {
+    return await this.sendToUser(
+      recipientId,
+      "New Friend Request",
+      `${senderName} wants to be friends on Good4It`,
+      "friend_request",
+      {},
+      senderId
+    );
+  }
+
+  async notifyFriendRequestAccepted(senderId, recipientId, recipientName) {
+    return await this.sendToUser(
+      senderId,
+      "Friend Request Accepted",
+      `You and ${recipientName} are now friends on Good4It`,
+      "friend_request_accepted",
+      {},
+      recipientId
+    );
+  }
+
   // Task-related notifications
   async sendTaskAssignmentNotification(
     assignedToUserId,
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const PasswordReset = require("../models/PasswordReset");
+const SessionService = require("./sessionService");
+const emailService = require("./emailService");
+const smsService = require("./smsService");
+
+const TOKEN_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const MAX_REQUESTS_PER_HOUR = 3;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+class PasswordResetService {
+  static buildLink(token) {
+    const baseUrl =
+      process.env.PASSWORD_RESET_URL ||
+      `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password`;
+    return `${baseUrl}?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Start a password reset for the account matching the identifier.
+   * Resolves the same way whether or not the account exists, so callers
+   * can't use it to discover accounts. Delivery happens in the background
+   * to keep response times uniform.
+   */
+  static async requestReset(identifier, channel = "email", context = {}) {
+    const user = await User.findByEmailOrPhone(identifier);
+    if (!user) return;
+    if (channel === "sms" && !user.phoneNumber) return;
+
+    // Quietly cap how many reset messages one account can receive
+    const recentRequests = await PasswordReset.countDocuments({
+      user: user._id,
+      createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) },
+    });
+    if (recentRequests >= MAX_REQUESTS_PER_HOUR) return;
+
+    const resetId = new mongoose.Types.ObjectId();
+    const token = `${resetId}.${crypto.randomBytes(32).toString("hex")}`;
+
+    await PasswordReset.create({
+      _id: resetId,
+      user: user._id,
+      tokenHash: hashToken(token),
+      channel,
+      requestedIp: context.ipAddress || null,
+      expiresAt: new Date(Date.now() + TOKEN_TTL_MS),
+    });
+
+    const link = PasswordResetService.buildLink(token);
+    const delivery =
+      channel === "sms"
+        ? smsService.sendSms(
+            user.phoneNumber,
+            `Reset your Good4It password: ${link} (expires in 30 minutes)`
+          )
+        : emailService.sendPasswordResetEmail(user.email, user.fullName, link);
+
+    delivery.catch((error) =>
+      console.error("Failed to deliver password reset:", error)
+    );
+  }
+
+  /**
+   * Set a new password using a reset token. The token is consumed, any other
+   * outstanding reset tokens are invalidated and every session is revoked.
+   * Returns the user, or null when the token is invalid, used or expired.
+   */
+  static async resetPassword(token, newPassword) {
+    if (typeof token !== "string") return null;
+
+    const [resetId] = token.split(".");
+    if (!mongoose.Types.ObjectId.isValid(resetId)) return null;
+
+    // Claim the token atomically so it can only ever be used once
+    const reset = await PasswordReset.findOneAndUpdate(
+      {
+        _id: resetId,
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() }
+    );
+    if (!reset) return null;
+
+    const user = await User.findById(reset.user);
+    if (!user) return null;
+
+    user.password = newPassword;
+    await user.save();
+
+    await PasswordReset.updateMany(
+      { user: user._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+    await SessionService.revokeAllForUser(user._id, "password_reset");
+
+    return user;
+  }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const {
+  parsePhoneNumberFromString,
+  isSupportedCountry,
+} = require("libphonenumber-js");
+
+// Most phone numbers one contacts upload may contain
+const MAX_CONTACTS = 5000;
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+class PhoneNumberService {
+  /**
+   * Region used to read numbers without a country code when the user hasn't
+   * picked one
+   */
+  static getDefaultRegion() {
+    return (process.env.DEFAULT_PHONE_REGION || "US").toUpperCase();
+  }
+
+  static isSupportedRegion(region) {
+    return (
+      typeof region === "string" && isSupportedCountry(region.toUpperCase())
+    );
+  }
+
+  /**
+   * E.164 form of a phone number ("(415) 555-0123" -> "+14155550123"), or
+   * null when it isn't a valid number. Numbers without a country code are
+   * read as belonging to the region.
+   */
+  static normalize(value, region = null) {
+    if (typeof value !== "string") return null;
+
+    const phoneNumber = parsePhoneNumberFromString(
+      value,
+      PhoneNumberService.isSupportedRegion(region)
+        ? region.toUpperCase()
+        : PhoneNumberService.getDefaultRegion()
+    );
+    return phoneNumber && phoneNumber.isValid() ? phoneNumber.number : null;
+  }
+
+  /**
+   * Salt clients mix into contact hashes, or null when hashed contact
+   * matching is turned off
+   */
+  static getHashSalt() {
+    return process.env.PHONE_HASH_SALT || null;
+  }
+
+  /**
+   * Hex SHA-256 of the salt followed by the E.164 number. Clients compute
+   * the same hash so they can match contacts without uploading numbers.
+   */
+  static hash(e164) {
+    const salt = PhoneNumberService.getHashSalt();
+    if (!salt || !e164) return null;
+    return crypto
+      .createHash("sha256")
+      .update(salt + e164)
+      .digest("hex");
+  }
+
+  static isHash(value) {
+    return typeof value === "string" && HASH_PATTERN.test(value);
+  }
+}
+
+PhoneNumberService.MAX_CONTACTS = MAX_CONTACTS;
+
+module.exports = PhoneNumberService;
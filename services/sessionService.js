@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AuthSession = require("../models/AuthSession");
+const User = require("../models/User");
+
+// How many rotated-out refresh token hashes to remember for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+// Only write lastSeenAt this often so every request doesn't hit the database
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+class SessionService {
+  /**
+   * Build a refresh token for a session. The session id prefix lets us find
+   * the session without storing the raw token.
+   */
+  static buildRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(40).toString("hex")}`;
+  }
+
+  /**
+   * Split a refresh token into its session id and secret parts
+   */
+  static parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== "string") return null;
+
+    const [sessionId, secret] = refreshToken.split(".");
+    if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    return { sessionId, secret };
+  }
+
+  /**
+   * Start a new session for a user. Any active session on the same device is
+   * replaced so each device holds a single refresh token.
+   */
+  static async createSession(userId, context = {}) {
+    const {
+      deviceId = null,
+      deviceName = null,
+      platform = null,
+      appVersion = null,
+      ipAddress = null,
+      userAgent = null,
+    } = context;
+
+    if (deviceId) {
+      await SessionService.revokeWhere(
+        { user: userId, deviceId, revokedAt: null },
+        "replaced"
+      );
+    }
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = SessionService.buildRefreshToken(sessionId);
+
+    const session = await AuthSession.create({
+      _id: sessionId,
+      user: userId,
+      deviceId,
+      deviceName,
+      platform,
+      appVersion,
+      refreshTokenHash: hashToken(refreshToken),
+      ipAddress,
+      userAgent,
+      expiresAt: getRefreshTokenExpiry(),
+    });
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one. Returns null when the token is
+   * invalid. Presenting a token that was already rotated out revokes the
+   * whole session, since either the client or an attacker holds a copy.
+   */
+  static async rotateSession(refreshToken, context = {}) {
+    const parsed = SessionService.parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const tokenHash = hashToken(refreshToken);
+    const nextRefreshToken = SessionService.buildRefreshToken(parsed.sessionId);
+
+    const update = {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastSeenAt: new Date(),
+        expiresAt: getRefreshTokenExpiry(),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -MAX_PREVIOUS_TOKEN_HASHES,
+        },
+      },
+    };
+    if (context.ipAddress) update.$set.ipAddress = context.ipAddress;
+    if (context.userAgent) update.$set.userAgent = context.userAgent;
+    if (context.platform) update.$set.platform = context.platform;
+    if (context.appVersion) update.$set.appVersion = context.appVersion;
+
+    // Match on the current hash so two concurrent refreshes can't both win
+    const session = await AuthSession.findOneAndUpdate(
+      {
+        _id: parsed.sessionId,
+        refreshTokenHash: tokenHash,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      update,
+      { new: true }
+    );
+
+    if (session) {
+      return { session, refreshToken: nextRefreshToken };
+    }
+
+    const reusedSession = await AuthSession.findOne({
+      _id: parsed.sessionId,
+      previousTokenHashes: tokenHash,
+      revokedAt: null,
+    });
+
+    if (reusedSession) {
+      console.warn(
+        `⚠️ Refresh token reuse detected for session ${reusedSession._id}, revoking`
+      );
+      await SessionService.revokeSession(reusedSession._id, "token_reuse");
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a session that can still authenticate requests for the user
+   */
+  static async getActiveSession(sessionId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    return await AuthSession.findOne({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+  }
+
+  /**
+   * Record that a session was just used. Writes are throttled and run in the
+   * background so they never slow down the request.
+   */
+  static touchSession(session, ipAddress = null) {
+    if (
+      session.lastSeenAt &&
+      Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS
+    ) {
+      return;
+    }
+
+    const update = { lastSeenAt: new Date() };
+    if (ipAddress) update.ipAddress = ipAddress;
+
+    AuthSession.updateOne({ _id: session._id }, update).catch((error) =>
+      console.error("Failed to update session last seen time:", error)
+    );
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  static async listActiveSessions(userId) {
+    return await AuthSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * Attach a push token to a session. A token belongs to one device, so it
+   * is removed from any other session that still holds it.
+   */
+  static async setPushToken(sessionId, fcmToken) {
+    await AuthSession.updateMany(
+      { fcmToken, _id: { $ne: sessionId } },
+      { fcmToken: null }
+    );
+    await AuthSession.updateOne({ _id: sessionId }, { fcmToken });
+  }
+
+  /**
+   * Push tokens of every device the user is signed in on
+   */
+  static async getPushTokens(userId) {
+    const sessions = await AuthSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      fcmToken: { $ne: null },
+    }).select("fcmToken");
+
+    return [...new Set(sessions.map((session) => session.fcmToken))];
+  }
+
+  /**
+   * Revoke the sessions matching a query and stop push delivery to them.
+   * The legacy single token on the user is cleared too when it belongs to
+   * one of the revoked devices.
+   */
+  static async revokeWhere(query, reason) {
+    const sessions = await AuthSession.find(query).select("user fcmToken");
+    if (sessions.length === 0) {
+      return { modifiedCount: 0 };
+    }
+
+    const result = await AuthSession.updateMany(
+      { _id: { $in: sessions.map((session) => session._id) }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason, fcmToken: null }
+    );
+
+    const pushTokens = sessions
+      .map((session) => session.fcmToken)
+      .filter(Boolean);
+    if (pushTokens.length > 0) {
+      await User.updateMany(
+        {
+          _id: { $in: sessions.map((session) => session.user) },
+          fcmToken: { $in: pushTokens },
+        },
+        { fcmToken: null }
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Revoke a single session
+   */
+  static async revokeSession(sessionId, reason = "logout") {
+    return await SessionService.revokeWhere(
+      { _id: sessionId, revokedAt: null },
+      reason
+    );
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   */
+  static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    return await SessionService.revokeWhere(query, reason);
+  }
+}
+
+module.exports = SessionService;
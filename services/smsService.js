@@ -0,0 +1,38 @@
+class SmsService {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Plug in an SMS provider. The adapter must implement
+   * `async send(phoneNumber, message)`.
+   */
+  setAdapter(adapter) {
+    if (adapter && typeof adapter.send !== "function") {
+      throw new Error("SMS adapter must implement send(phoneNumber, message)");
+    }
+    this.adapter = adapter;
+  }
+
+  isConfigured() {
+    return !!this.adapter;
+  }
+
+  async sendSms(phoneNumber, message) {
+    if (!this.adapter) {
+      console.log("⚠️ SMS provider not configured. Skipping SMS to", phoneNumber);
+      return null;
+    }
+
+    try {
+      const result = await this.adapter.send(phoneNumber, message);
+      console.log("✅ SMS sent successfully to", phoneNumber);
+      return result;
+    } catch (error) {
+      console.error("❌ Error sending SMS:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SmsService();
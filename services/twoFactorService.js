@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { authenticator: baseAuthenticator } = require("otplib");
+
+// Accept codes from one 30 second step either side to allow for clock drift
+const authenticator = baseAuthenticator.clone({ window: 1 });
+
+const ISSUER = "Good4It";
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = "2fa_challenge";
+const CHALLENGE_EXPIRY = "5m";
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes, longer than a challenge lives
+
+// Sensitive actions that users can protect with step-up verification
+const STEP_UP_ACTIONS = ["forgive_debt", "delete_account", "change_phone"];
+
+const normalizeBackupCode = (code) =>
+  String(code).toLowerCase().replace(/[^a-f0-9]/g, "");
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(normalizeBackupCode(code)).digest("hex");
+
+class TwoFactorService {
+  /**
+   * Start enrollment by generating a pending secret. It only becomes active
+   * once the user proves their authenticator app produces valid codes.
+   */
+  static async startEnrollment(user) {
+    const secret = authenticator.generateSecret();
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: authenticator.keyuri(user.email, ISSUER, secret),
+    };
+  }
+
+  /**
+   * Activate 2FA when the code matches the pending secret. Returns the plain
+   * backup codes (shown to the user once) or null if the code is wrong.
+   */
+  static async completeEnrollment(user, code) {
+    const secret = user.twoFactor.pendingSecret;
+    if (!secret || !authenticator.check(String(code), secret)) {
+      return null;
+    }
+
+    const backupCodes = TwoFactorService.generateBackupCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = secret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.stepUpActions = [...STEP_UP_ACTIONS];
+    await user.save();
+
+    return backupCodes;
+  }
+
+  static async disable(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.lastUsedStep = null;
+    user.twoFactor.stepUpActions = [];
+    await user.save();
+  }
+
+  static async regenerateBackupCodes(user) {
+    const backupCodes = TwoFactorService.generateBackupCodes();
+    user.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+    await user.save();
+    return backupCodes;
+  }
+
+  static generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(4).toString("hex");
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  }
+
+  static isLocked(user) {
+    return (
+      !!user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()
+    );
+  }
+
+  /**
+   * Check a TOTP or backup code for a user with 2FA enabled. A TOTP code can
+   * only be used once and a backup code is consumed when it matches. Too
+   * many wrong codes lock verification for a while.
+   */
+  static async verifyCode(user, code) {
+    if (!user.twoFactor || !user.twoFactor.enabled || !code) return false;
+    if (TwoFactorService.isLocked(user)) return false;
+
+    const isValid = TwoFactorService.checkCode(user, code);
+
+    if (isValid) {
+      user.twoFactor.failedAttempts = 0;
+      user.twoFactor.lockedUntil = null;
+    } else {
+      user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+      if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        user.twoFactor.failedAttempts = 0;
+        user.twoFactor.lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+      }
+    }
+    await user.save();
+
+    return isValid;
+  }
+
+  // Match a code without saving; verifyCode persists the outcome
+  static checkCode(user, code) {
+    const token = String(code).replace(/\s/g, "");
+
+    if (/^\d{6}$/.test(token)) {
+      const delta = authenticator.checkDelta(token, user.twoFactor.secret);
+      if (delta === null) return false;
+
+      const step = Math.floor(Date.now() / 1000 / 30) + delta;
+      if (
+        user.twoFactor.lastUsedStep !== null &&
+        step <= user.twoFactor.lastUsedStep
+      ) {
+        return false; // Replay of an already used code
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      return true;
+    }
+
+    const index = user.twoFactor.backupCodes.indexOf(hashBackupCode(token));
+    if (index === -1) return false;
+
+    user.twoFactor.backupCodes.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Issue a short-lived token proving the password step of login succeeded
+   */
+  static generateChallengeToken(user) {
+    return jwt.sign(
+      { userId: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_EXPIRY }
+    );
+  }
+
+  /**
+   * Decode a login challenge token. Returns null when it is invalid or expired.
+   */
+  static verifyChallengeToken(token) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload.purpose !== CHALLENGE_PURPOSE) return null;
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether an action needs a fresh 2FA code from this user
+   */
+  static requiresStepUp(user, action) {
+    return (
+      !!user.twoFactor &&
+      user.twoFactor.enabled &&
+      user.twoFactor.stepUpActions.includes(action)
+    );
+  }
+}
+
+TwoFactorService.STEP_UP_ACTIONS = STEP_UP_ACTIONS;
+
+module.exports = TwoFactorService;
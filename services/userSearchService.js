@@ -0,0 +1,279 @@
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const FriendshipService = require("./friendshipService");
+const PhoneNumberService = require("./phoneNumberService");
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+// Name matches outside the viewer's network ranked for each search; any
+// beyond this aren't returned. Matches in the network are always ranked.
+const MAX_CANDIDATES = 200;
+const MAX_PAGE_SIZE = 50;
+
+const RESULT_FIELDS =
+  "fullName handle email phoneNumber profilePicture good4itScore privacy";
+
+// Result tiers, best first
+const TIERS = {
+  exact: 0,
+  network: 1, // Friends and friends of friends
+  other: 2,
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Results sort by tier, then most mutual friends, then name and ID. The key
+// of the last result on a page is the cursor for the next one.
+const sortKey = ({ tier, mutualFriends, user }) => [
+  tier,
+  -mutualFriends,
+  user.fullName.toLowerCase(),
+  user._id.toString(),
+];
+
+const compareKeys = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+};
+
+const encodeCursor = (key) =>
+  Buffer.from(JSON.stringify(key)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(key) && key.length === 4 ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class UserSearchService {
+  /**
+   * Conditions for complete handle, email and phone number matches. Emails
+   * and phone numbers only match users who allow being found by them;
+   * handles match unless the user turned every kind of discovery off.
+   */
+  static getExactConditions(query, region) {
+    const conditions = [
+      {
+        email: query.toLowerCase(),
+        "privacy.discoverableByEmail": { $ne: false },
+      },
+    ];
+
+    const handle = User.normalizeHandle(query);
+    if (/^[a-z0-9_]{3,20}$/.test(handle)) {
+      conditions.push({
+        handle,
+        $or: [
+          { "privacy.discoverableByEmail": { $ne: false } },
+          { "privacy.discoverableByPhone": { $ne: false } },
+          { "privacy.discoverableByName": { $ne: false } },
+        ],
+      });
+    }
+
+    const phoneNumber =
+      /^[\d\s\-()+]+$/.test(query) &&
+      PhoneNumberService.normalize(query, region);
+    if (phoneNumber) {
+      conditions.push({
+        phoneNumber,
+        "privacy.discoverableByPhone": { $ne: false },
+      });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Users whose name has a word starting with each word of the query
+   * ("jo do" finds "John Doe"), using the index on nameTokens
+   */
+  static getNameCondition(query) {
+    const tokens = User.tokenizeName(query);
+    return {
+      nameTokens: {
+        $all: tokens.map((token) => new RegExp(`^${escapeRegex(token)}`)),
+      },
+      "privacy.discoverableByName": { $ne: false },
+    };
+  }
+
+  /**
+   * IDs of the viewer's friends and of their friends of friends
+   */
+  static async getNetwork(viewerId) {
+    const friendIds = await Friend.find({ user: viewerId }).distinct("friend");
+    const friendsOfFriendIds =
+      friendIds.length > 0
+        ? await Friend.find({ user: { $in: friendIds } }).distinct("friend")
+        : [];
+    return { friendIds, networkIds: [...friendIds, ...friendsOfFriendIds] };
+  }
+
+  /**
+   * How the viewer is connected to each user, keyed by user ID:
+   * `relationship` (friend, request_sent, request_received or none) and the
+   * number of mutual friends
+   */
+  static async getConnections(viewerId, friendIds, userIds) {
+    const [mutual, requests] = await Promise.all([
+      Friend.aggregate([
+        { $match: { user: { $in: friendIds }, friend: { $in: userIds } } },
+        { $group: { _id: "$friend", count: { $sum: 1 } } },
+      ]),
+      FriendRequest.find({
+        ...FriendRequest.openFilter(),
+        $or: [
+          { sender: viewerId, recipient: { $in: userIds } },
+          { sender: { $in: userIds }, recipient: viewerId },
+        ],
+      }).select("sender recipient"),
+    ]);
+
+    const connections = new Map(
+      userIds.map((id) => [
+        id.toString(),
+        { relationship: "none", mutualFriends: 0 },
+      ])
+    );
+    const connectionFor = (id) => connections.get(id.toString());
+
+    for (const { _id, count } of mutual) {
+      if (connectionFor(_id)) connectionFor(_id).mutualFriends = count;
+    }
+    for (const request of requests) {
+      const sent = request.sender.equals(viewerId);
+      const connection = connectionFor(
+        sent ? request.recipient : request.sender
+      );
+      if (connection) {
+        connection.relationship = sent ? "request_sent" : "request_received";
+      }
+    }
+    for (const id of friendIds) {
+      if (connectionFor(id)) connectionFor(id).relationship = "friend";
+    }
+
+    return connections;
+  }
+
+  /**
+   * Search for users by name, handle, email or phone number. Complete
+   * handle, email and phone matches come first, then friends and friends of
+   * friends, then everyone else. Failures come back with the HTTP status to
+   * use.
+   */
+  static async search(viewer, query, { cursor, limit = 20 } = {}) {
+    const text = typeof query === "string" ? query.trim() : "";
+    if (text.length < MIN_QUERY_LENGTH) {
+      return {
+        status: 400,
+        message: `Search query must be at least ${MIN_QUERY_LENGTH} characters`,
+      };
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+      return {
+        status: 400,
+        message: `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+      };
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+      return { status: 400, message: "Invalid cursor" };
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || 20, 1),
+      MAX_PAGE_SIZE
+    );
+
+    const [blockedIds, { friendIds, networkIds }] = await Promise.all([
+      FriendshipService.getBlockedUserIds(viewer._id),
+      UserSearchService.getNetwork(viewer._id),
+    ]);
+    const hiddenIds = [viewer._id, ...blockedIds];
+    const visible = { _id: { $nin: hiddenIds }, ...User.discoverableFilter() };
+    const nameCondition = UserSearchService.getNameCondition(text);
+
+    // Network matches are fetched on their own so a common name can't push
+    // them out of the capped general matches
+    const [exactMatches, networkMatches, otherMatches] = await Promise.all([
+      User.find({
+        $or: UserSearchService.getExactConditions(text, viewer.defaultRegion),
+        ...visible,
+      }).select(RESULT_FIELDS),
+      User.find({
+        ...nameCondition,
+        ...visible,
+        _id: { $in: networkIds, $nin: hiddenIds },
+      }).select(RESULT_FIELDS),
+      User.find({ ...nameCondition, ...visible })
+        .sort({ _id: 1 })
+        .limit(MAX_CANDIDATES)
+        .select(RESULT_FIELDS),
+    ]);
+
+    const exactIds = new Set(exactMatches.map((user) => user._id.toString()));
+    const seen = new Set();
+    const users = [...exactMatches, ...networkMatches, ...otherMatches].filter(
+      (user) => {
+        const id = user._id.toString();
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      }
+    );
+
+    const connections = await UserSearchService.getConnections(
+      viewer._id,
+      friendIds,
+      users.map((user) => user._id)
+    );
+
+    const ranked = users
+      .map((user) => {
+        const { relationship, mutualFriends } = connections.get(
+          user._id.toString()
+        );
+        let tier = TIERS.other;
+        if (exactIds.has(user._id.toString())) {
+          tier = TIERS.exact;
+        } else if (relationship === "friend" || mutualFriends > 0) {
+          tier = TIERS.network;
+        }
+        return { user, relationship, mutualFriends, tier };
+      })
+      .sort((a, b) => compareKeys(sortKey(a), sortKey(b)))
+      .filter((result) => !after || compareKeys(sortKey(result), after) > 0);
+
+    const page = ranked.slice(0, pageSize);
+    const hasNextPage = ranked.length > pageSize;
+
+    return {
+      results: page.map(({ user, relationship, mutualFriends }) => ({
+        user: user.toDiscoveryJSON(relationship === "friend"),
+        relationship,
+        mutualFriends,
+      })),
+      pagination: {
+        limit: pageSize,
+        hasNextPage,
+        nextCursor: hasNextPage
+          ? encodeCursor(sortKey(page[page.length - 1]))
+          : null,
+      },
+    };
+  }
+}
+
+UserSearchService.MIN_QUERY_LENGTH = MIN_QUERY_LENGTH;
+
+module.exports = UserSearchService;
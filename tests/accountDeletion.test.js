@@ -0,0 +1,68 @@
+const User = require("../models/User");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const Dispute = require("../models/Dispute");
+const AccountDeletionService = require("../services/accountDeletionService");
+
+describe("Account Deletion", () => {
+  const userId = "507f1f77bcf86cd799439011";
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("outstanding debts block deletion", async () => {
+    jest.spyOn(MoneyTransaction, "find").mockReturnValue({
+      populate: jest.fn().mockResolvedValue([
+        {
+          _id: "tx-1",
+          amount: 50,
+          status: "money_received",
+          requestor: { _id: userId, fullName: "John Doe" },
+          lender: { _id: "507f191e810c19729de860ea", fullName: "Jane Roe" },
+        },
+      ]),
+    });
+    jest.spyOn(Dispute, "countDocuments").mockResolvedValue(0);
+    const userUpdate = jest.spyOn(User, "updateOne");
+
+    const result = await AccountDeletionService.deleteAccount(userId);
+
+    expect(result.deleted).toBe(false);
+    expect(result.blockers.outstandingTransactions).toEqual([
+      {
+        transactionId: "tx-1",
+        amount: 50,
+        status: "money_received",
+        role: "borrower",
+        counterparty: {
+          id: "507f191e810c19729de860ea",
+          fullName: "Jane Roe",
+        },
+      },
+    ]);
+    expect(userUpdate).not.toHaveBeenCalled();
+  });
+
+  test("anonymized users keep no identifying details", async () => {
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue({ avatar: {} }),
+    });
+    const userUpdate = jest
+      .spyOn(User, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await AccountDeletionService.anonymizeUser(userId);
+
+    const [, update] = userUpdate.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      fullName: "Deleted User",
+      email: `deleted-${userId}@deleted.invalid`,
+      profilePicture: null,
+      isActive: false,
+    });
+    expect(update.$set.deletedAt).toBeInstanceOf(Date);
+    expect(Object.keys(update.$unset)).toEqual(
+      expect.arrayContaining(["phoneNumber", "password", "googleId"])
+    );
+  });
+});
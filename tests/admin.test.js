@@ -0,0 +1,116 @@
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const AdminUserService = require("../services/adminUserService");
+const { validate, schemas } = require("../middleware/validation");
+
+describe("Admin User Management", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockUserQuery = () => {
+    const chain = {
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([]),
+    };
+    const find = jest.spyOn(User, "find").mockReturnValue(chain);
+    jest.spyOn(User, "countDocuments").mockResolvedValue(45);
+    return { find, chain };
+  };
+
+  test("search input is matched literally", async () => {
+    const { find } = mockUserQuery();
+
+    await AdminUserService.searchUsers({ q: "john.doe+1" });
+
+    expect(find.mock.calls[0][0].$or[0]).toEqual({
+      fullName: { $regex: "john\\.doe\\+1", $options: "i" },
+    });
+  });
+
+  test("status filters and pagination are applied", async () => {
+    const { find, chain } = mockUserQuery();
+
+    const result = await AdminUserService.searchUsers({
+      status: "suspended",
+      page: "2",
+      limit: "20",
+    });
+
+    expect(find.mock.calls[0][0]).toEqual({ suspendedAt: { $ne: null } });
+    expect(chain.skip).toHaveBeenCalledWith(20);
+    expect(result.pagination).toEqual({
+      currentPage: 2,
+      totalPages: 3,
+      totalUsers: 45,
+      hasNextPage: true,
+      hasPrevPage: true,
+    });
+  });
+
+  test("user search rejects arrays and operator objects in its filters", () => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    const next = jest.fn();
+    const check = (query) =>
+      validate(schemas.adminUserSearch, "query")({ query }, res, next);
+
+    check({ q: ["a"] });
+    check({ role: { $ne: "user" } });
+    check({ status: "banned" });
+
+    expect(res.status).toHaveBeenCalledTimes(3);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+
+    check({ q: "john", role: "admin", status: "suspended", page: "2" });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test("outstanding balances leave out what has been repaid", async () => {
+    const aggregate = jest
+      .spyOn(MoneyTransaction, "aggregate")
+      .mockResolvedValue([{ total: 300, outstanding: 120, transactions: 2 }]);
+
+    const balance = await AdminUserService.getBalance("user-1", "lender");
+
+    const [{ $group }] = aggregate.mock.calls[0][0].slice(1);
+    expect($group.outstanding.$sum.$cond[2]).toEqual({
+      $subtract: ["$amount", { $ifNull: ["$repaymentAmount", 0] }],
+    });
+    expect(balance).toEqual({ total: 300, outstanding: 120, transactions: 2 });
+  });
+
+  test("admin actions are recorded with the acting admin", async () => {
+    const create = jest
+      .spyOn(AuditLog, "create")
+      .mockImplementation(async (entry) => entry);
+    const req = {
+      user: { _id: "admin-1" },
+      ip: "203.0.113.7",
+      get: () => "AdminPanel/1.0",
+    };
+
+    await AdminUserService.recordAction(req, "change_role", "user-1", {
+      from: "user",
+      to: "admin",
+    });
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "admin.change_role",
+        actor: "admin-1",
+        targetUser: "user-1",
+        details: { from: "user", to: "admin" },
+        ipAddress: "203.0.113.7",
+        userAgent: "AdminPanel/1.0",
+      })
+    );
+  });
+});
@@ -0,0 +1,98 @@
+const AuditLog = require("../models/AuditLog");
+const AuditLogService = require("../services/auditLogService");
+const { validate, schemas } = require("../middleware/validation");
+
+describe("Security Audit Log", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const req = {
+    user: { _id: "507f1f77bcf86cd799439011" },
+    authSession: { _id: "507f191e810c19729de860ea" },
+    ip: "203.0.113.7",
+    get: (header) => (header === "user-agent" ? "Good4It/2.3.0" : undefined),
+  };
+
+  test("entries default to the requesting user and session", async () => {
+    const create = jest
+      .spyOn(AuditLog, "create")
+      .mockImplementation(async (entry) => entry);
+
+    await AuditLogService.record(req, "account.password_change");
+
+    expect(create).toHaveBeenCalledWith({
+      action: "account.password_change",
+      result: "success",
+      reason: null,
+      actor: "507f1f77bcf86cd799439011",
+      targetUser: "507f1f77bcf86cd799439011",
+      session: "507f191e810c19729de860ea",
+      ipAddress: "203.0.113.7",
+      userAgent: "Good4It/2.3.0",
+      details: {},
+    });
+  });
+
+  test("failed logins can be recorded without a known user", async () => {
+    const create = jest
+      .spyOn(AuditLog, "create")
+      .mockImplementation(async (entry) => entry);
+
+    await AuditLogService.record({ ip: "203.0.113.7" }, "auth.login", {
+      actor: null,
+      result: "failure",
+      reason: "invalid_credentials",
+    });
+
+    expect(create.mock.calls[0][0]).toMatchObject({
+      actor: null,
+      targetUser: null,
+      result: "failure",
+      reason: "invalid_credentials",
+    });
+  });
+
+  test("background writes never throw", async () => {
+    jest.spyOn(AuditLog, "create").mockRejectedValue(new Error("db down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(() => AuditLogService.track(req, "auth.logout")).not.toThrow();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test("entries cannot be modified or deleted", async () => {
+    await expect(AuditLog.updateOne({}, { result: "success" })).rejects.toThrow(
+      "Audit log entries cannot be modified"
+    );
+    await expect(AuditLog.deleteMany({})).rejects.toThrow(
+      "Audit log entries cannot be modified"
+    );
+  });
+
+  test("admin queries reject a repeated action filter", () => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    const next = jest.fn();
+
+    validate(schemas.adminAuditLogQuery, "query")(
+      { query: { action: ["auth.login", "auth.logout"] } },
+      res,
+      next
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+
+    validate(schemas.adminAuditLogQuery, "query")(
+      { query: { action: "admin.", page: "2" } },
+      res,
+      next
+    );
+
+    expect(next).toHaveBeenCalled();
+  });
+});
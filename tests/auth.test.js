@@ -32,6 +32,82 @@ describe("Authentication Routes", () => {
     expect(response.body).toHaveProperty("success", false);
     expect(response.body).toHaveProperty("message", "Validation error");
   });
+
+  test("POST /api/auth/login/2fa should reject invalid challenges", async () => {
+    const response = await request(app)
+      .post("/api/auth/login/2fa")
+      .send({ challengeToken: "not-a-valid-token", code: "123456" })
+      .expect(401);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty(
+      "message",
+      "Login challenge is invalid or has expired"
+    );
+  });
+
+  test("POST /api/auth/reactivate should reject invalid tokens", async () => {
+    const response = await request(app)
+      .post("/api/auth/reactivate")
+      .send({ reactivationToken: "not-a-valid-token" })
+      .expect(401);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty(
+      "message",
+      "Reactivation token is invalid or has expired"
+    );
+  });
+
+  test("POST /api/auth/google should require an ID token", async () => {
+    const response = await request(app)
+      .post("/api/auth/google")
+      .send({ googleId: "123", email: "john@example.com" })
+      .expect(400);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty("message", "Validation error");
+  });
+
+  test("POST /api/auth/refresh should require a refresh token", async () => {
+    const response = await request(app)
+      .post("/api/auth/refresh")
+      .send({})
+      .expect(400);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty("message", "Validation error");
+  });
+
+  test("POST /api/auth/verify-email/confirm should reject invalid tokens", async () => {
+    const response = await request(app)
+      .post("/api/auth/verify-email/confirm")
+      .send({ token: "not-a-valid-token" })
+      .expect(400);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty(
+      "message",
+      "Invalid or expired verification link"
+    );
+  });
+
+  test("POST /api/auth/reset-password should reject invalid tokens", async () => {
+    const response = await request(app)
+      .post("/api/auth/reset-password")
+      .send({
+        token: "not-a-valid-token",
+        newPassword: "newpassword123",
+        confirmNewPassword: "newpassword123",
+      })
+      .expect(400);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty(
+      "message",
+      "Invalid or expired reset link"
+    );
+  });
 });
 
 describe("Protected Routes", () => {
@@ -41,4 +117,11 @@ describe("Protected Routes", () => {
     expect(response.body).toHaveProperty("success", false);
     expect(response.body).toHaveProperty("message", "Access token required");
   });
+
+  test("GET /api/admin/users should require authentication", async () => {
+    const response = await request(app).get("/api/admin/users").expect(401);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty("message", "Access token required");
+  });
 });
@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const sharp = require("sharp");
+const User = require("../models/User");
+const AuthSession = require("../models/AuthSession");
+const SessionService = require("../services/sessionService");
+const AvatarService = require("../services/avatarService");
+const userRoutes = require("../routes/user");
+
+describe("Avatar Processing", () => {
+  const userId = "507f1f77bcf86cd799439011";
+  let avatar;
+
+  const buildImage = () =>
+    sharp({
+      create: {
+        width: 800,
+        height: 600,
+        channels: 3,
+        background: { r: 200, g: 80, b: 40 },
+      },
+    })
+      .withMetadata({
+        exif: { IFD0: { Make: "TestCam", Copyright: "John Doe" } },
+      })
+      .jpeg()
+      .toBuffer();
+
+  afterEach(async () => {
+    if (avatar) {
+      await AvatarService.removeFiles(Object.values(avatar));
+      avatar = null;
+    }
+  });
+
+  const filePath = (url) =>
+    path.join(__dirname, "../uploads/avatars", path.basename(url));
+
+  test("creates square thumbnails without EXIF data", async () => {
+    const image = await buildImage();
+    expect((await sharp(image).metadata()).exif).toBeDefined();
+
+    avatar = await AvatarService.createAvatar(userId, image);
+
+    expect(Object.keys(avatar)).toEqual(["small", "medium", "large"]);
+    const metadata = await sharp(filePath(avatar.medium)).metadata();
+    expect(metadata).toMatchObject({ width: 256, height: 256, format: "jpeg" });
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  test("rejects files that only claim to be images", async () => {
+    const fake = Buffer.from("<?php echo 'not an image'; ?>");
+
+    expect(await AvatarService.createAvatar(userId, fake)).toBeNull();
+  });
+
+  test("rejects images that can't be decoded", async () => {
+    const image = await buildImage();
+    const truncated = image.subarray(0, Math.floor(image.length / 2));
+    expect((await sharp(truncated).metadata()).format).toBe("jpeg");
+
+    expect(await AvatarService.createAvatar(userId, truncated)).toBeNull();
+  });
+
+  test("rejects HEIF images", async () => {
+    // The prebuilt sharp can only write the AV1 flavour of HEIF
+    const image = await sharp({
+      create: { width: 64, height: 64, channels: 3, background: "red" },
+    })
+      .heif({ compression: "av1" })
+      .toBuffer();
+    expect((await sharp(image).metadata()).format).toBe("heif");
+
+    expect(await AvatarService.createAvatar(userId, image)).toBeNull();
+  });
+
+  test("removes the files of a replaced avatar", async () => {
+    const created = await AvatarService.createAvatar(
+      userId,
+      await buildImage()
+    );
+
+    await AvatarService.removeFiles(
+      AvatarService.getAvatarUrls({ avatar: created })
+    );
+
+    Object.values(created).forEach((url) =>
+      expect(fs.existsSync(filePath(url))).toBe(false)
+    );
+  });
+
+  test("never removes files outside the avatar directory", async () => {
+    const spy = jest.spyOn(fs.promises, "rm");
+
+    await AvatarService.removeFiles([
+      "https://lh3.googleusercontent.com/a/photo.jpg",
+      "/uploads/transaction-proofs/receipt.jpg",
+    ]);
+
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
+
+describe("Avatar Upload", () => {
+  const user = new User({
+    fullName: "John Doe",
+    email: "john@example.com",
+    password: "password123",
+  });
+  const session = new AuthSession({
+    user: user._id,
+    refreshTokenHash: "hash",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    lastSeenAt: new Date(),
+  });
+  let accessToken;
+
+  const app = express();
+  app.use("/api/user", userRoutes);
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    accessToken = jwt.sign(
+      { userId: user._id, sessionId: session._id },
+      process.env.JWT_SECRET
+    );
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SessionService, "getActiveSession").mockResolvedValue(session);
+    jest.spyOn(SessionService, "touchSession").mockImplementation(() => {});
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: jest.fn().mockResolvedValue(user),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("HEIC photos are refused before processing", async () => {
+    const createAvatar = jest.spyOn(AvatarService, "createAvatar");
+
+    const response = await request(app)
+      .post("/api/user/avatar")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .attach("avatar", Buffer.from("heic data"), {
+        filename: "IMG_0001.HEIC",
+        contentType: "image/heic",
+      })
+      .expect(400);
+
+    expect(response.body).toEqual({
+      success: false,
+      message: "Only JPEG and PNG images are allowed",
+    });
+    expect(createAvatar).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,219 @@
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const ContactInvite = require("../models/ContactInvite");
+const notificationService = require("../services/notificationService");
+const ContactInviteService = require("../services/contactInviteService");
+
+describe("Contact Invites", () => {
+  const inviter = new User({
+    fullName: "Jane Doe",
+    email: "jane@example.com",
+    password: "password123",
+  });
+  const sender = { send: jest.fn() };
+
+  beforeAll(() => {
+    ContactInviteService.setSender("email", sender);
+  });
+
+  beforeEach(() => {
+    sender.send.mockReset().mockResolvedValue({});
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    jest.spyOn(ContactInvite, "findOne").mockResolvedValue(null);
+    jest.spyOn(ContactInvite, "countDocuments").mockResolvedValue(0);
+    jest
+      .spyOn(ContactInvite, "create")
+      .mockImplementation(async (data) => new ContactInvite(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("refuses channels without a configured sender", async () => {
+    const outcome = await ContactInviteService.sendInvite(
+      inviter,
+      "sms",
+      "+1 555 123 4567"
+    );
+
+    expect(outcome).toMatchObject({ status: 503 });
+  });
+
+  test("sends a tracked link and stores only a hash of its token", async () => {
+    const outcome = await ContactInviteService.sendInvite(
+      inviter,
+      "email",
+      " Friend@Example.com "
+    );
+
+    const [destination, message] = sender.send.mock.calls[0];
+    const token = decodeURIComponent(message.link.split("invite=")[1]);
+
+    expect(destination).toBe("Friend@Example.com");
+    expect(message.inviterName).toBe("Jane Doe");
+    expect(outcome.invite.destinationKey).toBe("friend@example.com");
+    expect(outcome.invite.tokenHash).not.toContain(token.split(".")[1]);
+    expect(token.startsWith(outcome.invite._id.toString())).toBe(true);
+  });
+
+  test("marks the invite failed when it can't be delivered", async () => {
+    sender.send.mockRejectedValue(new Error("SMTP down"));
+    jest.spyOn(ContactInvite.prototype, "save").mockResolvedValue();
+
+    const outcome = await ContactInviteService.sendInvite(
+      inviter,
+      "email",
+      "friend@example.com"
+    );
+
+    expect(outcome).toMatchObject({ status: 502 });
+  });
+
+  test("contacts already on Good4It are returned instead of invited", async () => {
+    const existing = new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+    });
+    User.findOne.mockResolvedValue(existing);
+
+    const outcome = await ContactInviteService.sendInvite(
+      inviter,
+      "email",
+      "john@example.com"
+    );
+
+    expect(outcome.existingUser).toBe(existing);
+    expect(sender.send).not.toHaveBeenCalled();
+  });
+
+  test("hidden accounts are invited like anyone else", async () => {
+    User.findOne.mockResolvedValue(
+      new User({
+        fullName: "John Doe",
+        email: "john@example.com",
+        privacy: { discoverableByEmail: false },
+      })
+    );
+
+    const outcome = await ContactInviteService.sendInvite(
+      inviter,
+      "email",
+      "john@example.com"
+    );
+
+    expect(outcome.existingUser).toBeUndefined();
+    expect(sender.send).toHaveBeenCalled();
+  });
+
+  test("limits how many invites a user can send per day", async () => {
+    ContactInvite.countDocuments.mockResolvedValue(20);
+
+    const outcome = await ContactInviteService.sendInvite(
+      inviter,
+      "email",
+      "friend@example.com"
+    );
+
+    expect(outcome).toMatchObject({ status: 429 });
+    expect(sender.send).not.toHaveBeenCalled();
+  });
+
+  test("signing up only matches the invite link the user came from", async () => {
+    const newUser = new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+      phoneNumber: "+14155550123",
+    });
+    const linkedInvite = new ContactInvite({ inviter: inviter._id });
+    jest
+      .spyOn(ContactInviteService, "findByToken")
+      .mockResolvedValue(linkedInvite);
+    const find = jest.spyOn(ContactInvite, "find").mockResolvedValue([]);
+
+    await ContactInviteService.handleSignup(newUser, "invite-token");
+
+    expect(find.mock.calls[0][0].$or).toEqual([{ _id: linkedInvite._id }]);
+  });
+
+  test("unverified contact details alone match no invites", async () => {
+    const newUser = new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+      phoneNumber: "+14155550123",
+    });
+    const find = jest.spyOn(ContactInvite, "find");
+
+    expect(await ContactInviteService.handleSignup(newUser)).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test("verifying an email connects the user with each inviter once", async () => {
+    const newUser = new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+      phoneNumber: "+14155550123",
+      isEmailVerified: true,
+    });
+    const otherInviter = new User({
+      fullName: "Sam Roe",
+      email: "sam@example.com",
+    });
+    const invites = [inviter, inviter, otherInviter].map(
+      (user) => new ContactInvite({ inviter: user._id })
+    );
+
+    const find = jest.spyOn(ContactInvite, "find").mockResolvedValue(invites);
+    const updateMany = jest
+      .spyOn(ContactInvite, "updateMany")
+      .mockResolvedValue({});
+    const findUsers = jest
+      .spyOn(User, "find")
+      .mockResolvedValue([inviter, otherInviter]);
+    const connect = jest
+      .spyOn(ContactInviteService, "connectInviter")
+      .mockResolvedValue();
+
+    await ContactInviteService.handleEmailVerified(newUser);
+
+    expect(find.mock.calls[0][0].$or).toEqual([
+      { channel: "email", destinationKey: "john@example.com" },
+    ]);
+    expect(updateMany.mock.calls[0][1]).toMatchObject({
+      status: "joined",
+      joinedUser: newUser._id,
+    });
+    expect(findUsers.mock.calls[0][0]._id.$in).toHaveLength(2);
+    expect(connect).toHaveBeenCalledTimes(2);
+  });
+
+  test("the inviter sends a friend request and is notified", async () => {
+    const newUser = new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+    });
+    jest.spyOn(Friend, "exists").mockResolvedValue(null);
+    jest.spyOn(FriendRequest, "exists").mockResolvedValue(null);
+    const create = jest.spyOn(FriendRequest, "create").mockResolvedValue({});
+    const notify = jest
+      .spyOn(notificationService, "sendToUser")
+      .mockResolvedValue({});
+
+    await ContactInviteService.connectInviter(inviter, newUser);
+
+    expect(FriendRequest.exists.mock.calls[0][0].status).toBe("pending");
+    expect(create).toHaveBeenCalledWith({
+      sender: inviter._id,
+      recipient: newUser._id,
+    });
+    expect(notify).toHaveBeenCalledWith(
+      inviter._id,
+      "Your contact joined Good4It",
+      expect.stringContaining("John Doe"),
+      "contact_joined",
+      {},
+      newUser._id
+    );
+  });
+});
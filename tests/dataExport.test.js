@@ -0,0 +1,54 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DataExportService = require("../services/dataExportService");
+
+describe("Data Export", () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "good4it-export-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("archive contains the data document and proof files", async () => {
+    const proofPath = path.join(tmpDir, "proof.png");
+    fs.writeFileSync(proofPath, "not really a png");
+    const archivePath = path.join(tmpDir, "export.zip");
+
+    await DataExportService.writeArchive(
+      archivePath,
+      { profile: { fullName: "John Doe" } },
+      [{ sourcePath: proofPath, archivePath: "proofs/proof-1.png" }]
+    );
+
+    const contents = fs.readFileSync(archivePath);
+    expect(contents.subarray(0, 2).toString()).toBe("PK");
+    expect(contents.includes("data.json")).toBe(true);
+    expect(contents.includes("proofs/proof-1.png")).toBe(true);
+  });
+
+  test("missing proof files are skipped", () => {
+    expect(
+      DataExportService.resolveProofPath({
+        filePath: "/somewhere/else/missing.png",
+      })
+    ).toBeNull();
+    expect(DataExportService.resolveProofPath({ filePath: null })).toBeNull();
+  });
+
+  test("stored paths from another host fall back to the uploads directory", () => {
+    const [fileName] = fs.readdirSync(
+      path.join(__dirname, "../uploads/transaction-proofs")
+    );
+
+    expect(
+      DataExportService.resolveProofPath({
+        filePath: `/old/host/uploads/transaction-proofs/${fileName}`,
+      })
+    ).toBe(path.join(__dirname, "../uploads/transaction-proofs", fileName));
+  });
+});
@@ -0,0 +1,102 @@
+const { SMTPServer } = require("smtp-server");
+const jwt = require("jsonwebtoken");
+const EmailVerificationService = require("../services/emailVerificationService");
+
+describe("Email Verification", () => {
+  let smtpServer;
+  let receivedMessages;
+
+  beforeAll((done) => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    receivedMessages = [];
+
+    // Local SMTP stand-in that records every message it receives
+    smtpServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ["STARTTLS"],
+      logger: false,
+      onData(stream, session, callback) {
+        let raw = "";
+        stream.on("data", (chunk) => (raw += chunk.toString()));
+        stream.on("end", () => {
+          receivedMessages.push({
+            to: session.envelope.rcptTo.map((rcpt) => rcpt.address),
+            raw,
+          });
+          callback();
+        });
+      },
+    });
+
+    smtpServer.listen(0, "127.0.0.1", () => {
+      process.env.EMAIL_HOST = "127.0.0.1";
+      process.env.EMAIL_PORT = String(smtpServer.server.address().port);
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    delete process.env.EMAIL_HOST;
+    delete process.env.EMAIL_PORT;
+    smtpServer.close(done);
+  });
+
+  const buildUser = () => ({
+    _id: "507f1f77bcf86cd799439011",
+    email: "john@example.com",
+    fullName: "John <b>Doe</b>",
+    emailVerificationSentAt: null,
+    save: jest.fn().mockResolvedValue(),
+  });
+
+  test("sendVerification emails a link with a valid token", async () => {
+    const user = buildUser();
+
+    const link = await EmailVerificationService.sendVerification(user);
+
+    expect(user.save).toHaveBeenCalled();
+    expect(user.emailVerificationSentAt).toBeInstanceOf(Date);
+    expect(receivedMessages).toHaveLength(1);
+    expect(receivedMessages[0].to).toEqual(["john@example.com"]);
+    expect(receivedMessages[0].raw).toContain("Verify your Good4It email");
+    expect(receivedMessages[0].raw).toContain("John &lt;b&gt;Doe&lt;/b&gt;");
+
+    const token = new URL(link).searchParams.get("token");
+    const payload = EmailVerificationService.verifyToken(token);
+    expect(payload).toMatchObject({
+      userId: user._id,
+      email: user.email,
+    });
+  });
+
+  test("verifyToken rejects tokens issued for another purpose", () => {
+    const accessToken = jwt.sign(
+      { userId: "507f1f77bcf86cd799439011" },
+      process.env.JWT_SECRET
+    );
+
+    expect(EmailVerificationService.verifyToken(accessToken)).toBeNull();
+  });
+
+  test("verifyToken rejects expired tokens", () => {
+    const expiredToken = jwt.sign(
+      {
+        userId: "507f1f77bcf86cd799439011",
+        email: "john@example.com",
+        purpose: "email_verification",
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: -10 }
+    );
+
+    expect(EmailVerificationService.verifyToken(expiredToken)).toBeNull();
+  });
+
+  test("canResend enforces a cooldown between emails", () => {
+    const user = buildUser();
+    expect(EmailVerificationService.canResend(user)).toBe(true);
+
+    user.emailVerificationSentAt = new Date();
+    expect(EmailVerificationService.canResend(user)).toBe(false);
+  });
+});
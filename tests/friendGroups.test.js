@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const Friend = require("../models/Friend");
+const FriendGroup = require("../models/FriendGroup");
+const FriendGroupService = require("../services/friendGroupService");
+
+describe("Friend Groups", () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const sisterId = new mongoose.Types.ObjectId();
+  const roommateId = new mongoose.Types.ObjectId();
+
+  const buildGroup = (overrides = {}) =>
+    new FriendGroup({ owner: ownerId, name: "Family", ...overrides });
+
+  const mockFriends = (friendIds) =>
+    jest.spyOn(Friend, "find").mockReturnValue({
+      distinct: jest.fn().mockResolvedValue(friendIds),
+    });
+
+  beforeEach(() => {
+    jest.spyOn(FriendGroup, "countDocuments").mockResolvedValue(0);
+    jest
+      .spyOn(FriendGroup, "create")
+      .mockImplementation(async (data) => new FriendGroup(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("creates a group of friends with their roles", async () => {
+    mockFriends([sisterId]);
+
+    const { group } = await FriendGroupService.create(ownerId, {
+      name: "Family",
+      members: [{ userId: sisterId.toString(), role: "Sister" }],
+      lendingPolicy: { maxRequestAmount: 500 },
+    });
+
+    expect(group.members).toHaveLength(1);
+    expect(group.members[0].role).toBe("Sister");
+    expect(group.defaultVisibility).toBe("visible");
+    expect(group.lendingPolicy.allowRequests).toBe(true);
+  });
+
+  test("only friends can be added to a group", async () => {
+    mockFriends([]);
+
+    const outcome = await FriendGroupService.create(ownerId, {
+      name: "Family",
+      members: [{ userId: sisterId.toString() }],
+    });
+
+    expect(outcome).toMatchObject({ status: 400 });
+    expect(FriendGroup.create).not.toHaveBeenCalled();
+  });
+
+  test("a group filter limits summaries to its members", async () => {
+    const group = buildGroup({ members: [{ user: sisterId }] });
+    jest.spyOn(FriendGroup, "findOne").mockResolvedValue(group);
+
+    const scope = await FriendGroupService.getSummaryScope(ownerId, group._id);
+
+    expect(scope.counterparty.$in.map(String)).toEqual([sisterId.toString()]);
+  });
+
+  test("hidden groups are left out of summaries by default", async () => {
+    jest.spyOn(FriendGroup, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        buildGroup({
+          defaultVisibility: "hidden",
+          members: [{ user: roommateId }],
+        }),
+      ]),
+    });
+
+    const scope = await FriendGroupService.getSummaryScope(ownerId);
+
+    expect(scope.counterparty.$nin.map(String)).toEqual([
+      roommateId.toString(),
+    ]);
+  });
+
+  test("the strictest lending policy wins", async () => {
+    jest.spyOn(FriendGroup, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        buildGroup({ lendingPolicy: { maxRequestAmount: 500 } }),
+        buildGroup({
+          name: "Roommates",
+          lendingPolicy: { allowRequests: false, maxRequestAmount: 200 },
+        }),
+      ]),
+    });
+
+    const policy = await FriendGroupService.getLendingPolicy(ownerId, sisterId);
+
+    expect(policy).toEqual({ allowRequests: false, maxRequestAmount: 200 });
+  });
+
+  test("friends outside any group keep the default policy", async () => {
+    jest.spyOn(FriendGroup, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([]),
+    });
+
+    const policy = await FriendGroupService.getLendingPolicy(
+      ownerId,
+      roommateId
+    );
+
+    expect(policy).toEqual({ allowRequests: true, maxRequestAmount: null });
+  });
+});
@@ -0,0 +1,196 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const FriendInvite = require("../models/FriendInvite");
+const Block = require("../models/Block");
+const notificationService = require("../services/notificationService");
+const FriendInviteService = require("../services/friendInviteService");
+
+describe("Friend Invites", () => {
+  const inviter = new User({
+    fullName: "Jane Doe",
+    email: "jane@example.com",
+    password: "password123",
+  });
+  const scanner = new User({
+    fullName: "John Doe",
+    email: "john@example.com",
+    password: "password123",
+  });
+
+  const buildInvite = (overrides = {}) =>
+    new FriendInvite({
+      user: inviter._id,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...overrides,
+    });
+
+  const mockInvite = (invite) => {
+    jest.spyOn(FriendInvite, "findById").mockResolvedValue(invite);
+    jest.spyOn(User, "findById").mockResolvedValue(inviter);
+    jest.spyOn(Friend, "exists").mockResolvedValue(null);
+    jest.spyOn(FriendRequest, "exists").mockResolvedValue(null);
+    jest.spyOn(Block, "exists").mockResolvedValue(null);
+    jest.spyOn(FriendInvite, "updateOne").mockResolvedValue({});
+    jest.spyOn(notificationService, "notifyFriendRequest").mockResolvedValue();
+    jest
+      .spyOn(notificationService, "notifyFriendRequestAccepted")
+      .mockResolvedValue();
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("codes are signed and tied to their invite", () => {
+    const invite = buildInvite();
+    const code = FriendInviteService.generateCode(invite);
+
+    expect(FriendInviteService.verifyCode(code)).toMatchObject({
+      inviteId: invite._id.toString(),
+    });
+    expect(FriendInviteService.verifyCode(`${code}x`)).toBeNull();
+  });
+
+  test("other signed tokens are not accepted as invite codes", () => {
+    const jwt = require("jsonwebtoken");
+    const token = jwt.sign(
+      { userId: inviter._id.toString() },
+      process.env.JWT_SECRET
+    );
+
+    expect(FriendInviteService.verifyCode(token)).toBeNull();
+  });
+
+  test("revoked invites can no longer be used", async () => {
+    const invite = buildInvite({ revokedAt: new Date() });
+    mockInvite(invite);
+
+    const outcome = await FriendInviteService.redeem(
+      scanner,
+      FriendInviteService.generateCode(invite)
+    );
+
+    expect(outcome).toMatchObject({ status: 410 });
+  });
+
+  test("users can't use their own invite", async () => {
+    const invite = buildInvite();
+    mockInvite(invite);
+
+    const outcome = await FriendInviteService.redeem(
+      inviter,
+      FriendInviteService.generateCode(invite)
+    );
+
+    expect(outcome).toMatchObject({ status: 400 });
+  });
+
+  test("blocked users can't use each other's invites", async () => {
+    const invite = buildInvite();
+    mockInvite(invite);
+    Block.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const outcome = await FriendInviteService.redeem(
+      scanner,
+      FriendInviteService.generateCode(invite)
+    );
+
+    expect(outcome).toMatchObject({ status: 404 });
+  });
+
+  test("an invite sends a friend request to the inviter", async () => {
+    const invite = buildInvite();
+    mockInvite(invite);
+    const upsert = jest
+      .spyOn(FriendRequest, "findOneAndUpdate")
+      .mockResolvedValue({});
+    const connect = jest.spyOn(FriendInviteService, "connect");
+
+    const outcome = await FriendInviteService.redeem(
+      scanner,
+      FriendInviteService.generateCode(invite)
+    );
+
+    expect(outcome.result).toBe("requested");
+    expect(upsert.mock.calls[0][0]).toEqual({
+      sender: scanner._id,
+      recipient: inviter._id,
+      status: "pending",
+    });
+    expect(notificationService.notifyFriendRequest).toHaveBeenCalledWith(
+      inviter._id,
+      scanner._id,
+      "John Doe"
+    );
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  test("auto-accept invites make the users friends straight away", async () => {
+    const invite = buildInvite({ autoAccept: true });
+    mockInvite(invite);
+    const connect = jest
+      .spyOn(FriendInviteService, "connect")
+      .mockResolvedValue();
+
+    const outcome = await FriendInviteService.redeem(
+      scanner,
+      FriendInviteService.generateCode(invite)
+    );
+
+    expect(outcome.result).toBe("accepted");
+    expect(connect).toHaveBeenCalledWith(scanner._id, inviter._id);
+    expect(FriendInvite.updateOne).toHaveBeenCalledWith(
+      { _id: invite._id },
+      expect.objectContaining({ $inc: { uses: 1 } })
+    );
+  });
+
+  test("renders the invite link as a PNG or SVG QR code", async () => {
+    const code = FriendInviteService.generateCode(buildInvite());
+
+    const png = await FriendInviteService.renderQr(code, "png");
+    const svg = await FriendInviteService.renderQr(code, "svg");
+
+    expect(png.subarray(1, 4).toString()).toBe("PNG");
+    expect(svg).toMatch(/^<svg/);
+  });
+});
+
+describe("Handles", () => {
+  test("handles are normalized to their canonical form", () => {
+    expect(User.normalizeHandle("  @Jane_Doe ")).toBe("jane_doe");
+  });
+
+  test("handles must use the allowed characters", () => {
+    const user = new User({
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      password: "password123",
+      handle: "jane doe!",
+    });
+
+    expect(user.validateSync().errors.handle).toBeDefined();
+  });
+
+  test("reserved handles can't be claimed", () => {
+    expect(User.isReservedHandle("support")).toBe(true);
+    expect(User.isReservedHandle("jane_doe")).toBe(false);
+  });
+
+  test("handles appear in discovery results", () => {
+    const user = new User({
+      _id: new mongoose.Types.ObjectId(),
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      handle: "jane_doe",
+    });
+
+    expect(user.toDiscoveryJSON()).toHaveProperty("handle", "jane_doe");
+  });
+});
@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const Block = require("../models/Block");
+const notificationService = require("../services/notificationService");
+const FriendRequestService = require("../services/friendRequestService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Friend Requests", () => {
+  const sender = new User({
+    fullName: "Jane Doe",
+    email: "jane@example.com",
+    password: "password123",
+  });
+  const recipient = new User({
+    fullName: "John Doe",
+    email: "john@example.com",
+    password: "password123",
+  });
+
+  // findOne is used for the pending check and, sorted, for the last
+  // rejected or cancelled request
+  const mockFindOne = ({ pending = null, closed = null } = {}) => {
+    jest
+      .spyOn(FriendRequest, "findOne")
+      .mockImplementation((query) =>
+        query.status === "pending"
+          ? Promise.resolve(pending)
+          : { sort: jest.fn().mockResolvedValue(closed) }
+      );
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, "findById").mockResolvedValue(recipient);
+    jest.spyOn(Block, "exists").mockResolvedValue(null);
+    jest.spyOn(Friend, "exists").mockResolvedValue(null);
+    jest.spyOn(FriendRequest, "updateMany").mockResolvedValue({
+      modifiedCount: 0,
+    });
+    jest
+      .spyOn(FriendRequest, "create")
+      .mockImplementation(async (data) => new FriendRequest(data));
+    jest.spyOn(notificationService, "notifyFriendRequest").mockResolvedValue();
+    jest
+      .spyOn(notificationService, "notifyFriendRequestAccepted")
+      .mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("sending a request notifies the recipient", async () => {
+    mockFindOne();
+
+    const outcome = await FriendRequestService.send(sender, recipient._id);
+
+    expect(outcome.request.status).toBe("pending");
+    expect(outcome.request.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(notificationService.notifyFriendRequest).toHaveBeenCalledWith(
+      recipient._id,
+      sender._id,
+      "Jane Doe"
+    );
+  });
+
+  test("a rejected sender waits out the cooldown before asking again", async () => {
+    mockFindOne({
+      closed: new FriendRequest({
+        sender: sender._id,
+        recipient: recipient._id,
+        status: "rejected",
+        respondedAt: new Date(Date.now() - DAY_MS),
+      }),
+    });
+
+    const outcome = await FriendRequestService.send(sender, recipient._id);
+
+    expect(outcome).toMatchObject({ status: 429 });
+    expect(outcome.retryAfter.getTime()).toBeGreaterThan(Date.now());
+    expect(FriendRequest.create).not.toHaveBeenCalled();
+  });
+
+  test("a rejected sender can ask again after the cooldown", async () => {
+    mockFindOne({
+      closed: new FriendRequest({
+        sender: sender._id,
+        recipient: recipient._id,
+        status: "rejected",
+        respondedAt: new Date(
+          Date.now() -
+            (FriendRequestService.REREQUEST_COOLDOWN_DAYS + 1) * DAY_MS
+        ),
+      }),
+    });
+
+    const outcome = await FriendRequestService.send(sender, recipient._id);
+
+    expect(outcome.request).toBeDefined();
+  });
+
+  test("a sender who cancels waits out the resend interval before asking again", async () => {
+    mockFindOne({
+      closed: new FriendRequest({
+        sender: sender._id,
+        recipient: recipient._id,
+        status: "cancelled",
+        lastSentAt: new Date(Date.now() - 60 * 60 * 1000),
+      }),
+    });
+
+    const outcome = await FriendRequestService.send(sender, recipient._id);
+
+    expect(outcome).toMatchObject({ status: 429 });
+    expect(outcome.retryAfter.getTime()).toBeGreaterThan(Date.now());
+    expect(FriendRequest.create).not.toHaveBeenCalled();
+    expect(notificationService.notifyFriendRequest).not.toHaveBeenCalled();
+  });
+
+  test("a sender who cancelled can ask again a day after last sending", async () => {
+    mockFindOne({
+      closed: new FriendRequest({
+        sender: sender._id,
+        recipient: recipient._id,
+        status: "cancelled",
+        lastSentAt: new Date(
+          Date.now() -
+            (FriendRequestService.RESEND_INTERVAL_HOURS + 1) * 60 * 60 * 1000
+        ),
+      }),
+    });
+
+    const outcome = await FriendRequestService.send(sender, recipient._id);
+
+    expect(outcome.request).toBeDefined();
+  });
+
+  test("a pending request in either direction stops a new one", async () => {
+    mockFindOne({
+      pending: new FriendRequest({
+        sender: recipient._id,
+        recipient: sender._id,
+      }),
+    });
+
+    const outcome = await FriendRequestService.send(sender, recipient._id);
+
+    expect(outcome).toMatchObject({
+      status: 400,
+      message: "This user has already sent you a friend request",
+    });
+  });
+
+  test("stale pending requests are expired before checking", async () => {
+    mockFindOne();
+
+    await FriendRequestService.send(sender, recipient._id);
+
+    const [filter, update] = FriendRequest.updateMany.mock.calls[0];
+    expect(filter.status).toBe("pending");
+    expect(filter.expiresAt).toEqual({ $lte: expect.any(Date) });
+    expect(update).toEqual({ status: "expired" });
+  });
+
+  test("senders can cancel only their own pending requests", async () => {
+    const requestId = new mongoose.Types.ObjectId();
+    const updateOne = jest
+      .spyOn(FriendRequest, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await FriendRequestService.cancel(sender, requestId)).toBe(true);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: requestId, sender: sender._id, status: "pending" },
+      { status: "cancelled" }
+    );
+  });
+
+  test("a request can only be resent once a day", async () => {
+    const request = new FriendRequest({
+      sender: sender._id,
+      recipient: recipient._id,
+      lastSentAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+    jest.spyOn(FriendRequest, "findOne").mockResolvedValue(request);
+
+    const outcome = await FriendRequestService.resend(sender, request._id);
+
+    expect(outcome).toMatchObject({ status: 429 });
+    expect(notificationService.notifyFriendRequest).not.toHaveBeenCalled();
+  });
+
+  test("accepting creates both friendships and notifies the sender", async () => {
+    const request = new FriendRequest({
+      sender: sender._id,
+      recipient: recipient._id,
+    });
+    jest.spyOn(FriendRequest, "findOne").mockResolvedValue(request);
+    jest.spyOn(request, "save").mockResolvedValue(request);
+    const create = jest.spyOn(Friend, "create").mockResolvedValue([]);
+
+    await FriendRequestService.respond(recipient, request._id, "accepted");
+
+    expect(request.status).toBe("accepted");
+    expect(request.respondedAt).toBeInstanceOf(Date);
+    expect(create.mock.calls[0][0]).toHaveLength(2);
+    expect(
+      notificationService.notifyFriendRequestAccepted
+    ).toHaveBeenCalledWith(sender._id, recipient._id, "John Doe");
+  });
+});
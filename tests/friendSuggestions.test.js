@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const ContactInvite = require("../models/ContactInvite");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const Task = require("../models/Task");
+const SuggestionDismissal = require("../models/SuggestionDismissal");
+const FriendshipService = require("../services/friendshipService");
+const FriendSuggestionService = require("../services/friendSuggestionService");
+
+describe("Friend Suggestions", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const friendId = new mongoose.Types.ObjectId();
+
+  const buildUser = (fullName) =>
+    new User({ fullName, email: `${fullName}@example.com`.toLowerCase() });
+  const colleague = buildUser("Colleague");
+  const neighbour = buildUser("Neighbour");
+  const rejecter = buildUser("Rejecter");
+
+  const selectResolving = (value) => ({
+    select: jest.fn().mockResolvedValue(value),
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Friend, "find").mockReturnValue({
+      distinct: jest.fn().mockResolvedValue([friendId]),
+    });
+    jest.spyOn(FriendshipService, "getBlockedUserIds").mockResolvedValue([]);
+    jest
+      .spyOn(FriendRequest, "find")
+      .mockReturnValue(
+        selectResolving([
+          { sender: userId, recipient: rejecter._id, status: "rejected" },
+        ])
+      );
+    jest
+      .spyOn(SuggestionDismissal, "find")
+      .mockReturnValue(selectResolving([]));
+    jest.spyOn(Friend, "aggregate").mockResolvedValue([
+      { _id: colleague._id, count: 1 },
+      { _id: neighbour._id, count: 2 },
+    ]);
+    jest
+      .spyOn(ContactInvite, "find")
+      .mockReturnValue(
+        selectResolving([{ inviter: userId, joinedUser: colleague._id }])
+      );
+    jest.spyOn(MoneyTransaction, "find").mockReturnValue(selectResolving([]));
+    jest.spyOn(Task, "find").mockReturnValue(selectResolving([]));
+    jest
+      .spyOn(User, "find")
+      .mockImplementation((query) =>
+        selectResolving(
+          [colleague, neighbour, rejecter].filter((user) =>
+            query._id.$in.includes(user._id.toString())
+          )
+        )
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("ranks a contact above someone with more mutual friends", async () => {
+    const { suggestions, pagination } =
+      await FriendSuggestionService.getSuggestions(userId);
+
+    expect(suggestions.map((s) => s.user.fullName)).toEqual([
+      "Colleague",
+      "Neighbour",
+    ]);
+    expect(suggestions[0].reasons).toEqual(["mutual_friends", "contact"]);
+    expect(pagination.totalSuggestions).toBe(2);
+  });
+
+  test("leaves out users who rejected a request from the user", async () => {
+    ContactInvite.find.mockReturnValue(
+      selectResolving([{ inviter: rejecter._id, joinedUser: userId }])
+    );
+
+    const { suggestions } = await FriendSuggestionService.getSuggestions(
+      userId
+    );
+
+    expect(suggestions.map((s) => s.user.fullName)).not.toContain("Rejecter");
+    const [pipeline] = Friend.aggregate.mock.calls[0];
+    expect(pipeline[0].$match.friend.$nin).toEqual(
+      expect.arrayContaining([userId, friendId, rejecter._id])
+    );
+  });
+
+  test("leaves out blocked and dismissed users", async () => {
+    FriendshipService.getBlockedUserIds.mockResolvedValue([neighbour._id]);
+    SuggestionDismissal.find.mockReturnValue(
+      selectResolving([{ dismissed: colleague._id }])
+    );
+
+    const { suggestions } = await FriendSuggestionService.getSuggestions(
+      userId
+    );
+
+    expect(suggestions).toEqual([]);
+  });
+
+  test("paginates the ranked list", async () => {
+    const { suggestions, pagination } =
+      await FriendSuggestionService.getSuggestions(userId, {
+        page: 2,
+        limit: 1,
+      });
+
+    expect(suggestions.map((s) => s.user.fullName)).toEqual(["Neighbour"]);
+    expect(pagination).toMatchObject({
+      currentPage: 2,
+      totalPages: 2,
+      hasNextPage: false,
+      hasPrevPage: true,
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const Block = require("../models/Block");
+const FriendGroup = require("../models/FriendGroup");
+const MoneyRequest = require("../models/MoneyRequest");
+const FriendshipService = require("../services/friendshipService");
+
+describe("Unfriending and blocking", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const otherUserId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(Friend, "deleteMany").mockResolvedValue({ deletedCount: 2 });
+    jest
+      .spyOn(FriendRequest, "deleteMany")
+      .mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(FriendGroup, "updateMany").mockResolvedValue({});
+    jest.spyOn(Block, "updateOne").mockResolvedValue({});
+    jest.spyOn(MoneyRequest, "updateMany").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("unfriending removes the friendship in both directions", async () => {
+    const removed = await FriendshipService.unfriend(userId, otherUserId);
+
+    expect(removed).toBe(true);
+    expect(Friend.deleteMany).toHaveBeenCalledWith({
+      $or: [
+        { user: userId, friend: otherUserId },
+        { user: otherUserId, friend: userId },
+      ],
+    });
+    // Answered requests stay so rejection cooldowns survive a block
+    expect(FriendRequest.deleteMany.mock.calls[0][0]).toMatchObject({
+      status: "pending",
+    });
+    expect(FriendGroup.updateMany).toHaveBeenCalledWith(
+      { owner: userId, "members.user": otherUserId },
+      { $pull: { members: { user: otherUserId } } }
+    );
+  });
+
+  test("blocking ends the friendship and withdraws pending money requests", async () => {
+    await FriendshipService.block(userId, otherUserId);
+
+    expect(Block.updateOne).toHaveBeenCalledWith(
+      { blocker: userId, blocked: otherUserId },
+      expect.any(Object),
+      { upsert: true }
+    );
+    expect(Friend.deleteMany).toHaveBeenCalled();
+
+    const [filter, update] = MoneyRequest.updateMany.mock.calls[0];
+    expect(filter.status).toBe("pending");
+    expect(update).toEqual({ status: "rejected" });
+  });
+
+  test("a block hides users from each other in both directions", async () => {
+    jest.spyOn(Block, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { blocker: userId, blocked: otherUserId },
+        { blocker: otherUserId, blocked: userId },
+      ]),
+    });
+
+    const ids = await FriendshipService.getBlockedUserIds(userId);
+
+    expect(ids.map(String)).toEqual([
+      otherUserId.toString(),
+      otherUserId.toString(),
+    ]);
+  });
+
+  test("isBlocked checks both directions", async () => {
+    const exists = jest.spyOn(Block, "exists").mockResolvedValue(null);
+
+    expect(await FriendshipService.isBlocked(userId, otherUserId)).toBe(false);
+    expect(exists.mock.calls[0][0].$or).toHaveLength(2);
+  });
+});
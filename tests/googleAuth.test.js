@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const googleAuthService = require("../services/googleAuthService");
+
+describe("Google ID Token Verification", () => {
+  const clientId = "test-client.apps.googleusercontent.com";
+  let privateKey;
+  let fetchCount;
+
+  beforeAll(() => {
+    process.env.GOOGLE_CLIENT_IDS = clientId;
+
+    const keyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    privateKey = keyPair.privateKey;
+    const jwk = {
+      ...keyPair.publicKey.export({ format: "jwk" }),
+      kid: "key-1",
+    };
+
+    // Local key set in place of Google's JWKS endpoint
+    googleAuthService.setKeyFetcher(async () => {
+      fetchCount += 1;
+      return { keys: [jwk] };
+    });
+  });
+
+  beforeEach(() => {
+    fetchCount = 0;
+    googleAuthService.resetCache();
+  });
+
+  afterAll(() => {
+    delete process.env.GOOGLE_CLIENT_IDS;
+    googleAuthService.setKeyFetcher(null);
+  });
+
+  const signIdToken = (claims = {}, options = {}) =>
+    jwt.sign(
+      {
+        sub: "google-user-1",
+        email: "john@example.com",
+        email_verified: true,
+        name: "John Doe",
+        ...claims,
+      },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: "key-1",
+        audience: clientId,
+        issuer: "https://accounts.google.com",
+        expiresIn: "1h",
+        ...options,
+      }
+    );
+
+  test("accepts a token signed by a known key", async () => {
+    const payload = await googleAuthService.verifyIdToken(signIdToken());
+
+    expect(payload).toMatchObject({
+      sub: "google-user-1",
+      email: "john@example.com",
+    });
+  });
+
+  test("caches keys between verifications", async () => {
+    await googleAuthService.verifyIdToken(signIdToken());
+    await googleAuthService.verifyIdToken(signIdToken());
+
+    expect(fetchCount).toBe(1);
+  });
+
+  test("rejects a token for another audience", async () => {
+    const token = signIdToken({}, { audience: "someone-else" });
+
+    expect(await googleAuthService.verifyIdToken(token)).toBeNull();
+  });
+
+  test("rejects an expired token", async () => {
+    const token = signIdToken({}, { expiresIn: -10 });
+
+    expect(await googleAuthService.verifyIdToken(token)).toBeNull();
+  });
+
+  test("rejects a token from another issuer", async () => {
+    const token = signIdToken({}, { issuer: "https://evil.example.com" });
+
+    expect(await googleAuthService.verifyIdToken(token)).toBeNull();
+  });
+
+  test("rejects a token signed with an unknown key", async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    const token = jwt.sign({ sub: "google-user-1" }, otherKey, {
+      algorithm: "RS256",
+      keyid: "key-1",
+      audience: clientId,
+      issuer: "accounts.google.com",
+    });
+
+    expect(await googleAuthService.verifyIdToken(token)).toBeNull();
+  });
+
+  test("rejects unsigned tokens", async () => {
+    const token = jwt.sign({ sub: "google-user-1" }, null, {
+      algorithm: "none",
+    });
+
+    expect(await googleAuthService.verifyIdToken(token)).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const Friend = require("../models/Friend");
+const FriendGroup = require("../models/FriendGroup");
+const MoneyRequest = require("../models/MoneyRequest");
+const MoneyTransaction = require("../models/MoneyTransaction");
+const LendingLimitService = require("../services/lendingLimitService");
+
+describe("Per-friend lending limits", () => {
+  const lenderId = new mongoose.Types.ObjectId();
+  const borrowerId = new mongoose.Types.ObjectId();
+
+  const selectResolving = (value) => ({
+    select: jest.fn().mockResolvedValue(value),
+  });
+
+  const mockSettings = (lendingSettings) =>
+    jest
+      .spyOn(Friend, "findOne")
+      .mockReturnValue(
+        selectResolving(
+          new Friend({ user: lenderId, friend: borrowerId, lendingSettings })
+        )
+      );
+
+  beforeEach(() => {
+    mockSettings({});
+    jest.spyOn(FriendGroup, "find").mockReturnValue(selectResolving([]));
+    jest
+      .spyOn(MoneyTransaction, "find")
+      .mockReturnValue(
+        selectResolving([{ amount: 500, repaymentAmount: 200 }])
+      );
+    jest
+      .spyOn(MoneyRequest, "find")
+      .mockReturnValue(selectResolving([{ amount: 100 }]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("counts unrepaid loans and pending requests as outstanding", async () => {
+    const outstanding = await LendingLimitService.getOutstanding(
+      lenderId,
+      borrowerId
+    );
+
+    expect(outstanding).toBe(400);
+    expect(MoneyTransaction.find.mock.calls[0][0].status).toEqual({
+      $nin: ["repaid", "forgiven"],
+    });
+  });
+
+  test("counts approved requests until their money is sent", async () => {
+    const [unsent, sent] = [
+      new mongoose.Types.ObjectId(),
+      new mongoose.Types.ObjectId(),
+    ];
+    jest.spyOn(MoneyRequest, "find").mockReturnValue(
+      selectResolving([
+        { _id: new mongoose.Types.ObjectId(), amount: 100, status: "pending" },
+        { _id: unsent, amount: 150, status: "approved" },
+        { _id: sent, amount: 500, status: "approved" },
+      ])
+    );
+    MoneyTransaction.find.mockImplementation((filter) =>
+      filter.requestId
+        ? { distinct: jest.fn().mockResolvedValue([sent]) }
+        : selectResolving([{ amount: 500, repaymentAmount: 200 }])
+    );
+
+    const outstanding = await LendingLimitService.getOutstanding(
+      lenderId,
+      borrowerId
+    );
+
+    expect(outstanding).toBe(550);
+    expect(MoneyTransaction.find.mock.calls[1][0].requestId.$in).toEqual([
+      unsent,
+      sent,
+    ]);
+  });
+
+  test("allows any request when no limits are set", async () => {
+    const result = await LendingLimitService.checkRequest(
+      lenderId,
+      borrowerId,
+      { amount: 50000, paymentType: "emi" }
+    );
+
+    expect(result.status).toBeUndefined();
+    expect(result.headroom.available).toBeNull();
+    expect(result.headroom.proofRequired).toBe(false);
+  });
+
+  test("rejects a request over the outstanding cap and reports the headroom", async () => {
+    mockSettings({ maxOutstanding: 1000 });
+
+    const result = await LendingLimitService.checkRequest(
+      lenderId,
+      borrowerId,
+      { amount: 700, paymentType: "full_payment" }
+    );
+
+    expect(result.status).toBe(400);
+    expect(result.message).toBe("You can request at most 600 from this friend");
+    expect(result.headroom).toMatchObject({
+      maxOutstanding: 1000,
+      outstanding: 400,
+      available: 600,
+    });
+  });
+
+  test("the strictest of the friend and group limits applies", async () => {
+    mockSettings({ maxRequestAmount: 300 });
+    FriendGroup.find.mockReturnValue(
+      selectResolving([
+        { lendingPolicy: { allowRequests: true, maxRequestAmount: 200 } },
+      ])
+    );
+
+    const result = await LendingLimitService.checkRequest(
+      lenderId,
+      borrowerId,
+      { amount: 250, paymentType: "full_payment" }
+    );
+
+    expect(result.status).toBe(400);
+    expect(result.headroom.maxRequestAmount).toBe(200);
+  });
+
+  test("rejects payment types the lender doesn't allow", async () => {
+    mockSettings({ allowedPaymentTypes: ["full_payment"] });
+
+    const result = await LendingLimitService.checkRequest(
+      lenderId,
+      borrowerId,
+      { amount: 100, paymentType: "emi" }
+    );
+
+    expect(result.status).toBe(400);
+    expect(result.message).toMatch(/full_payment/);
+  });
+
+  test("passes the proof requirement through on allowed requests", async () => {
+    mockSettings({ requireProof: true });
+
+    const result = await LendingLimitService.checkRequest(
+      lenderId,
+      borrowerId,
+      { amount: 100, paymentType: "full_payment" }
+    );
+
+    expect(result.status).toBeUndefined();
+    expect(result.headroom.proofRequired).toBe(true);
+  });
+
+  test("only updates the settings that were given", async () => {
+    const update = jest
+      .spyOn(Friend, "findOneAndUpdate")
+      .mockReturnValue(selectResolving(null));
+
+    const settings = await LendingLimitService.updateSettings(
+      lenderId,
+      borrowerId,
+      { maxOutstanding: null, requireProof: true }
+    );
+
+    expect(settings).toBeNull();
+    expect(update.mock.calls[0][1]).toEqual({
+      $set: {
+        "lendingSettings.maxOutstanding": null,
+        "lendingSettings.requireProof": true,
+      },
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const LoginProtectionService = require("../services/loginProtectionService");
+
+describe("Login Protection", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("delays grow with each failure and are capped", () => {
+    expect(LoginProtectionService.getDelayMs(2)).toBe(0);
+    expect(LoginProtectionService.getDelayMs(3)).toBe(1000);
+    expect(LoginProtectionService.getDelayMs(5)).toBe(4000);
+    expect(LoginProtectionService.getDelayMs(20)).toBe(60 * 1000);
+  });
+
+  test("counters are keyed by account when one matches", () => {
+    const user = { _id: "507f1f77bcf86cd799439011" };
+
+    expect(LoginProtectionService.getKey("john@example.com", user)).toBe(
+      "user:507f1f77bcf86cd799439011"
+    );
+    expect(LoginProtectionService.getKey(" John@Example.com ")).toBe(
+      "identifier:john@example.com"
+    );
+  });
+
+  test("locked identifiers are refused with 423", async () => {
+    jest.spyOn(LoginAttempt, "findOne").mockResolvedValue({
+      lockedUntil: new Date(Date.now() + 60 * 1000),
+    });
+
+    const result = await LoginProtectionService.checkAllowed("user:1");
+
+    expect(result).toMatchObject({ allowed: false, status: 423 });
+    expect(result.retryAfterSeconds).toBeGreaterThan(0);
+  });
+
+  test("attempts during a delay are refused with 429", async () => {
+    jest.spyOn(LoginAttempt, "findOne").mockResolvedValue({
+      lockedUntil: null,
+      nextAttemptAt: new Date(Date.now() + 4000),
+    });
+
+    const result = await LoginProtectionService.checkAllowed("user:1");
+
+    expect(result).toMatchObject({ allowed: false, status: 429 });
+  });
+
+  test("attempts are allowed once the delay has passed", async () => {
+    jest.spyOn(LoginAttempt, "findOne").mockResolvedValue({
+      lockedUntil: new Date(Date.now() - 1000),
+      nextAttemptAt: new Date(Date.now() - 1000),
+    });
+
+    expect(await LoginProtectionService.checkAllowed("user:1")).toEqual({
+      allowed: true,
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const express = require("express");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const AuthSession = require("../models/AuthSession");
+const MoneyRequest = require("../models/MoneyRequest");
+const SessionService = require("../services/sessionService");
+const AuditLogService = require("../services/auditLogService");
+const moneyRoutes = require("../routes/money");
+
+describe("Money route authorization", () => {
+  const user = new User({
+    fullName: "John Doe",
+    email: "john@example.com",
+    password: "password123",
+  });
+  const session = new AuthSession({
+    user: user._id,
+    refreshTokenHash: "hash",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    lastSeenAt: new Date(),
+  });
+  let accessToken;
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/money", moneyRoutes);
+
+  const userQuery = () => {
+    const result = Promise.resolve(user);
+    result.select = jest.fn().mockResolvedValue(user);
+    return result;
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    accessToken = jwt.sign(
+      { userId: user._id, sessionId: session._id },
+      process.env.JWT_SECRET
+    );
+  });
+
+  beforeEach(() => {
+    user.isActive = true;
+    jest.spyOn(SessionService, "getActiveSession").mockResolvedValue(session);
+    jest.spyOn(SessionService, "touchSession").mockImplementation(() => {});
+    jest.spyOn(User, "findById").mockImplementation(userQuery);
+    jest.spyOn(AuditLogService, "track").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("rejects invalid tokens with 401", async () => {
+    const response = await request(app)
+      .get("/api/money/requests")
+      .set("Authorization", "Bearer not-a-valid-token")
+      .expect(401);
+
+    expect(response.body).toHaveProperty("success", false);
+    expect(response.body).toHaveProperty("message", "Invalid token");
+  });
+
+  test("rejects deactivated accounts", async () => {
+    user.isActive = false;
+
+    const response = await request(app)
+      .get("/api/money/requests")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .expect(401);
+
+    expect(response.body).toHaveProperty("message", "Account is deactivated");
+  });
+
+  test("requires a verified email when the setting is on, authenticating once", async () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = "true";
+    user.isEmailVerified = false;
+
+    try {
+      const response = await request(app)
+        .get("/api/money/requests")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(403);
+
+      expect(response.body).toHaveProperty(
+        "message",
+        "Email verification required"
+      );
+      expect(SessionService.getActiveSession).toHaveBeenCalledTimes(1);
+    } finally {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    }
+  });
+
+  test("only the lender can approve or reject a request", async () => {
+    jest.spyOn(MoneyRequest, "findById").mockResolvedValue({
+      lender: new mongoose.Types.ObjectId(),
+      status: "pending",
+    });
+
+    const response = await request(app)
+      .put(`/api/money/request/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ status: "approved" })
+      .expect(403);
+
+    expect(response.body).toHaveProperty(
+      "message",
+      "Only the lender can approve or reject this request"
+    );
+  });
+
+  test("matches the lender by id rather than by reference", async () => {
+    jest.spyOn(MoneyRequest, "findById").mockResolvedValue({
+      lender: new mongoose.Types.ObjectId(user._id.toString()),
+      status: "approved",
+    });
+
+    const response = await request(app)
+      .put(`/api/money/request/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ status: "approved" })
+      .expect(400);
+
+    expect(response.body).toHaveProperty(
+      "message",
+      "Request has already been processed"
+    );
+  });
+});
@@ -0,0 +1,134 @@
+const User = require("../models/User");
+const PasswordReset = require("../models/PasswordReset");
+const SessionService = require("../services/sessionService");
+const emailService = require("../services/emailService");
+const PasswordResetService = require("../services/passwordResetService");
+
+describe("Password Reset", () => {
+  const user = new User({
+    fullName: "John Doe",
+    email: "john@example.com",
+    password: "password123",
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, "findByEmailOrPhone").mockResolvedValue(user);
+    jest.spyOn(PasswordReset, "countDocuments").mockResolvedValue(0);
+    jest
+      .spyOn(PasswordReset, "create")
+      .mockImplementation(async (data) => new PasswordReset(data));
+    jest.spyOn(emailService, "sendPasswordResetEmail").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("emails a link whose token is stored only as a hash and expires in 30 minutes", async () => {
+    const before = Date.now();
+
+    await PasswordResetService.requestReset("john@example.com");
+
+    const [record] = PasswordReset.create.mock.calls[0];
+    const [to, , link] = emailService.sendPasswordResetEmail.mock.calls[0];
+    const token = decodeURIComponent(link.split("token=")[1]);
+
+    expect(to).toBe("john@example.com");
+    expect(token.startsWith(`${record._id}.`)).toBe(true);
+    expect(record.tokenHash).not.toContain(token.split(".")[1]);
+    expect(record.expiresAt.getTime() - before).toBeGreaterThanOrEqual(
+      30 * 60 * 1000
+    );
+    expect(record.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(
+      30 * 60 * 1000
+    );
+  });
+
+  test("stops issuing links after 3 requests in an hour", async () => {
+    PasswordReset.countDocuments.mockResolvedValue(3);
+
+    await PasswordResetService.requestReset("john@example.com");
+
+    expect(PasswordReset.countDocuments.mock.calls[0][0]).toMatchObject({
+      user: user._id,
+    });
+    expect(PasswordReset.create).not.toHaveBeenCalled();
+    expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  test("does nothing for unknown accounts", async () => {
+    User.findByEmailOrPhone.mockResolvedValue(null);
+
+    await PasswordResetService.requestReset("nobody@example.com");
+
+    expect(PasswordReset.create).not.toHaveBeenCalled();
+    expect(emailService.sendPasswordResetEmail).not.toHaveBeenCalled();
+  });
+
+  describe("resetting the password", () => {
+    const getToken = async () => {
+      await PasswordResetService.requestReset("john@example.com");
+      const [, , link] = emailService.sendPasswordResetEmail.mock.calls[0];
+      return decodeURIComponent(link.split("token=")[1]);
+    };
+
+    test("only accepts unused, unexpired tokens", async () => {
+      const token = await getToken();
+      const claim = jest
+        .spyOn(PasswordReset, "findOneAndUpdate")
+        .mockResolvedValue(null);
+      const findUser = jest.spyOn(User, "findById");
+
+      expect(
+        await PasswordResetService.resetPassword(token, "newpassword123")
+      ).toBeNull();
+
+      const [filter, update] = claim.mock.calls[0];
+      expect(filter).toMatchObject({ usedAt: null });
+      expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+      expect(update.usedAt).toBeInstanceOf(Date);
+      expect(findUser).not.toHaveBeenCalled();
+    });
+
+    test("sets the password, spends other tokens and signs out every session", async () => {
+      const token = await getToken();
+      jest
+        .spyOn(PasswordReset, "findOneAndUpdate")
+        .mockResolvedValue({ user: user._id });
+      jest.spyOn(User, "findById").mockResolvedValue(user);
+      jest.spyOn(user, "save").mockResolvedValue(user);
+      const spendOthers = jest
+        .spyOn(PasswordReset, "updateMany")
+        .mockResolvedValue({});
+      const revokeAll = jest
+        .spyOn(SessionService, "revokeAllForUser")
+        .mockResolvedValue({ modifiedCount: 2 });
+
+      const result = await PasswordResetService.resetPassword(
+        token,
+        "newpassword123"
+      );
+
+      expect(result).toBe(user);
+      expect(user.password).toBe("newpassword123");
+      expect(user.save).toHaveBeenCalled();
+      expect(spendOthers.mock.calls[0][0]).toEqual({
+        user: user._id,
+        usedAt: null,
+      });
+      expect(revokeAll).toHaveBeenCalledWith(user._id, "password_reset");
+    });
+
+    test("rejects malformed tokens without a lookup", async () => {
+      const claim = jest.spyOn(PasswordReset, "findOneAndUpdate");
+
+      expect(
+        await PasswordResetService.resetPassword(
+          "not-a-token",
+          "newpassword123"
+        )
+      ).toBeNull();
+      expect(claim).not.toHaveBeenCalled();
+    });
+  });
+});
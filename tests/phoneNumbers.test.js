@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const SessionService = require("../services/sessionService");
+const userRoutes = require("../routes/user");
+const PhoneNumberService = require("../services/phoneNumberService");
+const ContactInviteService = require("../services/contactInviteService");
+
+describe("Phone Numbers", () => {
+  const originalSalt = process.env.PHONE_HASH_SALT;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalSalt === undefined) {
+      delete process.env.PHONE_HASH_SALT;
+    } else {
+      process.env.PHONE_HASH_SALT = originalSalt;
+    }
+  });
+
+  test("normalizes formatted numbers to E.164", () => {
+    expect(PhoneNumberService.normalize("+1 (415) 555-0123")).toBe(
+      "+14155550123"
+    );
+    expect(PhoneNumberService.normalize("415.555.0123", "US")).toBe(
+      "+14155550123"
+    );
+  });
+
+  test("reads local numbers in the given region", () => {
+    expect(PhoneNumberService.normalize("020 7946 0958", "gb")).toBe(
+      "+442079460958"
+    );
+    expect(PhoneNumberService.normalize("+44 20 7946 0958", "US")).toBe(
+      "+442079460958"
+    );
+  });
+
+  test("rejects partial and invalid numbers", () => {
+    expect(PhoneNumberService.normalize("5550123")).toBeNull();
+    expect(PhoneNumberService.normalize("not a number")).toBeNull();
+    expect(PhoneNumberService.normalize(4155550123)).toBeNull();
+  });
+
+  test("hashes the salt followed by the E.164 number", () => {
+    delete process.env.PHONE_HASH_SALT;
+    expect(PhoneNumberService.hash("+14155550123")).toBeNull();
+
+    process.env.PHONE_HASH_SALT = "pepper";
+    const hash = PhoneNumberService.hash("+14155550123");
+
+    expect(hash).toBe(
+      crypto.createHash("sha256").update("pepper+14155550123").digest("hex")
+    );
+    expect(PhoneNumberService.isHash(hash)).toBe(true);
+    expect(PhoneNumberService.isHash("+14155550123")).toBe(false);
+  });
+
+  test("users only store E.164 numbers", () => {
+    const user = new User({
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      password: "password123",
+      phoneNumber: "(415) 555-0123",
+    });
+
+    expect(user.validateSync().errors.phoneNumber).toBeDefined();
+
+    user.phoneNumber = "+14155550123";
+    expect(user.validateSync()).toBeUndefined();
+  });
+
+  test("accounts are only saveable once the migration converts or clears their number", () => {
+    const stored = {
+      _id: new User()._id,
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      password: "password123",
+    };
+
+    const unmigrated = User.hydrate({ ...stored, phoneNumber: "555-0123" });
+    unmigrated.lastLogin = new Date();
+    expect(unmigrated.validateSync().errors.phoneNumber).toBeDefined();
+
+    const cleared = User.hydrate({ ...stored, legacyPhoneNumber: "555-0123" });
+    cleared.lastLogin = new Date();
+    expect(cleared.validateSync()).toBeUndefined();
+  });
+
+  test("entering a number again replaces one the migration cleared", async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+    const user = User.hydrate({
+      _id: new User()._id,
+      fullName: "Jane Doe",
+      email: "jane@example.com",
+      legacyPhoneNumber: "555-0123",
+      isActive: true,
+    });
+    const session = { _id: new User()._id };
+    const userQuery = () => {
+      const result = Promise.resolve(user);
+      result.select = jest.fn().mockResolvedValue(user);
+      return result;
+    };
+    jest.spyOn(SessionService, "getActiveSession").mockResolvedValue(session);
+    jest.spyOn(SessionService, "touchSession").mockImplementation(() => {});
+    jest.spyOn(User, "findById").mockImplementation(userQuery);
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    const update = jest
+      .spyOn(User, "findByIdAndUpdate")
+      .mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/user", userRoutes);
+    await request(app)
+      .put("/api/user/profile")
+      .set(
+        "Authorization",
+        `Bearer ${jwt.sign(
+          { userId: user._id, sessionId: session._id },
+          process.env.JWT_SECRET
+        )}`
+      )
+      .send({ phoneNumber: "(415) 555-0123", defaultRegion: "US" })
+      .expect(200);
+
+    expect(update.mock.calls[0][1]).toMatchObject({
+      phoneNumber: "+14155550123",
+      legacyPhoneNumber: null,
+    });
+  });
+
+  test("SMS contact invites are keyed by the E.164 number", () => {
+    expect(
+      ContactInviteService.getDestinationKey("sms", "(415) 555-0123", "US")
+    ).toBe("+14155550123");
+    expect(
+      ContactInviteService.getDestinationKey("sms", "555-0123", "US")
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const User = require("../models/User");
+
+describe("Discovery Privacy", () => {
+  const buildUser = (privacy = {}) =>
+    new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+      phoneNumber: "+15551234567",
+      password: "password123",
+      good4itScore: 140,
+      privacy,
+    });
+
+  test("everything is visible by default", () => {
+    expect(buildUser().toDiscoveryJSON()).toMatchObject({
+      fullName: "John Doe",
+      email: "john@example.com",
+      phoneNumber: "+15551234567",
+      good4itScore: 140,
+    });
+  });
+
+  test("contact details are hidden when the user can't be found by them", () => {
+    const result = buildUser({
+      discoverableByEmail: false,
+      discoverableByPhone: false,
+    }).toDiscoveryJSON();
+
+    expect(result).not.toHaveProperty("email");
+    expect(result).not.toHaveProperty("phoneNumber");
+    expect(result).toHaveProperty("fullName", "John Doe");
+  });
+
+  test("a hidden score is only shown to friends", () => {
+    const user = buildUser({ showScoreToNonFriends: false });
+
+    expect(user.toDiscoveryJSON()).not.toHaveProperty("good4itScore");
+    expect(user.toDiscoveryJSON(true)).toHaveProperty("good4itScore", 140);
+  });
+});
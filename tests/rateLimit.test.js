@@ -0,0 +1,185 @@
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const RateLimitCounter = require("../models/RateLimitCounter");
+const SessionService = require("../services/sessionService");
+const {
+  MongoRateLimitStore,
+  clientKey,
+  userRateLimit,
+} = require("../middleware/rateLimit");
+
+describe("Per-user Rate Limiting", () => {
+  let counts;
+
+  // Keep counters in memory instead of MongoDB
+  beforeEach(() => {
+    counts = {};
+    jest
+      .spyOn(MongoRateLimitStore.prototype, "increment")
+      .mockImplementation(async function (key) {
+        const id = this.prefix + key;
+        counts[id] = (counts[id] || 0) + 1;
+        return {
+          totalHits: counts[id],
+          resetTime: new Date(Date.now() + 1000),
+        };
+      });
+    jest
+      .spyOn(MongoRateLimitStore.prototype, "decrement")
+      .mockImplementation(async function (key) {
+        counts[this.prefix + key] -= 1;
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const buildApp = (options) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: req.get("x-test-user") };
+      next();
+    });
+    app.post("/limited", userRateLimit(options), (req, res) =>
+      res.status(req.body.fail ? 400 : 200).json({ success: !req.body.fail })
+    );
+    return app;
+  };
+
+  const send = (app, userId, body = {}) =>
+    request(app).post("/limited").set("x-test-user", userId).send(body);
+
+  test("each user has their own allowance", async () => {
+    const app = buildApp({
+      name: "test",
+      windowMs: 60000,
+      max: 2,
+      message: "Slow down",
+    });
+
+    await send(app, "user-a").expect(200);
+    await send(app, "user-a").expect(200);
+    const blocked = await send(app, "user-a").expect(429);
+    await send(app, "user-b").expect(200);
+
+    expect(blocked.body).toEqual({ success: false, message: "Slow down" });
+    expect(blocked.headers).toHaveProperty("retry-after");
+  });
+
+  test("scoped limits are counted separately for each scope", async () => {
+    const app = buildApp({
+      name: "reminder",
+      windowMs: 60000,
+      max: 1,
+      scope: (req) => req.body.transactionId,
+      message: "Slow down",
+    });
+
+    await send(app, "user-a", { transactionId: "t1" }).expect(200);
+    await send(app, "user-a", { transactionId: "t1" }).expect(429);
+    await send(app, "user-a", { transactionId: "t2" }).expect(200);
+  });
+
+  test("failed requests don't use up the allowance", async () => {
+    const app = buildApp({
+      name: "test",
+      windowMs: 60000,
+      max: 1,
+      message: "Slow down",
+    });
+
+    await send(app, "user-a", { fail: true }).expect(400);
+    await send(app, "user-a").expect(200);
+  });
+});
+
+describe("Rate Limit Store", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("counts hits in one atomic upsert per request", async () => {
+    const resetAt = new Date(Date.now() + 60000);
+    const update = jest
+      .spyOn(RateLimitCounter, "findOneAndUpdate")
+      .mockResolvedValue({ hits: 3, resetAt });
+    const store = new MongoRateLimitStore("money_request");
+    store.init({ windowMs: 60000 });
+
+    const result = await store.increment("user-a");
+
+    expect(result).toEqual({ totalHits: 3, resetTime: resetAt });
+    expect(update.mock.calls[0][0]).toEqual({ key: "money_request:user-a" });
+    expect(update.mock.calls[0][2]).toMatchObject({ upsert: true });
+  });
+
+  test("retries when two first hits race to create the counter", async () => {
+    const resetAt = new Date(Date.now() + 60000);
+    const update = jest
+      .spyOn(RateLimitCounter, "findOneAndUpdate")
+      .mockRejectedValueOnce(Object.assign(new Error("dup"), { code: 11000 }))
+      .mockResolvedValueOnce({ hits: 2, resetAt });
+    const store = new MongoRateLimitStore("money_request");
+    store.init({ windowMs: 60000 });
+
+    const result = await store.increment("user-a");
+
+    expect(result.totalHits).toBe(2);
+    expect(update).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("Global Rate Limit Key", () => {
+  const sessionId = "64b7f0c2a1b2c3d4e5f60718";
+
+  const buildRequest = (authorization) => ({
+    headers: authorization ? { authorization } : {},
+    ip: "203.0.113.7",
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("signed-in requests are counted per user", async () => {
+    const getSession = jest
+      .spyOn(SessionService, "getActiveSession")
+      .mockResolvedValue({ _id: sessionId });
+    const token = jwt.sign(
+      { userId: "user-a", sessionId },
+      process.env.JWT_SECRET
+    );
+
+    expect(await clientKey(buildRequest(`Bearer ${token}`))).toBe(
+      "user:user-a"
+    );
+    expect(getSession).toHaveBeenCalledWith(sessionId, "user-a");
+  });
+
+  test("tokens of revoked or expired sessions are counted per IP", async () => {
+    jest.spyOn(SessionService, "getActiveSession").mockResolvedValue(null);
+    const token = jwt.sign(
+      { userId: "user-a", sessionId },
+      process.env.JWT_SECRET
+    );
+
+    expect(await clientKey(buildRequest(`Bearer ${token}`))).toBe(
+      "203.0.113.7"
+    );
+  });
+
+  test("other requests are counted per IP", async () => {
+    const getSession = jest.spyOn(SessionService, "getActiveSession");
+
+    expect(await clientKey(buildRequest())).toBe("203.0.113.7");
+    expect(await clientKey(buildRequest("Bearer forged"))).toBe("203.0.113.7");
+    expect(getSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,133 @@
+const User = require("../models/User");
+const SessionService = require("../services/sessionService");
+const AccountDeletionService = require("../services/accountDeletionService");
+const AccountDeactivationService = require("../services/accountDeactivationService");
+
+describe("Account Deactivation", () => {
+  const buildUser = (overrides = {}) =>
+    new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+      password: "password123",
+      ...overrides,
+    });
+
+  const noBlockers = { outstandingTransactions: [], openDisputes: 0 };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User.prototype, "save").mockResolvedValue();
+    jest.spyOn(SessionService, "revokeAllForUser").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("deactivating signs the account out everywhere", async () => {
+    const user = buildUser();
+
+    const result = await AccountDeactivationService.deactivate(user);
+
+    expect(result).toEqual({ deactivated: true, scheduledDeletionAt: null });
+    expect(user.isActive).toBe(false);
+    expect(user.deactivatedAt).toBeInstanceOf(Date);
+    expect(SessionService.revokeAllForUser).toHaveBeenCalledWith(
+      user._id,
+      "account_deactivated"
+    );
+  });
+
+  test("a grace period schedules the account for deletion", async () => {
+    jest
+      .spyOn(AccountDeletionService, "getBlockers")
+      .mockResolvedValue(noBlockers);
+    const user = buildUser();
+
+    const result = await AccountDeactivationService.deactivate(user, {
+      deleteAfterDays: 30,
+    });
+
+    const days = (result.scheduledDeletionAt - Date.now()) / 86400000;
+    expect(Math.round(days)).toBe(30);
+  });
+
+  test("deletion can't be scheduled while debts are outstanding", async () => {
+    jest.spyOn(AccountDeletionService, "getBlockers").mockResolvedValue({
+      outstandingTransactions: [{ amount: 50 }],
+      openDisputes: 0,
+    });
+    const user = buildUser();
+
+    const result = await AccountDeactivationService.deactivate(user, {
+      deleteAfterDays: 30,
+    });
+
+    expect(result.deactivated).toBe(false);
+    expect(user.isActive).toBe(true);
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test("reactivation tokens only work for the deactivation they were issued for", async () => {
+    const user = buildUser({ isActive: false, deactivatedAt: new Date() });
+    const token = AccountDeactivationService.generateToken(user);
+    const findById = jest.spyOn(User, "findById").mockResolvedValue(user);
+
+    expect(await AccountDeactivationService.verifyToken(token)).toBe(user);
+
+    user.deactivatedAt = new Date(Date.now() + 1000);
+    expect(await AccountDeactivationService.verifyToken(token)).toBeNull();
+
+    findById.mockResolvedValue(buildUser());
+    expect(await AccountDeactivationService.verifyToken(token)).toBeNull();
+  });
+
+  test("reactivating restores access and cancels the scheduled deletion", async () => {
+    const user = buildUser({
+      isActive: false,
+      deactivatedAt: new Date(),
+      scheduledDeletionAt: new Date(),
+    });
+
+    await AccountDeactivationService.reactivate(user);
+
+    expect(user.isActive).toBe(true);
+    expect(user.deactivatedAt).toBeNull();
+    expect(user.scheduledDeletionAt).toBeNull();
+  });
+
+  test("suspended and deleted accounts can't reactivate themselves", () => {
+    const deactivated = buildUser({ isActive: false });
+    const suspended = buildUser({ isActive: false, suspendedAt: new Date() });
+    const deleted = buildUser({ isActive: false, deletedAt: new Date() });
+
+    expect(AccountDeactivationService.canReactivate(deactivated)).toBe(true);
+    expect(AccountDeactivationService.canReactivate(suspended)).toBe(false);
+    expect(AccountDeactivationService.canReactivate(deleted)).toBe(false);
+  });
+
+  test("accounts are deleted once their grace period ends", async () => {
+    const due = [buildUser(), buildUser()];
+    const find = jest.spyOn(User, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue(due),
+    });
+    jest
+      .spyOn(AccountDeletionService, "deleteAccount")
+      .mockResolvedValueOnce({ deleted: true })
+      .mockResolvedValueOnce({ deleted: false, blockers: noBlockers });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const deleted = await AccountDeactivationService.runScheduledDeletions();
+
+    expect(find.mock.calls[0][0]).toMatchObject({
+      isActive: false,
+      suspendedAt: null,
+      deletedAt: null,
+    });
+    expect(AccountDeletionService.deleteAccount).toHaveBeenCalledTimes(2);
+    expect(deleted).toBe(1);
+  });
+});
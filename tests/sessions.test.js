@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const express = require("express");
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const AuthSession = require("../models/AuthSession");
+const User = require("../models/User");
+const SessionService = require("../services/sessionService");
+const AuditLogService = require("../services/auditLogService");
+const authRoutes = require("../routes/auth");
+const userRoutes = require("../routes/user");
+
+// The OAuth strategies need Google credentials, which these routes don't use
+jest.mock("../config/passport", () => ({}));
+
+describe("Device Sessions", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockFind = (sessions) =>
+    jest.spyOn(AuthSession, "find").mockReturnValue({
+      select: jest.fn().mockResolvedValue(sessions),
+    });
+
+  test("push tokens are collected once per device token", async () => {
+    mockFind([
+      { fcmToken: "token-a" },
+      { fcmToken: "token-b" },
+      { fcmToken: "token-a" },
+    ]);
+
+    expect(await SessionService.getPushTokens("user-1")).toEqual([
+      "token-a",
+      "token-b",
+    ]);
+  });
+
+  test("revoking a device clears its push tokens", async () => {
+    mockFind([{ _id: "session-1", user: "user-1", fcmToken: "token-a" }]);
+    const sessionUpdate = jest
+      .spyOn(AuthSession, "updateMany")
+      .mockResolvedValue({ modifiedCount: 1 });
+    const userUpdate = jest
+      .spyOn(User, "updateMany")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await SessionService.revokeSession(
+      "session-1",
+      "remote_sign_out"
+    );
+
+    expect(result.modifiedCount).toBe(1);
+    expect(sessionUpdate.mock.calls[0][1]).toMatchObject({
+      revokedReason: "remote_sign_out",
+      fcmToken: null,
+    });
+    expect(userUpdate).toHaveBeenCalledWith(
+      { _id: { $in: ["user-1"] }, fcmToken: { $in: ["token-a"] } },
+      { fcmToken: null }
+    );
+  });
+
+  test("device view marks the current session", () => {
+    const session = new AuthSession({
+      user: "507f1f77bcf86cd799439011",
+      refreshTokenHash: "hash",
+      expiresAt: new Date(),
+      deviceName: "John's iPhone",
+      fcmToken: "token-a",
+    });
+
+    const device = session.toDeviceJSON(session._id);
+
+    expect(device).toMatchObject({
+      deviceName: "John's iPhone",
+      hasPushToken: true,
+      isCurrent: true,
+    });
+    expect(device).not.toHaveProperty("fcmToken");
+  });
+
+  describe("refresh token rotation", () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = SessionService.buildRefreshToken(sessionId);
+    const hash = (token) =>
+      crypto.createHash("sha256").update(token).digest("hex");
+
+    test("issues a new token and retires the old one", async () => {
+      const session = { _id: sessionId };
+      const update = jest
+        .spyOn(AuthSession, "findOneAndUpdate")
+        .mockResolvedValue(session);
+
+      const result = await SessionService.rotateSession(refreshToken);
+
+      expect(result.session).toBe(session);
+      expect(result.refreshToken).not.toBe(refreshToken);
+      expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+
+      const [filter, changes] = update.mock.calls[0];
+      expect(filter).toMatchObject({
+        _id: sessionId.toString(),
+        refreshTokenHash: hash(refreshToken),
+        revokedAt: null,
+      });
+      expect(changes.$set.refreshTokenHash).toBe(hash(result.refreshToken));
+      expect(changes.$push.previousTokenHashes.$each).toEqual([
+        hash(refreshToken),
+      ]);
+    });
+
+    test("rejects an unknown token without revoking anything", async () => {
+      jest.spyOn(AuthSession, "findOneAndUpdate").mockResolvedValue(null);
+      jest.spyOn(AuthSession, "findOne").mockResolvedValue(null);
+      const revoke = jest.spyOn(SessionService, "revokeSession");
+
+      expect(await SessionService.rotateSession(refreshToken)).toBeNull();
+      expect(revoke).not.toHaveBeenCalled();
+    });
+
+    test("reusing a rotated-out token revokes the session", async () => {
+      jest.spyOn(AuthSession, "findOneAndUpdate").mockResolvedValue(null);
+      const findReused = jest
+        .spyOn(AuthSession, "findOne")
+        .mockResolvedValue({ _id: sessionId });
+      const revoke = jest
+        .spyOn(SessionService, "revokeSession")
+        .mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      expect(await SessionService.rotateSession(refreshToken)).toBeNull();
+      expect(findReused.mock.calls[0][0].previousTokenHashes).toBe(
+        hash(refreshToken)
+      );
+      expect(revoke).toHaveBeenCalledWith(sessionId, "token_reuse");
+    });
+
+    test("rejects malformed tokens before touching the database", async () => {
+      const update = jest.spyOn(AuthSession, "findOneAndUpdate");
+
+      expect(await SessionService.rotateSession("not-a-token")).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("revocation routes", () => {
+    const user = new User({
+      fullName: "John Doe",
+      email: "john@example.com",
+      password: "password123",
+    });
+    const session = new AuthSession({
+      user: user._id,
+      refreshTokenHash: "hash",
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      lastSeenAt: new Date(),
+    });
+    let accessToken;
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/auth", authRoutes);
+    app.use("/api/user", userRoutes);
+
+    // User.findById is awaited directly by routes and chained with select()
+    // by the auth middleware
+    const userQuery = () => {
+      const result = Promise.resolve(user);
+      result.select = jest.fn().mockResolvedValue(user);
+      return result;
+    };
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+      accessToken = jwt.sign(
+        { userId: user._id, sessionId: session._id },
+        process.env.JWT_SECRET
+      );
+    });
+
+    beforeEach(() => {
+      jest.spyOn(SessionService, "getActiveSession").mockResolvedValue(session);
+      jest.spyOn(SessionService, "touchSession").mockImplementation(() => {});
+      jest.spyOn(User, "findById").mockImplementation(userQuery);
+      jest.spyOn(AuditLogService, "track").mockImplementation(() => {});
+    });
+
+    test("logging out revokes the current session", async () => {
+      const revoke = jest
+        .spyOn(SessionService, "revokeSession")
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(revoke).toHaveBeenCalledWith(session._id, "logout");
+    });
+
+    test("a revoked session's access token is refused", async () => {
+      SessionService.getActiveSession.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe("Session expired or revoked");
+    });
+
+    test("changing the password revokes every other session", async () => {
+      jest.spyOn(user, "comparePassword").mockResolvedValue(true);
+      jest.spyOn(user, "save").mockResolvedValue(user);
+      const revokeAll = jest
+        .spyOn(SessionService, "revokeAllForUser")
+        .mockResolvedValue({ modifiedCount: 2 });
+
+      await request(app)
+        .post("/api/user/change-password")
+        .set("Authorization", `Bearer ${accessToken}`)
+        .send({
+          currentPassword: "password123",
+          newPassword: "newpassword123",
+          confirmNewPassword: "newpassword123",
+        })
+        .expect(200);
+
+      expect(revokeAll).toHaveBeenCalledWith(
+        user._id,
+        "password_changed",
+        session._id
+      );
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { authenticator } = require("otplib");
+const TwoFactorService = require("../services/twoFactorService");
+
+describe("Two-Factor Authentication", () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  const buildUser = () => ({
+    _id: "507f1f77bcf86cd799439011",
+    email: "john@example.com",
+    twoFactor: {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      backupCodes: [],
+      lastUsedStep: null,
+      failedAttempts: 0,
+      lockedUntil: null,
+      stepUpActions: [],
+    },
+    save: jest.fn().mockResolvedValue(),
+  });
+
+  const enroll = async (user) => {
+    const { secret } = await TwoFactorService.startEnrollment(user);
+    const backupCodes = await TwoFactorService.completeEnrollment(
+      user,
+      authenticator.generate(secret)
+    );
+    return { secret, backupCodes };
+  };
+
+  test("enrollment returns an otpauth URI and activates on a valid code", async () => {
+    const user = buildUser();
+
+    const { secret, otpauthUri } = await TwoFactorService.startEnrollment(user);
+    expect(otpauthUri).toContain("otpauth://totp/Good4It:");
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(user.twoFactor.enabled).toBe(false);
+
+    expect(
+      await TwoFactorService.completeEnrollment(user, "000000")
+    ).toBeNull();
+
+    const backupCodes = await TwoFactorService.completeEnrollment(
+      user,
+      authenticator.generate(secret)
+    );
+    expect(backupCodes).toHaveLength(10);
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeNull();
+    // Only hashes are stored
+    expect(user.twoFactor.backupCodes).not.toContain(backupCodes[0]);
+  });
+
+  test("a TOTP code cannot be used twice", async () => {
+    const user = buildUser();
+    const { secret } = await enroll(user);
+    const code = authenticator.generate(secret);
+
+    expect(await TwoFactorService.verifyCode(user, code)).toBe(true);
+    expect(await TwoFactorService.verifyCode(user, code)).toBe(false);
+  });
+
+  test("backup codes are consumed when used", async () => {
+    const user = buildUser();
+    const { backupCodes } = await enroll(user);
+
+    expect(await TwoFactorService.verifyCode(user, backupCodes[0])).toBe(true);
+    expect(await TwoFactorService.verifyCode(user, backupCodes[0])).toBe(false);
+    expect(user.twoFactor.backupCodes).toHaveLength(9);
+  });
+
+  test("too many wrong codes lock verification", async () => {
+    const user = buildUser();
+    const { secret } = await enroll(user);
+
+    for (let i = 0; i < 5; i++) {
+      await TwoFactorService.verifyCode(user, "abcd-0000");
+    }
+
+    expect(TwoFactorService.isLocked(user)).toBe(true);
+    expect(
+      await TwoFactorService.verifyCode(user, authenticator.generate(secret))
+    ).toBe(false);
+  });
+
+  test("challenge tokens round-trip and reject other tokens", () => {
+    const user = buildUser();
+    const token = TwoFactorService.generateChallengeToken(user);
+
+    expect(TwoFactorService.verifyChallengeToken(token)).toMatchObject({
+      userId: user._id,
+    });
+    expect(TwoFactorService.verifyChallengeToken("garbage")).toBeNull();
+  });
+
+  test("step-up applies only to the actions the user protected", async () => {
+    const user = buildUser();
+    expect(TwoFactorService.requiresStepUp(user, "forgive_debt")).toBe(false);
+
+    await enroll(user);
+    user.twoFactor.stepUpActions = ["forgive_debt"];
+
+    expect(TwoFactorService.requiresStepUp(user, "forgive_debt")).toBe(true);
+    expect(TwoFactorService.requiresStepUp(user, "change_phone")).toBe(false);
+  });
+});
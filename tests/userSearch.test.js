@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Friend = require("../models/Friend");
+const FriendRequest = require("../models/FriendRequest");
+const FriendshipService = require("../services/friendshipService");
+const UserSearchService = require("../services/userSearchService");
+
+describe("User Search", () => {
+  const viewer = new User({ fullName: "Viewer", email: "viewer@example.com" });
+  const friendId = new mongoose.Types.ObjectId();
+
+  const buildUser = (fullName, handle) =>
+    new User({
+      fullName,
+      handle,
+      email: `${handle}@example.com`,
+    });
+  const exact = buildUser("Zed Doe", "doe");
+  const friendOfFriend = buildUser("Dora Smith", "dora");
+  const stranger = buildUser("Doe Adams", "adams");
+  const requested = buildUser("Dominic Lee", "dominic");
+
+  const queryResolving = (value) => {
+    const query = {
+      sort: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      select: jest.fn().mockResolvedValue(value),
+    };
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(FriendshipService, "getBlockedUserIds").mockResolvedValue([]);
+    jest
+      .spyOn(User, "find")
+      .mockImplementation((filter) =>
+        queryResolving(
+          filter.$or ? [exact] : [stranger, friendOfFriend, requested, exact]
+        )
+      );
+    jest.spyOn(Friend, "find").mockReturnValue({
+      distinct: jest.fn().mockResolvedValue([friendId]),
+    });
+    jest
+      .spyOn(Friend, "aggregate")
+      .mockResolvedValue([{ _id: friendOfFriend._id, count: 2 }]);
+    jest.spyOn(FriendRequest, "find").mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue([{ sender: viewer._id, recipient: requested._id }]),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("requires a minimum query length", async () => {
+    const result = await UserSearchService.search(viewer, " d ");
+
+    expect(result.status).toBe(400);
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  test("matches escaped word prefixes of names", () => {
+    const condition = UserSearchService.getNameCondition("Jo (Do");
+
+    expect(condition.nameTokens.$all).toEqual([/^jo/, /^\(do/]);
+  });
+
+  test("ranks exact matches, then friends of friends, then by name", async () => {
+    const { results } = await UserSearchService.search(viewer, "doe");
+
+    expect(results.map((result) => result.user.fullName)).toEqual([
+      "Zed Doe",
+      "Dora Smith",
+      "Doe Adams",
+      "Dominic Lee",
+    ]);
+    expect(results[1]).toMatchObject({
+      relationship: "none",
+      mutualFriends: 2,
+    });
+    expect(results[3].relationship).toBe("request_sent");
+  });
+
+  test("friends of friends are ranked even beyond the capped name matches", async () => {
+    User.find.mockImplementation((filter) => {
+      if (filter.$or) return queryResolving([]);
+      return queryResolving(filter._id.$in ? [friendOfFriend] : [stranger]);
+    });
+
+    const { results } = await UserSearchService.search(viewer, "do");
+
+    expect(results.map((result) => result.user.fullName)).toEqual([
+      "Dora Smith",
+      "Doe Adams",
+    ]);
+    const networkFilter = User.find.mock.calls.find(
+      ([filter]) => filter._id.$in
+    )[0];
+    expect(networkFilter._id.$in).toContain(friendId);
+    expect(networkFilter._id.$nin).toContain(viewer._id);
+  });
+
+  test("pages through results with a cursor", async () => {
+    const first = await UserSearchService.search(viewer, "doe", { limit: 3 });
+    expect(first.pagination.hasNextPage).toBe(true);
+
+    const second = await UserSearchService.search(viewer, "doe", {
+      limit: 3,
+      cursor: first.pagination.nextCursor,
+    });
+
+    expect(second.results.map((result) => result.user.fullName)).toEqual([
+      "Dominic Lee",
+    ]);
+    expect(second.pagination).toEqual({
+      limit: 3,
+      hasNextPage: false,
+      nextCursor: null,
+    });
+  });
+
+  test("rejects a malformed cursor", async () => {
+    const result = await UserSearchService.search(viewer, "doe", {
+      cursor: "not-a-cursor",
+    });
+
+    expect(result).toEqual({ status: 400, message: "Invalid cursor" });
+  });
+
+  test("handles only match users who allow some kind of discovery", () => {
+    const [, handleCondition] = UserSearchService.getExactConditions("@Doe");
+
+    expect(handleCondition.handle).toBe("doe");
+    expect(handleCondition.$or).toEqual([
+      { "privacy.discoverableByEmail": { $ne: false } },
+      { "privacy.discoverableByPhone": { $ne: false } },
+      { "privacy.discoverableByName": { $ne: false } },
+    ]);
+  });
+
+  test("deactivated and suspended accounts are left out", async () => {
+    await UserSearchService.search(viewer, "doe");
+
+    for (const [filter] of User.find.mock.calls) {
+      expect(filter).toMatchObject({
+        isActive: true,
+        suspendedAt: null,
+        deletedAt: null,
+      });
+    }
+  });
+
+  test("name words are lowercased without accents", () => {
+    expect(User.tokenizeName("  José O'Neil ")).toEqual(["jose", "o'neil"]);
+  });
+});